@@ -0,0 +1,129 @@
+// ============================================================
+// Assets — third-party scripts, WASM, models and fonts, from the CDNs or
+// self-hosted under vendor/
+// ============================================================
+//
+// tools/vendor.mjs downloads every asset below into vendor/ and writes
+// vendor/manifest.json listing the files. With that in place the app loads
+// nothing from third-party hosts, and sw.js precaches the files so the
+// experience runs offline after the first visit.
+//
+// ?assets=local forces vendor/, ?assets=cdn the CDNs; by default vendor/
+// is used when its manifest is there.
+//
+// Asset: { cdn, local } — local is the path under vendor/. Directories end
+// in '/' and also name the npm package tools/vendor.mjs mirrors them from.
+
+export const VENDOR_ROOT = 'vendor/';
+export const VENDOR_MANIFEST = 'vendor/manifest.json';
+
+const HANDS = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/';
+const TASKS_VISION = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/';
+
+export const ASSETS = {
+    three: {
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+        local: 'three/three.min.js'
+    },
+    // MediaPipe Hands on the main thread (js/input.js createCameraInput)
+    handsScript: { cdn: `${HANDS}hands.min.js`, local: 'mediapipe/hands/hands.min.js' },
+    handsFiles: { cdn: HANDS, local: 'mediapipe/hands/', package: '@mediapipe/hands@0.4.1675469240' },
+    // MediaPipe Tasks in the hand worker (js/hand-worker.js)
+    visionBundle: { cdn: `${TASKS_VISION}vision_bundle.mjs`, local: 'mediapipe/tasks-vision/vision_bundle.mjs' },
+    visionWasm: { cdn: `${TASKS_VISION}wasm/`, local: 'mediapipe/tasks-vision/wasm/', package: '@mediapipe/tasks-vision@0.10.14' },
+    handModel: {
+        cdn: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+        local: 'mediapipe/hand_landmarker.task'
+    },
+    // Stylesheet; tools/vendor.mjs also downloads the font files it points at
+    fonts: {
+        cdn: 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap',
+        local: 'fonts/inter.css'
+    }
+};
+
+// ============================================================
+// URLS
+// ============================================================
+// mode: 'local' | 'cdn'; base: the page URL the vendor/ paths resolve
+// against. → absolute URL per asset, so the hand worker (in js/) gets the
+// same ones. Directories keep their trailing '/'.
+export function resolveAssets(mode, base) {
+    const root = mode === 'local' ? new URL(VENDOR_ROOT, base).href : null;
+    return Object.fromEntries(Object.entries(ASSETS).map(([name, asset]) => [
+        name,
+        root ? root + asset.local : asset.cdn
+    ]));
+}
+
+// ?assets= value and whether vendor/manifest.json exists → 'local' | 'cdn'
+export function pickAssetMode(requested, vendored) {
+    if (requested === 'local' || requested === 'cdn') return requested;
+    return vendored ? 'local' : 'cdn';
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+// → { mode, urls } for the app at base, checking for vendor/ unless the mode
+// is fixed. An embedded instance (js/hand-universe.js) passes its own root,
+// which needn't be the host page's.
+export async function locateAssets(requested = 'auto', base = document.baseURI) {
+    let vendored = false;
+    if (requested !== 'local' && requested !== 'cdn') {
+        try {
+            vendored = (await fetch(new URL(VENDOR_MANIFEST, base), { cache: 'no-cache' })).ok; // GET, so sw.js can answer offline
+        } catch (err) {
+            vendored = false;
+        }
+    }
+    const mode = pickAssetMode(requested, vendored);
+    return { mode, urls: resolveAssets(mode, base) };
+}
+
+// Classic script, resolved once it has run; loading the same URL again
+// reuses the first request. Rejects with a ScriptLoadError (js/startup.js),
+// after which the next call tries again.
+const loading = new Map();
+export function loadScript(url) {
+    if (!loading.has(url)) {
+        loading.set(url, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                loading.delete(url);
+                script.remove();
+                const error = new Error(`Couldn't load ${url}`);
+                error.name = 'ScriptLoadError';
+                reject(error);
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return loading.get(url);
+}
+
+// In the document, where @font-face rules reach every shadow root; once per URL
+const stylesheets = new Set();
+export function loadStylesheet(url) {
+    if (stylesheets.has(url)) return;
+    stylesheets.add(url);
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = url;
+    document.head.appendChild(link);
+}
+
+// ============================================================
+// SERVICE WORKER
+// ============================================================
+// sw.js precaches the app and vendor/ for offline use. Needs a secure
+// context (https or localhost); ?sw=0 skips it.
+export function registerServiceWorker(url = 'sw.js') {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return Promise.resolve(null);
+    return navigator.serviceWorker.register(url).catch((err) => {
+        console.warn('Service worker not registered:', err);
+        return null;
+    });
+}
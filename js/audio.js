@@ -0,0 +1,341 @@
+// ============================================================
+// Audio — transition sounds, ambient drone and audio-reactive input
+// Everything is synthesized with Web Audio; no sound files
+// ============================================================
+//
+// A state plays its `sound` (js/states.js) when it is entered:
+//   whoosh  filtered noise sweeping up (EXPLODE)
+//   swell   noise and a falling tone rising to a sudden stop (IMPLODE)
+//   chime   bell partials (TEXT_FORM)
+// The ambient drone opens up with hand speed. In audio-reactive mode the
+// microphone or a local music file runs through an AnalyserNode, and
+// levels() hands its bass / mid / treble energy to the particles: level
+// scales their size, treble their brightness and bass the breathing of the
+// cluster. Microphone audio is only analysed, never played back or recorded.
+
+import { AUDIO_SIZE, AUDIO_ALPHA, AUDIO_BREATHE } from './constants.js';
+
+const STORAGE_KEY = 'hand-universe:audio';
+const DEFAULT_SETTINGS = { volume: 0.6, muted: false };
+
+// Hz; level spans all three
+export const BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 8000] };
+export const SILENCE = Object.freeze({ level: 0, bass: 0, mid: 0, treble: 0 });
+
+const FFT_SIZE = 1024;
+const MAX_HAND_SPEED = 8; // units / s that opens the ambient filter fully
+
+// ============================================================
+// SPECTRUM
+// ============================================================
+// Byte frequency data (AnalyserNode.getByteFrequencyData) → mean energy
+// per band, 0..1
+export function spectrumBands(data, sampleRate, fftSize = data.length * 2) {
+    const binWidth = sampleRate / fftSize;
+    const mean = ([low, high]) => {
+        const from = Math.max(Math.floor(low / binWidth), 0);
+        const to = Math.min(Math.floor(high / binWidth), data.length); // bands share no bins
+        if (to <= from) return 0;
+        let sum = 0;
+        for (let i = from; i < to; i++) sum += data[i];
+        return sum / (to - from) / 255;
+    };
+    return {
+        level: mean([BANDS.bass[0], BANDS.treble[1]]),
+        bass: mean(BANDS.bass),
+        mid: mean(BANDS.mid),
+        treble: mean(BANDS.treble)
+    };
+}
+
+// Breathing / drift amplitude multiplier for levels()
+export function audioBreathe(audio) {
+    return 1 + (audio ? audio.bass : 0) * AUDIO_BREATHE;
+}
+
+// ============================================================
+// PARTICLE SHADERS
+// ============================================================
+// Shared by the CPU and GPU particle materials, with createAudioUniforms()
+// in their uniforms; js/hand-universe.js sets uAudio from levels() each frame
+export const AUDIO_VERTEX_GLSL = `
+    uniform vec4 uAudio; // level, bass, mid, treble
+
+    float audioSize() {
+        return 1.0 + uAudio.x * ${AUDIO_SIZE.toFixed(3)};
+    }
+
+    float audioAlpha() {
+        return 1.0 + uAudio.w * ${AUDIO_ALPHA.toFixed(3)};
+    }
+`;
+
+export function createAudioUniforms() {
+    return { uAudio: { value: new THREE.Vector4() } };
+}
+
+// ============================================================
+// ENGINE
+// ============================================================
+// The AudioContext is created by the first resume(), which must run in a
+// user gesture (the start button)
+export function createAudioEngine(settings = loadAudioSettings()) {
+    let volume = settings.volume;
+    let muted = settings.muted;
+    let context = null;
+    let master = null;
+    let noise = null;
+    let ambient = null; // { filter, gain }
+    let analyser = null;
+    let spectrum = null;
+    let reactive = { kind: 'off', stop: () => {} };
+
+    function setup() {
+        context = new (window.AudioContext || window.webkitAudioContext)();
+        master = context.createGain();
+        master.gain.value = muted ? 0 : volume;
+        master.connect(context.destination);
+
+        // Two seconds of white noise, shared by the noisy sounds
+        noise = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+        analyser = context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        analyser.smoothingTimeConstant = 0.8;
+        spectrum = new Uint8Array(analyser.frequencyBinCount);
+
+        ambient = createAmbient();
+    }
+
+    function noiseSource() {
+        const source = context.createBufferSource();
+        source.buffer = noise;
+        source.loop = true;
+        return source;
+    }
+
+    // A low fifth and a breath of noise behind a lowpass the hand opens
+    function createAmbient() {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 200;
+        const gain = context.createGain();
+        gain.gain.value = 0.05;
+        filter.connect(gain);
+        gain.connect(master);
+
+        [55, 82.5, 110.3].forEach((frequency) => {
+            const osc = context.createOscillator();
+            osc.frequency.value = frequency;
+            const level = context.createGain();
+            level.gain.value = 0.3;
+            osc.connect(level);
+            level.connect(filter);
+            osc.start();
+        });
+        const air = noiseSource();
+        const airLevel = context.createGain();
+        airLevel.gain.value = 0.04;
+        air.connect(airLevel);
+        airLevel.connect(filter);
+        air.start();
+
+        return { filter, gain };
+    }
+
+    // Gain envelope from 0 through (time, value) points, starting at t0
+    function envelope(points, t0) {
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.0001, t0);
+        points.forEach(([time, value]) => gain.gain.exponentialRampToValueAtTime(value, t0 + time));
+        gain.connect(master);
+        return gain;
+    }
+
+    const SOUNDS = {
+        whoosh(t0) {
+            const source = noiseSource();
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.Q.value = 1.5;
+            filter.frequency.setValueAtTime(300, t0);
+            filter.frequency.exponentialRampToValueAtTime(3000, t0 + 0.6);
+            source.connect(filter);
+            filter.connect(envelope([[0.06, 0.8], [0.9, 0.0001]], t0));
+            source.start(t0);
+            source.stop(t0 + 1);
+        },
+
+        swell(t0) {
+            const out = envelope([[0.8, 0.6]], t0);
+            out.gain.setValueAtTime(0.0001, t0 + 0.85);
+
+            const source = noiseSource();
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(400, t0);
+            filter.frequency.exponentialRampToValueAtTime(4000, t0 + 0.8);
+            source.connect(filter);
+            filter.connect(out);
+            source.start(t0);
+            source.stop(t0 + 0.9);
+
+            const tone = context.createOscillator();
+            tone.frequency.setValueAtTime(220, t0);
+            tone.frequency.exponentialRampToValueAtTime(110, t0 + 0.8);
+            tone.connect(out);
+            tone.start(t0);
+            tone.stop(t0 + 0.9);
+        },
+
+        chime(t0) {
+            [[880, 0], [1318.5, 0.12]].forEach(([base, delay]) => {
+                // Inharmonic bell partials, higher ones fading sooner
+                [1, 2.76, 5.4].forEach((ratio, k) => {
+                    const osc = context.createOscillator();
+                    osc.frequency.value = base * ratio;
+                    osc.connect(envelope([[0.01, 0.25 / (k + 1)], [2.5 / (k + 1), 0.0001]], t0 + delay));
+                    osc.start(t0 + delay);
+                    osc.stop(t0 + delay + 2.6);
+                });
+            });
+        }
+    };
+
+    function applyGain() {
+        if (master) master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.05);
+    }
+
+    return {
+        get volume() { return volume; },
+        get muted() { return muted; },
+        // 'off' | 'microphone' | 'file'
+        get reactive() { return reactive.kind; },
+
+        resume() {
+            if (!context) setup();
+            return context.resume();
+        },
+
+        suspend() {
+            return context ? context.suspend() : Promise.resolve();
+        },
+
+        // Release the reactive input and the AudioContext; a later resume()
+        // starts a fresh one
+        close() {
+            this.stopReactive();
+            const closing = context ? context.close() : Promise.resolve();
+            context = null;
+            master = null;
+            ambient = null;
+            analyser = null;
+            return closing;
+        },
+
+        setVolume(value) {
+            volume = Math.min(Math.max(value, 0), 1);
+            applyGain();
+            saveAudioSettings({ volume, muted });
+        },
+
+        setMuted(value) {
+            muted = value;
+            applyGain();
+            saveAudioSettings({ volume, muted });
+        },
+
+        // name: a key of SOUNDS; unknown names and a closed context are ignored
+        play(name) {
+            if (!context || !SOUNDS[name] || muted) return;
+            SOUNDS[name](context.currentTime + 0.01);
+        },
+
+        // Hand speed (units / s) opens the ambient filter and raises its level
+        setMotion(speed) {
+            if (!ambient) return;
+            const t = Math.min(speed / MAX_HAND_SPEED, 1);
+            ambient.filter.frequency.setTargetAtTime(200 + t * 1600, context.currentTime, 0.2);
+            ambient.gain.gain.setTargetAtTime(0.05 + t * 0.12, context.currentTime, 0.3);
+        },
+
+        // Analyse the microphone (asks for permission)
+        async useMicrophone() {
+            this.stopReactive();
+            await this.resume();
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            let source = null;
+            // Set before anything else can throw, so stopReactive() releases the mic
+            reactive = {
+                kind: 'microphone',
+                stop: () => {
+                    if (source) source.disconnect();
+                    stream.getTracks().forEach((track) => track.stop());
+                }
+            };
+            source = context.createMediaStreamSource(stream);
+            source.connect(analyser);
+        },
+
+        // Play a local music file (looping) and analyse it
+        async useFile(file) {
+            this.stopReactive();
+            await this.resume();
+            const element = new Audio(URL.createObjectURL(file));
+            element.loop = true;
+            let source = null;
+            // Set before play() can reject (decode error, autoplay policy), so
+            // stopReactive() releases the element, its source and the URL
+            reactive = {
+                kind: 'file',
+                stop: () => {
+                    element.pause();
+                    if (source) source.disconnect();
+                    URL.revokeObjectURL(element.src);
+                }
+            };
+            source = context.createMediaElementSource(element);
+            source.connect(analyser);
+            source.connect(master);
+            await element.play();
+        },
+
+        stopReactive() {
+            reactive.stop();
+            reactive = { kind: 'off', stop: () => {} };
+        },
+
+        // → { level, bass, mid, treble } 0..1 of the reactive input, SILENCE when off
+        levels() {
+            if (reactive.kind === 'off') return SILENCE;
+            analyser.getByteFrequencyData(spectrum);
+            return spectrumBands(spectrum, context.sampleRate, analyser.fftSize);
+        }
+    };
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+export function loadAudioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved) return { ...DEFAULT_SETTINGS };
+        return {
+            volume: Number.isFinite(saved.volume) ? Math.min(Math.max(saved.volume, 0), 1) : DEFAULT_SETTINGS.volume,
+            muted: saved.muted === true
+        };
+    } catch (err) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveAudioSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        // Storage unavailable (private mode) — the settings last for this visit
+    }
+}
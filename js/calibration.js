@@ -0,0 +1,137 @@
+// ============================================================
+// Gesture calibration — per-user thresholds from held gestures
+// ============================================================
+//
+// The user holds fist, open palm and 🤟 in turn. For every finger we
+// record how far it reaches (see fingerExtension / thumbExtension) while
+// known to be curled or extended, then put the threshold halfway between
+// the two medians. Each gesture's confidence is the share of its frames
+// the new thresholds classify correctly.
+
+import { DEFAULT_THRESHOLDS, FINGERS, detectGesture, fingerExtension, thumbExtension } from './gestures.js';
+
+const STORAGE_KEY = 'hand-universe:calibration';
+const CALIBRATION_VERSION = 1;
+const MIN_SAMPLES = 10; // frames per gesture before we trust it
+
+// Which digits are extended (true) or curled (false) in each calibration pose
+export const CALIBRATION_POSES = {
+    fist: { thumb: false, index: false, middle: false, ring: false, pinky: false },
+    palm: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+    ilu: { thumb: true, index: true, middle: false, ring: false, pinky: true }
+};
+
+// Longer holds for shaky classification, shorter for steady hands
+const MIN_HOLD_TIME = 200;
+const MAX_HOLD_TIME = 600;
+
+// ============================================================
+// SESSION
+// ============================================================
+export function createCalibrationSession() {
+    const samples = {}; // gesture → landmarks[]
+
+    return {
+        addSample(gesture, landmarks) {
+            (samples[gesture] = samples[gesture] || []).push(landmarks);
+        },
+
+        sampleCount(gesture) {
+            return (samples[gesture] || []).length;
+        },
+
+        // → { thresholds, confidence: { gesture: 0..1 } }
+        finish() {
+            const missing = Object.keys(CALIBRATION_POSES).filter((g) => (samples[g] || []).length < MIN_SAMPLES);
+            if (missing.length > 0) throw new Error(`Not enough frames for: ${missing.join(', ')}`);
+            return deriveCalibration(samples);
+        }
+    };
+}
+
+export function deriveCalibration(samples) {
+    const thresholds = {
+        finger: { ...DEFAULT_THRESHOLDS.finger },
+        thumb: DEFAULT_THRESHOLDS.thumb,
+        holdTime: DEFAULT_THRESHOLDS.holdTime
+    };
+
+    Object.entries(FINGERS).forEach(([name, [, pip, , tip]]) => {
+        const threshold = splitThreshold(samples, name, (landmarks) => fingerExtension(landmarks, pip, tip));
+        if (threshold !== null) thresholds.finger[name] = threshold;
+    });
+
+    const thumb = splitThreshold(samples, 'thumb', thumbExtension);
+    if (thumb !== null) thresholds.thumb = thumb;
+
+    const confidence = {};
+    Object.keys(CALIBRATION_POSES).forEach((gesture) => {
+        const frames = samples[gesture] || [];
+        const hits = frames.filter((landmarks) => detectGesture(landmarks, thresholds) === gesture).length;
+        confidence[gesture] = frames.length > 0 ? hits / frames.length : 0;
+    });
+
+    const meanConfidence = Object.values(confidence).reduce((a, b) => a + b, 0) / Object.keys(confidence).length;
+    thresholds.holdTime = Math.round(
+        Math.min(Math.max(DEFAULT_THRESHOLDS.holdTime / Math.max(meanConfidence, 0.01), MIN_HOLD_TIME), MAX_HOLD_TIME)
+    );
+
+    return { thresholds, confidence };
+}
+
+// Halfway between the curled and extended medians for one digit, or null
+// if the two don't separate (bad samples) so the default stays
+function splitThreshold(samples, digit, measure) {
+    const curled = [];
+    const extended = [];
+
+    Object.entries(CALIBRATION_POSES).forEach(([gesture, pose]) => {
+        if (pose[digit] === undefined) return;
+        const values = (samples[gesture] || []).map(measure);
+        (pose[digit] ? extended : curled).push(...values);
+    });
+
+    if (curled.length === 0 || extended.length === 0) return null;
+    const low = median(curled);
+    const high = median(extended);
+    if (high <= low) return null;
+    return low + (high - low) / 2;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+// → { thresholds, confidence, createdAt } or null
+export function loadCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved || saved.version !== CALIBRATION_VERSION) return null;
+        return saved;
+    } catch (err) {
+        return null;
+    }
+}
+
+export function saveCalibration(calibration) {
+    const saved = { ...calibration, version: CALIBRATION_VERSION, createdAt: Date.now() };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (err) {
+        console.warn('Could not save calibration:', err);
+    }
+    return saved;
+}
+
+export function clearCalibration() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        // Storage unavailable (private mode) — nothing to clear
+    }
+}
@@ -0,0 +1,167 @@
+// ============================================================
+// Capture — screenshots, WebM video and looping GIFs of the canvas
+// Everything is encoded in the browser; nothing leaves the device
+// ============================================================
+//
+// Frames are composed on a 2D canvas: the WebGL canvas plus, optionally,
+// the webcam preview as a mirrored picture-in-picture in the corner.
+// js/hand-universe.js calls frame() right after each render, while the WebGL drawing
+// buffer still holds the image (no preserveDrawingBuffer needed).
+
+import { encodeGif } from './gif.js';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_FPS = 30;
+const PIP_SCALE = 0.25; // picture-in-picture width share
+const PIP_MARGIN = 16; // px at capture size
+
+export const GIF_DEFAULTS = { seconds: 3, fps: 15, width: 480 };
+
+// First type MediaRecorder supports, or '' to let the browser pick
+export function pickVideoType(isTypeSupported) {
+    return VIDEO_TYPES.find((type) => isTypeSupported(type)) || '';
+}
+
+export function supportsVideoCapture() {
+    return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+// source: the renderer's canvas; pip: the webcam preview canvas (mirrored
+// on screen by CSS, so it is flipped here too)
+export function createCapture(source, { pip = null } = {}) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    let includePip = false;
+
+    let recorder = null;
+    let chunks = [];
+    let stopped = null; // resolves the running video's Blob
+    let stills = []; // screenshot requests waiting for the next frame
+    let gif = null; // GIF being captured: { frames, total, interval, lastAt, width, height, ... }
+    const gifCanvas = document.createElement('canvas');
+    const gifCtx = gifCanvas.getContext('2d', { willReadFrequently: true });
+
+    function compose(width, height) {
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        ctx.drawImage(source, 0, 0, width, height);
+
+        if (includePip && pip && pip.width > 0) {
+            const w = Math.round(width * PIP_SCALE);
+            const h = Math.round((w * pip.height) / pip.width);
+            const x = width - w - PIP_MARGIN;
+            const y = height - h - PIP_MARGIN;
+            ctx.save();
+            ctx.translate(x + w, y);
+            ctx.scale(-1, 1);
+            ctx.drawImage(pip, 0, 0, w, h);
+            ctx.restore();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, w, h);
+        }
+    }
+
+    // Sample the composed frame at the GIF's rate; encode once enough are in
+    function addGifFrame() {
+        const now = performance.now();
+        if (now - gif.lastAt < gif.interval) return;
+        gif.lastAt = now;
+
+        gifCtx.drawImage(canvas, 0, 0, gif.width, gif.height);
+        gif.frames.push(gifCtx.getImageData(0, 0, gif.width, gif.height).data);
+        if (gif.onProgress) gif.onProgress(gif.frames.length / gif.total);
+        if (gif.frames.length < gif.total) return;
+
+        const done = gif;
+        gif = null;
+        // Let the last frame paint before the (blocking) encode
+        setTimeout(() => {
+            try {
+                const bytes = encodeGif(done.frames, { width: done.width, height: done.height, delay: done.interval });
+                done.resolve(new Blob([bytes], { type: 'image/gif' }));
+            } catch (err) {
+                done.reject(err);
+            }
+        }, 0);
+    }
+
+    return {
+        get recordingVideo() { return recorder !== null; },
+        get recordingGif() { return gif !== null; },
+
+        // Composite the webcam preview into captures
+        setPictureInPicture(enabled) {
+            includePip = enabled;
+        },
+
+        // After each render: feeds the video, GIF and pending screenshots
+        frame() {
+            if (!recorder && !gif && stills.length === 0) return;
+
+            compose(source.width, source.height);
+            if (stills.length > 0) {
+                const waiting = stills;
+                stills = [];
+                canvas.toBlob((blob) => waiting.forEach((resolve) => resolve(blob)), 'image/png');
+            }
+            if (gif) addGifFrame();
+        },
+
+        // → Promise<Blob> (PNG) of the next frame
+        screenshot() {
+            return new Promise((resolve) => stills.push(resolve));
+        },
+
+        startVideo() {
+            if (recorder) return;
+            compose(source.width, source.height);
+            const mimeType = pickVideoType((type) => MediaRecorder.isTypeSupported(type));
+            recorder = new MediaRecorder(canvas.captureStream(VIDEO_FPS), mimeType ? { mimeType } : undefined);
+            chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            stopped = new Promise((resolve) => {
+                recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+            });
+            recorder.start(1000);
+        },
+
+        // → Promise<Blob> (WebM)
+        async stopVideo() {
+            if (!recorder) return null;
+            recorder.stop();
+            const blob = await stopped;
+            recorder = null;
+            return blob;
+        },
+
+        // Collect `seconds` of frames at `fps`, downscaled to `width`; →
+        // Promise<Blob> (GIF). onProgress(0..1) follows the capture; encoding
+        // starts at 1.
+        recordGif({
+            seconds = GIF_DEFAULTS.seconds, fps = GIF_DEFAULTS.fps, width = GIF_DEFAULTS.width, onProgress
+        } = {}) {
+            if (gif) return Promise.reject(new Error('A GIF is already being captured'));
+            const scale = Math.min(width / source.width, 1);
+            gifCanvas.width = Math.round(source.width * scale);
+            gifCanvas.height = Math.round(source.height * scale);
+            return new Promise((resolve, reject) => {
+                gif = {
+                    frames: [],
+                    total: Math.round(seconds * fps),
+                    interval: 1000 / fps,
+                    lastAt: -Infinity,
+                    width: gifCanvas.width,
+                    height: gifCanvas.height,
+                    resolve,
+                    reject,
+                    onProgress
+                };
+            });
+        }
+    };
+}
@@ -0,0 +1,212 @@
+// ============================================================
+// Experience config — title, tagline, TEXT_FORM message, shape, story and theme
+// Sources (later wins): defaults → inline JSON → saved editor → URL
+// ============================================================
+
+export const DEFAULT_CONFIG = {
+    title: "Happy Valentine's Day",
+    tagline: 'A small surprise for you',
+    message: [
+        { text: 'I LOVE YOU, ANANYA', scale: 1 },
+        { text: 'from Kush ;)', scale: 1 }
+    ],
+    shape: { type: 'text' },
+    story: null, // story object or URL to a story JSON file (see js/story.js)
+    theme: 'valentine' // built-in theme name, theme object or URL to a theme JSON file (see js/themes.js)
+};
+
+const STORAGE_KEY = 'hand-universe:config';
+const INLINE_CONFIG_ID = 'hand-universe-config';
+const MAX_LINES = 6;
+const MAX_LINE_LENGTH = 64;
+const MIN_LINE_SCALE = 0.3;
+const MAX_LINE_SCALE = 2;
+
+const SHAPE_TYPES = ['text', 'heart', 'image', 'svg', 'model'];
+const SHAPE_FIELDS = ['src', 'path', 'viewBox', 'mode', 'format'];
+
+// Query params: ?title=...&tagline=...&message=Line one|Line two&messageScale=1,0.6&shape=image&shapeSrc=logo.png&story=stories/birthday.json&theme=galaxy
+// (messageScale: per-line scales, only present when a line isn't 1)
+const LINE_SEPARATOR = '|';
+const SCALE_SEPARATOR = ',';
+const QUERY_KEYS = ['title', 'tagline', 'message', 'messageScale', 'shape', 'shapeSrc', 'story', 'theme'];
+
+// ============================================================
+// NORMALIZATION
+// ============================================================
+// Accepts a message as a string ("a\nb" or "a|b"), an array of strings,
+// or an array of { text, scale } objects and returns the object form.
+export function normalizeMessage(message) {
+    if (typeof message === 'string') {
+        message = message.split(/\n|\|/);
+    }
+    if (!Array.isArray(message)) return [];
+
+    return message
+        .map((line) => (typeof line === 'string' ? { text: line } : line))
+        .filter((line) => line && typeof line.text === 'string' && line.text.trim() !== '')
+        .slice(0, MAX_LINES)
+        .map((line) => ({
+            text: line.text.trim().slice(0, MAX_LINE_LENGTH),
+            scale: clampScale(line.scale)
+        }));
+}
+
+// Edited message text ("a\nb") → message lines that keep the scale of an
+// unchanged line from the previous message, so editing one line doesn't
+// reset the sizes of the others
+export function withLineScales(text, previous) {
+    const scales = normalizeMessage(previous).map((line) => [line.text, line.scale]);
+    return normalizeMessage(text).map((line) => {
+        const match = scales.findIndex(([previousText]) => previousText === line.text);
+        if (match === -1) return line;
+        return { text: line.text, scale: scales.splice(match, 1)[0][1] };
+    });
+}
+
+// { type, file?, src?, path?, viewBox?, mode?, format? } — null if unusable.
+// Files only survive in memory; after a JSON round-trip they are dropped.
+export function normalizeShape(shape) {
+    if (typeof shape === 'string') shape = { type: shape };
+    if (!shape || !SHAPE_TYPES.includes(shape.type)) return null;
+
+    const normalized = { type: shape.type };
+    SHAPE_FIELDS.forEach((field) => {
+        if (shape[field] !== undefined) normalized[field] = shape[field];
+    });
+    if (typeof Blob !== 'undefined' && shape.file instanceof Blob) normalized.file = shape.file;
+    return normalized;
+}
+
+function clampScale(scale) {
+    const value = Number(scale);
+    if (!Number.isFinite(value) || value <= 0) return 1;
+    return Math.min(Math.max(value, MIN_LINE_SCALE), MAX_LINE_SCALE);
+}
+
+// Merge a partial config over a base, ignoring empty / invalid fields
+export function mergeConfig(base, partial) {
+    if (!partial || typeof partial !== 'object') return base;
+
+    const merged = { ...base };
+    if (typeof partial.title === 'string' && partial.title.trim()) merged.title = partial.title.trim();
+    if (typeof partial.tagline === 'string') merged.tagline = partial.tagline.trim();
+    if (partial.message !== undefined) {
+        const message = normalizeMessage(partial.message);
+        if (message.length > 0) merged.message = message;
+    }
+    if (partial.shape !== undefined) {
+        const shape = normalizeShape(partial.shape);
+        if (shape) merged.shape = shape;
+    }
+    if (partial.story !== undefined) {
+        const story = partial.story;
+        if (story === null || story === '') merged.story = null;
+        else if (typeof story === 'string' || (typeof story === 'object' && Array.isArray(story.scenes))) merged.story = story;
+    }
+    if (partial.theme !== undefined) {
+        const theme = partial.theme;
+        if (typeof theme === 'string' && theme.trim()) merged.theme = theme.trim();
+        else if (theme && typeof theme === 'object' && theme.states && typeof theme.states === 'object') merged.theme = theme;
+    }
+    return merged;
+}
+
+// ============================================================
+// SOURCES
+// ============================================================
+export function parseQueryConfig(search) {
+    const params = new URLSearchParams(search);
+    const partial = {};
+    if (params.has('title')) partial.title = params.get('title');
+    if (params.has('tagline')) partial.tagline = params.get('tagline');
+    if (params.has('message')) {
+        partial.message = params.get('message');
+        if (params.has('messageScale')) {
+            const scales = params.get('messageScale').split(SCALE_SEPARATOR);
+            partial.message = partial.message.split(/\n|\|/).map((text, i) => ({ text, scale: scales[i] }));
+        }
+    }
+    if (params.has('shape')) {
+        partial.shape = { type: params.get('shape') };
+        if (params.has('shapeSrc')) partial.shape.src = params.get('shapeSrc');
+    }
+    if (params.has('story')) partial.story = params.get('story');
+    if (params.has('theme')) partial.theme = params.get('theme');
+    return partial;
+}
+
+function readInlineConfig() {
+    const el = document.getElementById(INLINE_CONFIG_ID);
+    if (!el) return null;
+    try {
+        return JSON.parse(el.textContent);
+    } catch (err) {
+        console.warn('Ignoring invalid inline config:', err);
+        return null;
+    }
+}
+
+function readSavedConfig() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+export function loadConfig() {
+    let config = mergeConfig(DEFAULT_CONFIG, window.HAND_UNIVERSE_CONFIG);
+    config = mergeConfig(config, readInlineConfig());
+    config = mergeConfig(config, readSavedConfig());
+    config = mergeConfig(config, parseQueryConfig(window.location.search));
+    return config;
+}
+
+export function saveConfig(config) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    } catch (err) {
+        console.warn('Could not save config:', err);
+    }
+}
+
+export function clearSavedConfig() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        // Storage unavailable (private mode) — nothing to clear
+    }
+}
+
+// Shareable URL for a config (message lines joined with "|")
+export function configToUrl(config, baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('title', config.title);
+    url.searchParams.set('tagline', config.tagline);
+    url.searchParams.set('message', config.message.map((line) => line.text).join(LINE_SEPARATOR));
+    if (config.message.some((line) => line.scale !== 1)) {
+        url.searchParams.set('messageScale', config.message.map((line) => line.scale).join(SCALE_SEPARATOR));
+    } else {
+        url.searchParams.delete('messageScale');
+    }
+    url.searchParams.set('shape', config.shape.type);
+    // Uploaded files can't be shared by link, only hosted sources
+    if (config.shape.src) url.searchParams.set('shapeSrc', config.shape.src);
+    else url.searchParams.delete('shapeSrc');
+    // Inline story objects are too big for a link; only story files are shared
+    if (typeof config.story === 'string') url.searchParams.set('story', config.story);
+    else url.searchParams.delete('story');
+    // Same for themes: built-in names and theme files only
+    if (typeof config.theme === 'string') url.searchParams.set('theme', config.theme);
+    else url.searchParams.delete('theme');
+    return url.toString();
+}
+
+// The URL without the config params above; anything else (tuning, replay…) stays
+export function clearQueryConfig(baseUrl) {
+    const url = new URL(baseUrl);
+    QUERY_KEYS.forEach((key) => url.searchParams.delete(key));
+    return url.toString();
+}
@@ -0,0 +1,21 @@
+// ============================================================
+// Shared tuning constants
+// ============================================================
+export const PARTICLE_COUNT = 5000; // CPU simulation
+export const GPU_PARTICLE_COUNT = 131072; // GPU simulation (js/gpu-particles.js)
+export const IDLE_RADIUS = 5;
+export const FOLLOW_RADIUS = 2.5;
+export const EXPLODE_SPEED = 9; // units / s of the outward burst; motion otherwise follows js/physics.js
+export const TRANSITION_RATE = 0.8; // state transition progress (0..1) per second
+
+// MediaPipe minimum confidences (js/input.js, js/hand-worker.js); presence
+// only applies to the worker's HandLandmarker
+export const HAND_CONFIDENCE = { detection: 0.7, presence: 0.5, tracking: 0.5 };
+
+// Tilt the FOLLOW cluster with a single hand's roll / pitch (js/hand-pose.js)
+export const HAND_TILT = true;
+
+// Audio-reactive mode (js/audio.js): extra share at full input level
+export const AUDIO_SIZE = 1.5; // particle size, from the overall level
+export const AUDIO_ALPHA = 0.8; // particle alpha, from the treble
+export const AUDIO_BREATHE = 4; // breathing / drift amplitude, from the bass
@@ -0,0 +1,203 @@
+// ============================================================
+// Filters — smoothing between MediaPipe results and the app
+// Landmark jitter, gesture label flicker, single dropped frames and
+// the steps between inference results
+// ============================================================
+
+// One-Euro defaults for normalized image coords (0..1 per axis)
+const MIN_CUTOFF = 1.5; // Hz at rest — lower is smoother but laggier
+const BETA = 8; // how fast the cutoff rises with speed
+const DERIVATIVE_CUTOFF = 1; // Hz for the speed estimate
+
+// Gesture vote: a new label must win this share of the last N frames
+const VOTE_WINDOW = 5;
+const VOTE_SHARE = 0.6;
+
+// Keep reporting a hand this long after MediaPipe stops seeing it
+const DROPOUT_GRACE = 200; // ms
+
+// Expected gap between results until two have arrived
+const DEFAULT_INTERVAL = 1000 / 30; // ms
+
+// ============================================================
+// ONE-EURO FILTER
+// ============================================================
+// Adaptive low-pass (Casiez et al. 2012): heavy smoothing while the value
+// holds still, little lag once it moves fast. timestamp is in ms.
+export function createOneEuroFilter({ minCutoff = MIN_CUTOFF, beta = BETA, dCutoff = DERIVATIVE_CUTOFF } = {}) {
+    let value = null;
+    let derivative = 0;
+    let lastTime = 0;
+
+    return {
+        filter(next, timestamp) {
+            if (value === null) {
+                value = next;
+                lastTime = timestamp;
+                return value;
+            }
+
+            const dt = Math.max((timestamp - lastTime) / 1000, 1e-3);
+            lastTime = timestamp;
+
+            derivative = lowPass(derivative, (next - value) / dt, smoothingFactor(dCutoff, dt));
+            const cutoff = minCutoff + beta * Math.abs(derivative);
+            value = lowPass(value, next, smoothingFactor(cutoff, dt));
+            return value;
+        },
+
+        reset() {
+            value = null;
+            derivative = 0;
+        }
+    };
+}
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+function lowPass(previous, next, alpha) {
+    return previous + alpha * (next - previous);
+}
+
+// One-Euro filter per landmark coordinate → new { x, y, z } array per frame
+export function createLandmarkFilter(options) {
+    let filters = [];
+
+    return {
+        filter(landmarks, timestamp) {
+            return landmarks.map((point, i) => {
+                if (!filters[i]) {
+                    filters[i] = {
+                        x: createOneEuroFilter(options),
+                        y: createOneEuroFilter(options),
+                        z: createOneEuroFilter(options)
+                    };
+                }
+                return {
+                    x: filters[i].x.filter(point.x, timestamp),
+                    y: filters[i].y.filter(point.y, timestamp),
+                    z: filters[i].z.filter(point.z || 0, timestamp)
+                };
+            });
+        },
+
+        reset() {
+            filters = [];
+        }
+    };
+}
+
+// ============================================================
+// GESTURE VOTE
+// ============================================================
+// Majority vote with hysteresis over the last few labels: the stable label
+// only changes once another label wins `share` of the window, so one odd
+// frame (fist → other → fist) never resets a hold.
+export function createGestureVote({ window = VOTE_WINDOW, share = VOTE_SHARE } = {}) {
+    let history = [];
+    let stable = null;
+    const needed = Math.ceil(window * share);
+
+    return {
+        get label() { return stable; },
+
+        update(label) {
+            history.push(label);
+            if (history.length > window) history.shift();
+
+            // First frame of a fresh hand: nothing to be stable against yet
+            if (stable === null) {
+                stable = label;
+                return stable;
+            }
+
+            if (label !== stable && history.filter((l) => l === label).length >= needed) {
+                stable = label;
+            }
+            return stable;
+        },
+
+        reset() {
+            history = [];
+            stable = null;
+        }
+    };
+}
+
+// ============================================================
+// HAND FILTER — smoothing + dropout tolerance for one hand
+// ============================================================
+export function createHandFilter({ grace = DROPOUT_GRACE, ...smoothing } = {}) {
+    const landmarkFilter = createLandmarkFilter(smoothing);
+    let last = null;
+    let lastSeen = 0;
+
+    return {
+        // MediaPipe saw the hand → smoothed landmarks
+        update(landmarks, timestamp) {
+            last = landmarkFilter.filter(landmarks, timestamp);
+            lastSeen = timestamp;
+            return last;
+        },
+
+        // MediaPipe missed the hand → the last landmarks while within the
+        // grace period, then null (and the filter starts over)
+        miss(timestamp) {
+            if (last && timestamp - lastSeen <= grace) return last;
+            last = null;
+            landmarkFilter.reset();
+            return null;
+        }
+    };
+}
+
+// ============================================================
+// POSITION INTERPOLATOR — glide between inference results
+// ============================================================
+// Results arrive at the inference rate (15–30 / s), frames render at 60.
+// Each new result starts a glide from wherever the position is now to the
+// result, over the measured gap between results, so the hand moves every
+// frame without jumping. Costs at most one inference interval of lag.
+export function createPositionInterpolator() {
+    let from = null;
+    let to = null;
+    let arrivedAt = 0;
+    let interval = DEFAULT_INTERVAL;
+
+    const at = (now) => {
+        const k = Math.min((now - arrivedAt) / interval, 1);
+        return {
+            x: from.x + (to.x - from.x) * k,
+            y: from.y + (to.y - from.y) * k,
+            z: from.z + (to.z - from.z) * k
+        };
+    };
+
+    return {
+        // position { x, y, z } from a result that arrived at now (ms)
+        push(position, now) {
+            if (to === null) {
+                from = { ...position };
+            } else {
+                from = at(now);
+                interval += (Math.min(Math.max(now - arrivedAt, 1), 250) - interval) * 0.3;
+            }
+            to = { ...position };
+            arrivedAt = now;
+        },
+
+        // → interpolated { x, y, z }, or null before the first result
+        sample(now) {
+            return to === null ? null : at(now);
+        },
+
+        reset() {
+            from = null;
+            to = null;
+            interval = DEFAULT_INTERVAL;
+        }
+    };
+}
@@ -0,0 +1,275 @@
+// ============================================================
+// Gesture recognition — static hand poses, pinch strength and swipes
+// Pure landmark math (MediaPipe normalized image coords), no DOM
+// ============================================================
+
+import { createGestureVote } from './filters.js';
+
+// Default extension thresholds; js/calibration.js derives per-user ones.
+// finger: tip-to-wrist must exceed PIP-to-wrist by this ratio (index..pinky)
+// thumb: tip-to-palm-center must exceed IP-to-palm-center by this ratio
+// holdTime: ms a gesture must be held before it triggers a transition
+export const DEFAULT_THRESHOLDS = {
+    finger: { index: 1.05, middle: 1.05, ring: 1.05, pinky: 1.05 },
+    thumb: 1,
+    holdTime: 300
+};
+
+// [mcp, pip, dip, tip] landmark indices per finger
+export const FINGERS = {
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Pinch: thumb–index tip distance relative to palm size
+const PINCH_CLOSED = 0.25; // at or below → strength 1
+const PINCH_OPEN = 0.9; // at or above → strength 0
+const PINCH_ON = 0.8; // strength that counts as a 'pinch' gesture
+
+// Thumbs up/down: thumb must be mostly vertical and long enough
+const THUMB_VERTICAL_RATIO = 0.5; // of palm size
+
+// Swipes: wrist travel inside a short window (mirrored image coords)
+const SWIPE_WINDOW = 300; // ms
+const SWIPE_DISTANCE_X = 0.25;
+const SWIPE_DISTANCE_Y = 0.2;
+const SWIPE_COOLDOWN = 600; // ms
+
+// ============================================================
+// STATIC GESTURES
+// ============================================================
+// 'ilu' | 'palm' | 'pinch' | 'point' | 'peace' | 'thumbs_up' | 'thumbs_down' | 'fist' | 'other'
+export function detectGesture(landmarks, thresholds = DEFAULT_THRESHOLDS) {
+    // Landmark indices:
+    // 0: wrist
+    // 4: thumb tip, 3: thumb IP, 2: thumb MCP
+    // 8: index tip, 7: index DIP, 6: index PIP, 5: index MCP
+    // 12: middle tip, 11: middle DIP, 10: middle PIP, 9: middle MCP
+    // 16: ring tip, 15: ring DIP, 14: ring PIP, 13: ring MCP
+    // 20: pinky tip, 19: pinky DIP, 18: pinky PIP, 17: pinky MCP
+
+    const { finger } = thresholds;
+    const thumbExtended = isThumbExtended(landmarks, thresholds.thumb);
+    const indexExtended = isFingerExtended(landmarks, ...FINGERS.index, finger.index);
+    const middleExtended = isFingerExtended(landmarks, ...FINGERS.middle, finger.middle);
+    const ringExtended = isFingerExtended(landmarks, ...FINGERS.ring, finger.ring);
+    const pinkyExtended = isFingerExtended(landmarks, ...FINGERS.pinky, finger.pinky);
+
+    // ILU: thumb + index + pinky extended, middle + ring curled
+    if (thumbExtended && indexExtended && !middleExtended && !ringExtended && pinkyExtended) {
+        return 'ilu';
+    }
+
+    // Open palm: all fingers extended
+    if (thumbExtended && indexExtended && middleExtended && ringExtended && pinkyExtended) {
+        return 'palm';
+    }
+
+    // Pinch: thumb and index tips touching while the other fingers stay
+    // open ("OK" sign) — keeps a fist's tucked thumb from counting
+    if (pinchStrength(landmarks) >= PINCH_ON && (middleExtended || ringExtended || pinkyExtended)) {
+        return 'pinch';
+    }
+
+    // Point: only the index finger extended
+    if (indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
+        return 'point';
+    }
+
+    // Peace / victory: index + middle extended, ring + pinky curled
+    if (indexExtended && middleExtended && !ringExtended && !pinkyExtended) {
+        return 'peace';
+    }
+
+    // Fist: all fingers curled (or nearly so) — a clearly vertical thumb makes it a thumbs up/down
+    if (!indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
+        const thumb = thumbsDirection(landmarks);
+        if (thumbExtended && thumb) return thumb;
+        return 'fist';
+    }
+
+    return 'other';
+}
+
+export function isFingerExtended(landmarks, mcpIdx, pipIdx, dipIdx, tipIdx, ratio = 1.05) {
+    // Finger is extended if tip is farther from wrist than PIP
+    return fingerExtension(landmarks, pipIdx, tipIdx) > ratio;
+}
+
+export function isThumbExtended(landmarks, ratio = 1) {
+    // Thumb extended if tip is farther from palm center than IP joint
+    return thumbExtension(landmarks) > ratio;
+}
+
+// Tip-to-wrist over PIP-to-wrist distance; > 1 means the finger reaches out
+export function fingerExtension(landmarks, pipIdx, tipIdx) {
+    const pipDist = distance2D(landmarks[pipIdx], landmarks[0]) || 1e-6;
+    return distance2D(landmarks[tipIdx], landmarks[0]) / pipDist;
+}
+
+// Tip-to-palm-center over IP-to-palm-center distance for the thumb
+export function thumbExtension(landmarks) {
+    const palmCenter = {
+        x: (landmarks[0].x + landmarks[9].x) / 2,
+        y: (landmarks[0].y + landmarks[9].y) / 2
+    };
+    const ipDist = distance2D(landmarks[3], palmCenter) || 1e-6;
+    return distance2D(landmarks[4], palmCenter) / ipDist;
+}
+
+// ============================================================
+// CONTINUOUS MEASURES
+// ============================================================
+// Wrist → middle MCP; a scale reference that ignores finger pose
+export function palmSize(landmarks) {
+    return distance2D(landmarks[0], landmarks[9]) || 1e-6;
+}
+
+// 0 (thumb and index apart) .. 1 (tips touching)
+export function pinchStrength(landmarks) {
+    const ratio = distance2D(landmarks[4], landmarks[8]) / palmSize(landmarks);
+    const t = (ratio - PINCH_CLOSED) / (PINCH_OPEN - PINCH_CLOSED);
+    return 1 - Math.min(Math.max(t, 0), 1);
+}
+
+// 'thumbs_up' | 'thumbs_down' | null from the thumb MCP → tip vector
+function thumbsDirection(landmarks) {
+    const dx = landmarks[4].x - landmarks[2].x;
+    const dy = landmarks[4].y - landmarks[2].y;
+    if (Math.abs(dy) < Math.abs(dx) || Math.abs(dy) < palmSize(landmarks) * THUMB_VERTICAL_RATIO) return null;
+    return dy < 0 ? 'thumbs_up' : 'thumbs_down';
+}
+
+function distance2D(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+// ============================================================
+// SWIPES
+// ============================================================
+// Feed wrist positions; returns 'swipe_left' | 'swipe_right' | 'swipe_up' |
+// 'swipe_down' once per swipe, else null. Directions are as the user sees
+// them in the mirrored preview.
+export function createSwipeDetector() {
+    let history = [];
+    let cooldownUntil = 0;
+
+    return {
+        update(wrist, timestamp) {
+            history.push({ x: 1 - wrist.x, y: wrist.y, t: timestamp });
+            history = history.filter((sample) => timestamp - sample.t <= SWIPE_WINDOW);
+            if (timestamp < cooldownUntil || history.length < 2) return null;
+
+            const dx = history[history.length - 1].x - history[0].x;
+            const dy = history[history.length - 1].y - history[0].y;
+
+            let swipe = null;
+            if (Math.abs(dx) > SWIPE_DISTANCE_X && Math.abs(dx) > Math.abs(dy) * 2) {
+                swipe = dx > 0 ? 'swipe_right' : 'swipe_left';
+            } else if (Math.abs(dy) > SWIPE_DISTANCE_Y && Math.abs(dy) > Math.abs(dx) * 2) {
+                swipe = dy > 0 ? 'swipe_down' : 'swipe_up';
+            }
+
+            if (swipe) {
+                history = [];
+                cooldownUntil = timestamp + SWIPE_COOLDOWN;
+            }
+            return swipe;
+        },
+
+        reset() {
+            history = [];
+        }
+    };
+}
+
+// ============================================================
+// HOLD — a gesture acts once it has been held long enough
+// ============================================================
+// update(gesture, now) → { changed, held }: changed on the first frame of a
+// new gesture, held once it has lasted holdTime ms
+export function createGestureHold(holdTime = DEFAULT_THRESHOLDS.holdTime) {
+    let gesture = 'none';
+    let since = 0;
+
+    return {
+        get gesture() { return gesture; },
+
+        setHoldTime(ms) {
+            holdTime = ms;
+        },
+
+        update(next, now) {
+            const changed = next !== gesture;
+            if (changed) {
+                gesture = next;
+                since = now;
+            }
+            return { changed, held: now - since >= holdTime };
+        }
+    };
+}
+
+// ============================================================
+// RECOGNIZER — one per tracked hand
+// ============================================================
+// Labels pass through a majority vote (js/filters.js) so single-frame
+// misclassifications don't change the gesture.
+// Events:
+//   'gesture' (name, previous)  static gesture changed
+//   'swipe'   (name)            swipe_* fired
+//   'pinch'   (strength)        every frame while a hand is visible
+export function createGestureRecognizer(thresholds = DEFAULT_THRESHOLDS) {
+    const listeners = {};
+    const swipes = createSwipeDetector();
+    const vote = createGestureVote();
+    let gesture = 'none';
+
+    const emit = (event, ...args) => (listeners[event] || []).forEach((fn) => fn(...args));
+
+    return {
+        get gesture() { return gesture; },
+
+        // Swap in per-user thresholds (from calibration)
+        setThresholds(next) {
+            thresholds = next;
+        },
+
+        on(event, fn) {
+            (listeners[event] = listeners[event] || []).push(fn);
+            return () => {
+                listeners[event] = listeners[event].filter((listener) => listener !== fn);
+            };
+        },
+
+        // Classify one frame of landmarks → { gesture, pinch, swipe }
+        update(landmarks, timestamp) {
+            const next = vote.update(detectGesture(landmarks, thresholds));
+            const pinch = pinchStrength(landmarks);
+            const swipe = swipes.update(landmarks[0], timestamp);
+
+            if (next !== gesture) {
+                const previous = gesture;
+                gesture = next;
+                emit('gesture', gesture, previous);
+            }
+            emit('pinch', pinch);
+            if (swipe) emit('swipe', swipe);
+
+            return { gesture, pinch, swipe };
+        },
+
+        // Hand left the frame
+        lost() {
+            swipes.reset();
+            vote.reset();
+            if (gesture !== 'none') {
+                const previous = gesture;
+                gesture = 'none';
+                emit('gesture', gesture, previous);
+            }
+        }
+    };
+}
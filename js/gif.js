@@ -0,0 +1,184 @@
+// ============================================================
+// GIF — a small animated GIF89a encoder for captured clips
+// No DOM, so it runs in Node (test/gif.test.js)
+// ============================================================
+//
+// frames are RGBA pixel arrays (ImageData.data) of one size. All frames
+// share a global 256-color palette picked by popularity: colors are counted
+// in 4-bit-per-channel buckets and the busiest buckets (averaged) win.
+// That suits the mostly dark scenes with a handful of particle palettes.
+
+const BUCKET_BITS = 4;
+const BUCKETS = 1 << (BUCKET_BITS * 3);
+const MAX_COLORS = 256;
+const MAX_CODE = 4096; // LZW dictionary limit (12-bit codes)
+
+// ============================================================
+// PALETTE
+// ============================================================
+// → { colors: Uint8Array(256 * 3), indexOf(r, g, b) }
+export function buildPalette(frames) {
+    const counts = new Uint32Array(BUCKETS);
+    const sums = new Float64Array(BUCKETS * 3);
+    frames.forEach((pixels) => {
+        for (let p = 0; p < pixels.length; p += 4) {
+            const key = bucket(pixels[p], pixels[p + 1], pixels[p + 2]);
+            counts[key]++;
+            sums[key * 3] += pixels[p];
+            sums[key * 3 + 1] += pixels[p + 1];
+            sums[key * 3 + 2] += pixels[p + 2];
+        }
+    });
+
+    const used = [];
+    for (let key = 0; key < BUCKETS; key++) if (counts[key] > 0) used.push(key);
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    const colors = new Uint8Array(MAX_COLORS * 3);
+    const size = Math.min(used.length, MAX_COLORS);
+    for (let i = 0; i < size; i++) {
+        const key = used[i];
+        colors[i * 3] = Math.round(sums[key * 3] / counts[key]);
+        colors[i * 3 + 1] = Math.round(sums[key * 3 + 1] / counts[key]);
+        colors[i * 3 + 2] = Math.round(sums[key * 3 + 2] / counts[key]);
+    }
+
+    // Nearest palette entry per bucket, found on first use
+    const nearest = new Int16Array(BUCKETS).fill(-1);
+    return {
+        colors,
+        indexOf(r, g, b) {
+            const key = bucket(r, g, b);
+            if (nearest[key] < 0) nearest[key] = closest(colors, size, r, g, b);
+            return nearest[key];
+        }
+    };
+}
+
+function bucket(r, g, b) {
+    const shift = 8 - BUCKET_BITS;
+    return ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+}
+
+function closest(colors, size, r, g, b) {
+    let best = 0;
+    let bestDist = Infinity;
+    for (let i = 0; i < Math.max(size, 1); i++) {
+        const dr = colors[i * 3] - r;
+        const dg = colors[i * 3 + 1] - g;
+        const db = colors[i * 3 + 2] - b;
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+// ============================================================
+// ENCODER
+// ============================================================
+// frames: RGBA arrays of width × height; delay: ms per frame; loop: repeat
+// count (0 = forever). → Uint8Array with the .gif file
+export function encodeGif(frames, { width, height, delay = 100, loop = 0 }) {
+    const palette = buildPalette(frames);
+    const out = [];
+    const bytes = (...values) => values.forEach((v) => out.push(v));
+    const word = (v) => bytes(v & 255, (v >> 8) & 255);
+    const text = (s) => bytes(...[...s].map((c) => c.charCodeAt(0)));
+
+    // Header, logical screen with a 256-entry global color table
+    text('GIF89a');
+    word(width);
+    word(height);
+    bytes(0xf7, 0, 0);
+    palette.colors.forEach((v) => out.push(v));
+
+    // Loop (NETSCAPE2.0 application extension)
+    bytes(0x21, 0xff, 11);
+    text('NETSCAPE2.0');
+    bytes(3, 1);
+    word(loop);
+    bytes(0);
+
+    const indices = new Uint8Array(width * height);
+    frames.forEach((pixels) => {
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = palette.indexOf(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+        }
+
+        // Graphic control (delay in 1/100 s), image descriptor, LZW data
+        bytes(0x21, 0xf9, 4, 0);
+        word(Math.round(delay / 10));
+        bytes(0, 0);
+        bytes(0x2c);
+        word(0);
+        word(0);
+        word(width);
+        word(height);
+        bytes(0);
+        bytes(8);
+        const data = lzwEncode(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            out.push(block.length);
+            block.forEach((v) => out.push(v));
+        }
+        bytes(0);
+    });
+
+    bytes(0x3b);
+    return Uint8Array.from(out);
+}
+
+// GIF-flavored LZW: variable code width, LSB-first bit packing, a clear
+// code when the dictionary fills up
+export function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const out = [];
+    let buffer = 0;
+    let bits = 0;
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            out.push(buffer & 255);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) out.push(buffer & 255);
+    return Uint8Array.from(out);
+}
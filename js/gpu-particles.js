@@ -0,0 +1,654 @@
+// ============================================================
+// GPU particles — GPGPU simulation for 100k+ particles
+// ============================================================
+//
+// Positions and velocities live in float textures, one texel per particle,
+// ping-ponged between render targets each frame. The motion of each state
+// mirrors its CPU update in js/states.js; a state picks its program with
+// `shader: 'idle' | 'follow' | 'explode' | 'implode' | 'text'` (states
+// without one drift like IDLE). Hand, pose, progress, the settings panel's
+// radii and explode speed (js/tuning.js) and the state's js/physics.js
+// forces arrive as uniforms, formation targets as a texture.
+// Alpha, size and the theme palette color (js/themes.js) are computed in
+// the render shader, so nothing is uploaded per frame; audio-reactive mode
+// (js/audio.js) scales them through shared uniforms.
+//
+// Requires vertex texture fetch and renderable float textures; check with
+// supportsGpuSimulation() and keep the CPU path otherwise.
+
+import { IDLE_RADIUS, FOLLOW_RADIUS, EXPLODE_SPEED, PARTICLE_COUNT } from './constants.js';
+import { DEFAULT_FORCES, MAX_HAND_POINTS, MAX_STEP } from './physics.js';
+import { GRADIENTS, GRADIENT_EXTENT, MAX_PALETTE_SIZE } from './themes.js';
+import { FOCUS_VERTEX_GLSL, FOCUS_FRAGMENT_GLSL, createFocusUniforms } from './post-processing.js';
+import { AUDIO_VERTEX_GLSL, createAudioUniforms, audioBreathe } from './audio.js';
+
+export const SHADER_MODES = { idle: 0, follow: 1, explode: 2, implode: 3, text: 4 };
+
+const STREAM_LENGTH = 8; // pointer stream, as in js/states.js
+const STREAM_STIFFNESS = 3; // as in js/states.js
+const PALETTE_FADE_RATE = 1.5; // palette crossfades per second
+
+// Constants as GLSL float literals
+const f = (value) => (Number.isInteger(value) ? `${value}.0` : `${value}`);
+
+const SHARED_GLSL = `
+    precision highp float;
+
+    #define MODE_IDLE ${f(SHADER_MODES.idle)}
+    #define MODE_FOLLOW ${f(SHADER_MODES.follow)}
+    #define MODE_EXPLODE ${f(SHADER_MODES.explode)}
+    #define MODE_IMPLODE ${f(SHADER_MODES.implode)}
+    #define MODE_TEXT ${f(SHADER_MODES.text)}
+
+    uniform float uMode;
+
+    bool isMode(float mode) {
+        return abs(uMode - mode) < 0.5;
+    }
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+`;
+
+const QUAD_VERTEX = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const COPY_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uTexture;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(uTexture, vUv);
+    }
+`;
+
+// Forces from js/physics.js: each state's target (as its CPU update sets
+// it), a spring toward it, the hand's landmark field, curl noise, damping
+// and gravity, integrated into the velocity
+const VELOCITY_FRAGMENT = `
+    ${SHARED_GLSL}
+    uniform sampler2D uPositions;
+    uniform sampler2D uVelocities;
+    uniform sampler2D uOriginals;
+    uniform sampler2D uTargets;
+    uniform float uSide;
+    uniform float uCount;
+    uniform float uElapsed;
+    uniform float uDelta;
+    uniform float uSeed;
+    uniform vec3 uSeedHand;
+    uniform vec3 uHand;
+    uniform float uHandDetected;
+    uniform vec3 uHandA;
+    uniform vec3 uHandB;
+    uniform float uSplit;
+    uniform float uRadius;
+    uniform float uIdleRadius;
+    uniform float uFollowRadius;
+    uniform float uExplodeSpeed;
+    uniform float uRoll;
+    uniform float uPitch;
+    uniform float uPointer;
+    uniform vec3 uPointerOrigin;
+    uniform vec3 uPointerDir;
+    uniform vec2 uTextOffset;
+    uniform float uSpring;
+    uniform float uDamping;
+    uniform vec2 uField; // strength, radius
+    uniform float uSwat;
+    uniform vec3 uCurl; // strength, scale, speed
+    uniform float uGravity;
+    uniform float uMaxSpeed;
+    uniform vec3 uPoints[${MAX_HAND_POINTS}];
+    uniform float uPointCount;
+    uniform vec3 uHandVelocity;
+    uniform float uBreathe; // breathing / drift amplitude, js/audio.js audioBreathe()
+    varying vec2 vUv;
+
+    vec3 stateTarget(vec3 pos, vec3 orig, float i) {
+        if (isMode(MODE_FOLLOW)) {
+            if (uPointer > 0.5) {
+                // Stream out along the pointing finger
+                float t = mod(i / uCount + uElapsed * 0.25, 1.0);
+                float spread = 0.1 + t * 0.6;
+                return uPointerOrigin + vec3(uPointerDir.xy * t * ${f(STREAM_LENGTH)}, 0.0)
+                    + orig / uIdleRadius * spread;
+            }
+            vec3 anchor = uSplit > 0.5 ? (mod(i, 2.0) < 0.5 ? uHandA : uHandB) : uHand;
+            vec3 o = orig / uIdleRadius * uRadius;
+            o.z *= 0.5;
+            float ry = o.x * sin(uRoll) + o.y * cos(uRoll); // roll around z, then pitch around x
+            vec3 offset = vec3(
+                o.x * cos(uRoll) - o.y * sin(uRoll),
+                ry * cos(uPitch) - o.z * sin(uPitch),
+                ry * sin(uPitch) + o.z * cos(uPitch)
+            );
+            float breathe = sin(uElapsed * 2.0 + i * 0.05) * 0.15 * uBreathe;
+            return anchor + offset + vec3(breathe, breathe * 0.7, 0.0);
+        }
+        if (isMode(MODE_IMPLODE)) {
+            vec3 anchor = uHandDetected > 0.5 ? uHand : vec3(0.0);
+            return anchor + orig / uIdleRadius * uFollowRadius * vec3(1.0, 1.0, 0.5);
+        }
+        if (isMode(MODE_TEXT)) {
+            return texture2D(uTargets, vUv).xyz + vec3(uTextOffset, 0.0);
+        }
+        if (isMode(MODE_EXPLODE)) {
+            return pos;
+        }
+        // Idle drift in sphere formation
+        float angle = uElapsed * 0.2 + i * 0.01;
+        return orig + vec3(sin(angle) * 0.3, cos(angle * 0.7) * 0.3, sin(angle * 0.5) * 0.2) * uBreathe;
+    }
+
+    vec3 curlNoise(vec3 p) {
+        vec3 q = p * uCurl.y + uElapsed * uCurl.z * vec3(1.0, 1.3, 0.7);
+        vec3 sn = sin(q);
+        vec3 cs = cos(q);
+        return vec3(
+            -sn.x * sn.y - cs.z * cs.x,
+            -sn.y * sn.z - cs.x * cs.y,
+            -sn.z * sn.x - cs.y * cs.z
+        );
+    }
+
+    void main() {
+        vec3 pos = texture2D(uPositions, vUv).xyz;
+        vec3 vel = texture2D(uVelocities, vUv).xyz;
+        vec3 orig = texture2D(uOriginals, vUv).xyz;
+        vec2 cell = floor(vUv * uSide);
+        float i = cell.y * uSide + cell.x;
+
+        if (uSeed > 0.5) {
+            // Outward burst from the hand (seedExplosion)
+            vec3 away = pos - uSeedHand;
+            float dist = length(away) + 0.1;
+            vec3 r = vec3(hash(vUv + uElapsed), hash(vUv * 1.7 + uElapsed), hash(vUv * 2.3 + uElapsed));
+            vel = away / dist * uExplodeSpeed * vec3(0.5 + r.x, 0.5 + r.y, 0.3 + r.z * 0.5);
+        }
+
+        float spring = uSpring * (isMode(MODE_FOLLOW) && uPointer > 0.5 ? ${f(STREAM_STIFFNESS)} : 1.0);
+        vec3 acc = spring * (stateTarget(pos, orig, i) - pos) - vec3(0.0, uGravity, 0.0);
+        acc += curlNoise(pos) * uCurl.x;
+
+        // Landmark field; the closest point also drags particles with the hand
+        float closest = 0.0;
+        for (int k = 0; k < ${MAX_HAND_POINTS}; k++) {
+            if (float(k) >= uPointCount) break;
+            vec3 toPoint = uPoints[k] - pos;
+            float dist = length(toPoint) + 1e-4;
+            if (dist < uField.y) {
+                float falloff = 1.0 - dist / uField.y;
+                acc += toPoint * (uField.x * falloff / dist);
+                closest = max(closest, falloff);
+            }
+        }
+        acc += uHandVelocity * uSwat * closest;
+
+        vel = vel * exp(-uDamping * uDelta) + acc * uDelta;
+        float speed = length(vel);
+        if (speed > uMaxSpeed) vel *= uMaxSpeed / speed;
+
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+const POSITION_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uPositions;
+    uniform sampler2D uVelocities;
+    uniform float uDelta;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 pos = texture2D(uPositions, vUv).xyz;
+        vec3 vel = texture2D(uVelocities, vUv).xyz;
+        gl_FragColor = vec4(pos + vel * uDelta, 1.0);
+    }
+`;
+
+const RENDER_VERTEX = `
+    ${SHARED_GLSL}
+    attribute vec2 reference;
+    attribute float particleIndex;
+    uniform sampler2D uPositions;
+    uniform float uTime;
+    uniform float uPixelRatio;
+    uniform float uProgress;
+    uniform float uCount;
+    uniform float uPointer;
+    uniform float uSizeScale;
+    uniform float uAlphaScale;
+    ${FOCUS_VERTEX_GLSL}
+    ${AUDIO_VERTEX_GLSL}
+    // Theme palettes (js/themes.js): the previous one (A) fades into the current (B)
+    uniform vec3 uPaletteA[${MAX_PALETTE_SIZE}];
+    uniform vec3 uPaletteB[${MAX_PALETTE_SIZE}];
+    uniform vec2 uPaletteSize; // A, B
+    uniform vec2 uGradient; // A, B as indexes into GRADIENTS
+    uniform float uPaletteMix;
+    uniform vec3 uGradientCenter;
+    uniform float uVariation;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    // Same as gradientPosition() in js/themes.js
+    float gradientPosition(float gradient, vec3 p, float i, float size) {
+        if (abs(gradient - ${f(GRADIENTS.indexOf('vertical'))}) < 0.5) return clamp(p.y / ${f(2 * GRADIENT_EXTENT.y)} + 0.5, 0.0, 1.0);
+        if (abs(gradient - ${f(GRADIENTS.indexOf('horizontal'))}) < 0.5) return clamp(p.x / ${f(2 * GRADIENT_EXTENT.x)} + 0.5, 0.0, 1.0);
+        if (abs(gradient - ${f(GRADIENTS.indexOf('depth'))}) < 0.5) return clamp(p.z / ${f(2 * GRADIENT_EXTENT.z)} + 0.5, 0.0, 1.0);
+        if (abs(gradient - ${f(GRADIENTS.indexOf('radial'))}) < 0.5) {
+            return clamp(length(p - uGradientCenter) / ${f(GRADIENT_EXTENT.radius)}, 0.0, 1.0);
+        }
+        return size > 1.5 ? mod(i, size) / (size - 1.0) : 0.0;
+    }
+
+    // Uniform arrays may be indexed dynamically in vertex shaders
+    vec3 samplePaletteA(float t) {
+        float x = t * (uPaletteSize.x - 1.0);
+        float k = floor(x);
+        return mix(uPaletteA[int(k)], uPaletteA[int(min(k + 1.0, uPaletteSize.x - 1.0))], x - k);
+    }
+
+    vec3 samplePaletteB(float t) {
+        float x = t * (uPaletteSize.y - 1.0);
+        float k = floor(x);
+        return mix(uPaletteB[int(k)], uPaletteB[int(min(k + 1.0, uPaletteSize.y - 1.0))], x - k);
+    }
+
+    void main() {
+        float i = particleIndex;
+        float alpha;
+        float size;
+
+        // Same looks as the CPU updates in js/states.js
+        if (isMode(MODE_FOLLOW) && uPointer > 0.5) {
+            float t = mod(i / uCount + uTime * 0.25, 1.0);
+            alpha = 0.8 - t * 0.5;
+            size = 3.0 - t * 1.5;
+        } else if (isMode(MODE_FOLLOW)) {
+            alpha = 0.5 + sin(uTime * 3.0 + i * 0.3) * 0.2;
+            size = 2.5 + sin(uTime + i * 0.2) * 1.5;
+        } else if (isMode(MODE_EXPLODE)) {
+            alpha = min(0.5 + uProgress * 0.4, 0.9);
+            size = 3.0 + hash(vec2(i, floor(uTime * 60.0))) * 3.0;
+        } else if (isMode(MODE_IMPLODE)) {
+            alpha = 0.4 + uProgress * 0.3;
+            size = 2.0 + uProgress * 2.0;
+        } else if (isMode(MODE_TEXT)) {
+            alpha = 0.85 + sin(uTime * 5.0 + i * 0.4) * 0.15;
+            size = 4.0 + sin(uTime * 3.0 + i * 0.2) * 2.0;
+        } else {
+            alpha = 0.3 + sin(uTime + i) * 0.15;
+            size = 2.0 + sin(uTime * 0.5 + i * 0.1);
+        }
+
+        vec3 simulated = texture2D(uPositions, reference).xyz;
+
+        // Palette color along the gradient, with slight per-particle brightness variation
+        vec3 from = samplePaletteA(gradientPosition(uGradient.x, simulated, i, uPaletteSize.x));
+        vec3 to = samplePaletteB(gradientPosition(uGradient.y, simulated, i, uPaletteSize.y));
+        vColor = mix(from, to, uPaletteMix) * (1.0 + sin(i * 0.3) * uVariation);
+
+        vec4 mvPosition = modelViewMatrix * vec4(simulated, 1.0);
+        float dist = length(mvPosition.xyz);
+        // Out of focus: a larger, dimmer disc (js/post-processing.js)
+        vBlur = focusBlur(dist);
+        vAlpha = alpha * uAlphaScale * audioAlpha() / (1.0 + vBlur * 3.0);
+        gl_PointSize = max(size * uSizeScale * audioSize() * uPixelRatio * (8.0 / dist) * (1.0 + vBlur * 3.0), 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const RENDER_FRAGMENT = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    ${FOCUS_FRAGMENT_GLSL}
+
+    void main() {
+        // Circular particle with soft glow
+        float d = length(gl_PointCoord - vec2(0.5));
+        if (d > 0.5) discard;
+
+        gl_FragColor = vec4(vColor, vAlpha * particleGlow(d));
+    }
+`;
+
+// ============================================================
+// SUPPORT CHECK
+// ============================================================
+export function supportsGpuSimulation(renderer) {
+    const { capabilities, extensions } = renderer;
+    if (capabilities.maxVertexTextures < 1) return false;
+    if (!capabilities.isWebGL2 && !extensions.get('OES_texture_float')) return false;
+    if (capabilities.isWebGL2 && !extensions.get('EXT_color_buffer_float')) return false;
+
+    // Some WebGL1 drivers expose float textures but can't render to them
+    const probe = createTarget(1);
+    const previous = renderer.getRenderTarget();
+    renderer.setRenderTarget(probe);
+    const gl = renderer.getContext();
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    renderer.setRenderTarget(previous);
+    probe.dispose();
+    return complete;
+}
+
+function createTarget(side) {
+    return new THREE.WebGLRenderTarget(side, side, {
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        format: THREE.RGBAFormat,
+        type: THREE.FloatType,
+        depthBuffer: false,
+        stencilBuffer: false
+    });
+}
+
+// xyz triplets → RGBA float texture, one texel per particle
+function createDataTexture(values, side) {
+    const data = new Float32Array(side * side * 4);
+    const count = values ? values.length / 3 : 0;
+    for (let i = 0; i < count; i++) {
+        data[i * 4] = values[i * 3];
+        data[i * 4 + 1] = values[i * 3 + 1];
+        data[i * 4 + 2] = values[i * 3 + 2];
+        data[i * 4 + 3] = 1;
+    }
+    const texture = new THREE.DataTexture(data, side, side, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// ============================================================
+// SIMULATION
+// ============================================================
+// originals: Float32Array of count * 3 rest positions (the idle sphere);
+// focusUniforms: createFocusUniforms() from js/post-processing.js;
+// audioUniforms: createAudioUniforms() from js/audio.js
+export function createGpuParticles(renderer, {
+    count, originals, focusUniforms = createFocusUniforms(), audioUniforms = createAudioUniforms()
+}) {
+    const side = Math.ceil(Math.sqrt(count));
+    const originalsTexture = createDataTexture(originals, side);
+    const targetsTexture = createDataTexture(originals, side);
+
+    let positions = [createTarget(side), createTarget(side)];
+    let velocities = [createTarget(side), createTarget(side)];
+
+    // Full-screen quad for the simulation passes
+    const quadScene = new THREE.Scene();
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    quadScene.add(quad);
+
+    const pass = (fragmentShader, uniforms) => new THREE.ShaderMaterial({
+        uniforms, vertexShader: QUAD_VERTEX, fragmentShader, depthTest: false, depthWrite: false
+    });
+
+    const copyMaterial = pass(COPY_FRAGMENT, { uTexture: { value: null } });
+    const velocityMaterial = pass(VELOCITY_FRAGMENT, {
+        uMode: { value: 0 },
+        uPositions: { value: null },
+        uVelocities: { value: null },
+        uOriginals: { value: originalsTexture },
+        uTargets: { value: targetsTexture },
+        uSide: { value: side },
+        uCount: { value: count },
+        uElapsed: { value: 0 },
+        uDelta: { value: 0 },
+        uSeed: { value: 0 },
+        uSeedHand: { value: new THREE.Vector3() },
+        uHand: { value: new THREE.Vector3() },
+        uHandDetected: { value: 0 },
+        uHandA: { value: new THREE.Vector3() },
+        uHandB: { value: new THREE.Vector3() },
+        uSplit: { value: 0 },
+        uRadius: { value: FOLLOW_RADIUS },
+        uIdleRadius: { value: IDLE_RADIUS },
+        uFollowRadius: { value: FOLLOW_RADIUS },
+        uExplodeSpeed: { value: EXPLODE_SPEED },
+        uRoll: { value: 0 },
+        uPitch: { value: 0 },
+        uPointer: { value: 0 },
+        uPointerOrigin: { value: new THREE.Vector3() },
+        uPointerDir: { value: new THREE.Vector3() },
+        uTextOffset: { value: new THREE.Vector2() },
+        uSpring: { value: 0 },
+        uDamping: { value: 0 },
+        uField: { value: new THREE.Vector2() },
+        uSwat: { value: 0 },
+        uCurl: { value: new THREE.Vector3() },
+        uGravity: { value: 0 },
+        uMaxSpeed: { value: 1 },
+        uPoints: { value: Array.from({ length: MAX_HAND_POINTS }, () => new THREE.Vector3()) },
+        uPointCount: { value: 0 },
+        uHandVelocity: { value: new THREE.Vector3() },
+        uBreathe: { value: 1 }
+    });
+    const positionMaterial = pass(POSITION_FRAGMENT, {
+        uPositions: { value: null },
+        uVelocities: { value: null },
+        uDelta: { value: 0 }
+    });
+
+    const render = (material, target) => {
+        quad.material = material;
+        renderer.setRenderTarget(target);
+        renderer.render(quadScene, quadCamera);
+        renderer.setRenderTarget(null);
+    };
+
+    // Seed both position buffers with the rest positions, velocities with 0
+    function seed() {
+        const zeros = createDataTexture(null, side);
+        [0, 1].forEach((k) => {
+            copyMaterial.uniforms.uTexture.value = originalsTexture;
+            render(copyMaterial, positions[k]);
+            copyMaterial.uniforms.uTexture.value = zeros;
+            render(copyMaterial, velocities[k]);
+        });
+        zeros.dispose();
+    }
+    seed();
+
+    // Points read their position straight from the simulation texture
+    const geometry = new THREE.BufferGeometry();
+    const references = new Float32Array(count * 2);
+    const indices = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        references[i * 2] = ((i % side) + 0.5) / side;
+        references[i * 2 + 1] = (Math.floor(i / side) + 0.5) / side;
+        indices[i] = i;
+    }
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+    geometry.setAttribute('particleIndex', new THREE.BufferAttribute(indices, 1));
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 100); // positions live on the GPU
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uMode: { value: 0 },
+            uPositions: { value: positions[0].texture },
+            uTime: { value: 0 },
+            uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
+            uProgress: { value: 0 },
+            uCount: { value: count },
+            uPointer: { value: 0 },
+            uSizeScale: { value: 1 },
+            uAlphaScale: { value: 1 },
+            uPaletteA: { value: Array.from({ length: MAX_PALETTE_SIZE }, () => new THREE.Vector3()) },
+            uPaletteB: { value: Array.from({ length: MAX_PALETTE_SIZE }, () => new THREE.Vector3()) },
+            uPaletteSize: { value: new THREE.Vector2(1, 1) },
+            uGradient: { value: new THREE.Vector2() },
+            uPaletteMix: { value: 1 },
+            uGradientCenter: { value: new THREE.Vector3() },
+            uVariation: { value: 0.1 },
+            ...focusUniforms,
+            ...audioUniforms
+        },
+        vertexShader: RENDER_VERTEX,
+        fragmentShader: RENDER_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+
+    // Thin out size and brightness so more particles don't blow out to white
+    function setDrawCount(drawn) {
+        const density = Math.min(Math.sqrt(PARTICLE_COUNT / drawn), 1);
+        material.uniforms.uSizeScale.value = Math.max(density, 0.35);
+        material.uniforms.uAlphaScale.value = Math.max(density, 0.25);
+        geometry.setDrawRange(0, drawn);
+    }
+    setDrawCount(count);
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false;
+
+    let seedPending = false;
+    let seedHand = { x: 0, y: 0, z: 0 };
+    let paletteSet = false; // the first palette shows at once
+
+    return {
+        count,
+        points,
+
+        // Render only the first n particles (the quality governor, js/quality.js);
+        // the rest keep simulating so they are in place when drawn again
+        setDrawCount,
+
+        // Formation targets (count * 3) for the 'text' program
+        setTargets(targets) {
+            const data = targetsTexture.image.data;
+            for (let i = 0; i < count; i++) {
+                data[i * 4] = targets[i * 3];
+                data[i * 4 + 1] = targets[i * 3 + 1];
+                data[i * 4 + 2] = targets[i * 3 + 2];
+            }
+            targetsTexture.needsUpdate = true;
+        },
+
+        // Every particle back at its rest position, at rest
+        reset() {
+            seed();
+            seedPending = false;
+        },
+
+        // Outward burst on the next step (see seedExplosion in js/states.js)
+        seedExplosion(hand) {
+            seedPending = true;
+            seedHand = { x: hand.x, y: hand.y, z: hand.z };
+        },
+
+        // { colors: [{ r, g, b }], gradient } from statePalette() in js/themes.js;
+        // fades in from the previous palette over the next steps
+        setPalette({ colors, gradient }, variation) {
+            const m = material.uniforms;
+            m.uPaletteB.value.forEach((color, k) => m.uPaletteA.value[k].copy(color));
+            m.uPaletteSize.value.x = m.uPaletteSize.value.y;
+            m.uGradient.value.x = m.uGradient.value.y;
+
+            colors.slice(0, MAX_PALETTE_SIZE).forEach(({ r, g, b }, k) => m.uPaletteB.value[k].set(r, g, b));
+            m.uPaletteSize.value.y = Math.min(colors.length, MAX_PALETTE_SIZE);
+            m.uGradient.value.y = Math.max(GRADIENTS.indexOf(gradient), 0);
+            m.uPaletteMix.value = paletteSet ? 0 : 1;
+            if (variation !== undefined) m.uVariation.value = variation;
+            paletteSet = true;
+        },
+
+        setPixelRatio(ratio) {
+            material.uniforms.uPixelRatio.value = ratio;
+        },
+
+        // frame: the state update's frame (js/states.js) plus { shader }
+        step(frame) {
+            const {
+                shader, forces = DEFAULT_FORCES, hand, handDetected, hands, twoHand, tilt, pinch, pointer,
+                handPoints = [], handVelocity, audio, progress, delta, elapsed, tuning = {}
+            } = frame;
+            const { idleRadius = IDLE_RADIUS, followRadius = FOLLOW_RADIUS, explodeSpeed = EXPLODE_SPEED } = tuning;
+            const mode = SHADER_MODES[shader] !== undefined ? SHADER_MODES[shader] : SHADER_MODES.idle;
+            const split = hands && hands.length === 2 && twoHand && !twoHand.merged;
+            const dt = Math.min(delta || 0, MAX_STEP);
+
+            const u = velocityMaterial.uniforms;
+            u.uMode.value = mode;
+            u.uPositions.value = positions[0].texture;
+            u.uVelocities.value = velocities[0].texture;
+            u.uElapsed.value = elapsed;
+            u.uDelta.value = dt;
+            u.uSeed.value = seedPending ? 1 : 0;
+            u.uSeedHand.value.set(seedHand.x, seedHand.y, seedHand.z);
+            u.uHand.value.set(hand.x, hand.y, hand.z);
+            u.uHandDetected.value = handDetected ? 1 : 0;
+            u.uSplit.value = split ? 1 : 0;
+            if (split) {
+                u.uHandA.value.set(hands[0].x, hands[0].y, hands[0].z);
+                u.uHandB.value.set(hands[1].x, hands[1].y, hands[1].z);
+            }
+            u.uIdleRadius.value = idleRadius;
+            u.uFollowRadius.value = followRadius;
+            u.uExplodeSpeed.value = explodeSpeed;
+            u.uRadius.value = followRadius * (twoHand ? twoHand.scale : 1) * (1 - (pinch || 0) * 0.6);
+            u.uRoll.value = twoHand ? twoHand.rotation : tilt ? tilt.roll : 0;
+            u.uPitch.value = !twoHand && tilt ? tilt.pitch : 0;
+            u.uPointer.value = pointer ? 1 : 0;
+            if (pointer) {
+                u.uPointerOrigin.value.set(pointer.origin.x, pointer.origin.y, pointer.origin.z);
+                u.uPointerDir.value.set(pointer.direction.x, pointer.direction.y, 0);
+            }
+            u.uTextOffset.value.set(handDetected ? hand.x * 0.3 : 0, handDetected ? hand.y * 0.3 : 0);
+
+            u.uSpring.value = forces.spring;
+            u.uDamping.value = forces.damping;
+            u.uField.value.set(forces.field.strength, forces.field.radius);
+            u.uSwat.value = forces.swat;
+            u.uCurl.value.set(forces.curl.strength, forces.curl.scale, forces.curl.speed);
+            u.uGravity.value = forces.gravity;
+            u.uMaxSpeed.value = forces.maxSpeed;
+            const points = handPoints.slice(0, MAX_HAND_POINTS);
+            points.forEach((point, k) => u.uPoints.value[k].set(point.x, point.y, point.z));
+            u.uPointCount.value = points.length;
+            if (handVelocity) u.uHandVelocity.value.set(handVelocity.x, handVelocity.y, handVelocity.z);
+            else u.uHandVelocity.value.set(0, 0, 0);
+            u.uBreathe.value = audioBreathe(audio);
+
+            render(velocityMaterial, velocities[1]);
+            velocities = [velocities[1], velocities[0]];
+            seedPending = false;
+
+            positionMaterial.uniforms.uPositions.value = positions[0].texture;
+            positionMaterial.uniforms.uVelocities.value = velocities[0].texture;
+            positionMaterial.uniforms.uDelta.value = dt;
+            render(positionMaterial, positions[1]);
+            positions = [positions[1], positions[0]];
+
+            const m = material.uniforms;
+            m.uMode.value = mode;
+            m.uPositions.value = positions[0].texture;
+            m.uTime.value = elapsed;
+            m.uProgress.value = progress;
+            m.uPointer.value = pointer ? 1 : 0;
+            m.uPaletteMix.value = Math.min(m.uPaletteMix.value + dt * PALETTE_FADE_RATE, 1);
+            if (handDetected) m.uGradientCenter.value.set(hand.x, hand.y, hand.z);
+            else m.uGradientCenter.value.set(0, 0, 0);
+        },
+
+        dispose() {
+            [...positions, ...velocities].forEach((target) => target.dispose());
+            [originalsTexture, targetsTexture].forEach((texture) => texture.dispose());
+            [copyMaterial, velocityMaterial, positionMaterial, material].forEach((m) => m.dispose());
+            quad.geometry.dispose();
+            geometry.dispose();
+        }
+    };
+}
@@ -0,0 +1,57 @@
+// ============================================================
+// Hand pose — distance from the camera and palm orientation
+// Pure landmark math (MediaPipe normalized image coords), no DOM
+// ============================================================
+//
+// MediaPipe's landmark z is relative to the wrist, so absolute distance
+// comes from the palm's apparent size: the wrist / index MCP / pinky MCP
+// triangle barely changes shape as fingers move, and measuring it in 3D
+// (with landmark z) keeps a tilted palm from reading as a distant one.
+
+// Camera frame aspect (640×480); x and z are in frame widths, y in heights
+const FRAME_ASPECT = 4 / 3;
+
+// Palm span (in frame heights) of a hand at a comfortable distance → z 0
+const REFERENCE_SPAN = 0.18;
+const DEPTH_SCALE = 4; // world units per doubling / halving of palm size
+const MAX_DEPTH = 5; // world units either side of the z = 0 plane
+
+const PALM_TRIANGLE = [[0, 5], [0, 17], [5, 17]];
+
+// Mean edge length of the wrist / index MCP / pinky MCP triangle
+export function palmSpan(landmarks) {
+    const total = PALM_TRIANGLE.reduce((sum, [a, b]) => sum + distance3D(landmarks[a], landmarks[b]), 0);
+    return total / PALM_TRIANGLE.length;
+}
+
+// World z of the hand: positive toward the viewer (bigger palm = closer)
+export function estimateDepth(landmarks) {
+    const ratio = palmSpan(landmarks) / REFERENCE_SPAN;
+    const depth = Math.log2(Math.max(ratio, 1e-3)) * DEPTH_SCALE;
+    return Math.min(Math.max(depth, -MAX_DEPTH), MAX_DEPTH);
+}
+
+// Palm orientation in world space (mirrored like the preview), radians:
+//   roll  — spin in the screen plane, 0 with fingers up, + counter-clockwise
+//   pitch — fingers tipped toward (+) or away from (−) the viewer
+export function handOrientation(landmarks) {
+    const wrist = landmarks[0];
+    const middleMCP = landmarks[9];
+    const up = {
+        x: -(middleMCP.x - wrist.x) * FRAME_ASPECT,
+        y: -(middleMCP.y - wrist.y),
+        z: -((middleMCP.z || 0) - (wrist.z || 0)) * FRAME_ASPECT
+    };
+
+    return {
+        roll: Math.atan2(-up.x, up.y),
+        pitch: Math.atan2(up.z, Math.hypot(up.x, up.y))
+    };
+}
+
+function distance3D(a, b) {
+    const dx = (a.x - b.x) * FRAME_ASPECT;
+    const dy = a.y - b.y;
+    const dz = ((a.z || 0) - (b.z || 0)) * FRAME_ASPECT;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
@@ -0,0 +1,2072 @@
+// ============================================================
+// Hand Universe — Interactive 3D Particle Experience
+// Three.js + MediaPipe Hands
+// ============================================================
+//
+// createHandUniverse(container, options) builds one self-contained instance
+// inside container. Its markup (js/markup.js) and style.css live in a shadow
+// root, so several instances can share a page without their IDs or styles
+// clashing. main.js runs the full-page app; defineHandUniverseElement()
+// registers a <hand-universe> custom element for other pages.
+//
+// options (all optional):
+//   title, tagline, message, shape, story, theme   experience config (js/config.js)
+//   particleCount   particles simulated (default PARTICLE_COUNT, or
+//                   GPU_PARTICLE_COUNT on the GPU)
+//   tuning          settings panel overrides (js/tuning.js), e.g. { followRadius: 3 }
+//   states          state table entries merged over js/states.js; IDLE is
+//                   the initial state
+//   replay          { url, speed, loop } recording the start button plays
+//                   instead of the camera (js/replay.js)
+//   gpu, worker, post   false turns off the GPU simulation, the hand worker or
+//                   post-processing
+//   quality         'auto' or a level from js/quality.js; stats: show the stats overlay
+//   assets          'auto' | 'cdn' | 'local' (js/assets.js)
+//   idleTimeout     ms without a hand before attract mode; 0 never
+//   keyboard        false ignores the shortcut and pointer pose keys (for a second instance)
+//   standalone      the instance is the whole page: the editor loads and saves
+//                   its config and edits the page URL
+//
+// → { on(event, fn) → unsubscribe, setState(name), setTheme(source),
+//     setConfig(partial), setTuning(overrides) → errors, start(kind),
+//     pause(), resume(), stop(), reset(), destroy(), state, phase, tuning,
+//     element, ready }
+// Events (see HAND_UNIVERSE_EVENTS):
+//   ready        loaded; the idle sphere is rendering
+//   gesture      { gesture } whenever the recognized gesture changes
+//   statechange  { state, previous }
+//   phasechange  { phase, previous } of the lifecycle (js/lifecycle.js)
+//   config       the experience config, whenever it is applied
+//   error        an Error that stopped the experience from loading or starting
+
+import { DEFAULT_CONFIG, loadConfig, saveConfig, clearSavedConfig, mergeConfig, configToUrl, clearQueryConfig, withLineScales } from './config.js';
+import { createTextTargets, createShapeTargets } from './shapes.js';
+import { loadStory, createStoryPlayer } from './story.js';
+import { TRANSITION_RATE } from './constants.js';
+import { STATES, STATE } from './states.js';
+import { createStateMachine } from './state-machine.js';
+import { createHandTracking } from './tracking.js';
+import { createGestureHold, DEFAULT_THRESHOLDS } from './gestures.js';
+import { createCalibrationSession, loadCalibration, saveCalibration, clearCalibration } from './calibration.js';
+import { createCameraInput, createWorkerCameraInput, supportsWorkerInference, createPointerInput, keyTarget } from './input.js';
+import { createPositionInterpolator } from './filters.js';
+import { createRecorder, loadRecording, createReplayInput } from './replay.js';
+import { hexToRgba } from './math.js';
+import { supportsGpuSimulation, createGpuParticles } from './gpu-particles.js';
+import { DEFAULT_FORCES } from './physics.js';
+import { createPerformanceMonitor, createQualityGovernor, loadQualityMode, saveQualityMode } from './quality.js';
+import { createPostProcessing, createFocusUniforms, resolveEffects, FOCUS_VERTEX_GLSL, FOCUS_FRAGMENT_GLSL } from './post-processing.js';
+import { createCapture, supportsVideoCapture } from './capture.js';
+import { createAudioEngine, createAudioUniforms, AUDIO_VERTEX_GLSL } from './audio.js';
+import { locateAssets, loadScript, loadStylesheet } from './assets.js';
+import { createLifecycle, createIdleTimer, PHASE, DEFAULT_IDLE_TIMEOUT } from './lifecycle.js';
+import { describeStartupError, STARTUP_ACTIONS, listCameras, loadCameraChoice, saveCameraChoice } from './startup.js';
+import { THEMES, DEFAULT_THEME, loadTheme, normalizeTheme, statePalette, gradientPosition, samplePalette, toRgb } from './themes.js';
+import {
+    TUNING_PARAMS, validateTuning, checkValue, resolveTuning, tunedForces, needsRebuild, tuningToUrl, tuningToJson,
+    parseTuningJson, loadTuningPresets, saveTuningPreset, deleteTuningPreset
+} from './tuning.js';
+import { MARKUP } from './markup.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+// Calibration wizard steps (see js/calibration.js)
+const CALIBRATION_STEPS = [
+    { gesture: 'fist', icon: '✊', prompt: 'Make a fist' },
+    { gesture: 'palm', icon: '🖐️', prompt: 'Open your palm, fingers spread' },
+    { gesture: 'ilu', icon: '🤟', prompt: 'Show the I Love You sign' }
+];
+const CALIBRATION_PREPARE_TIME = 1500; // ms to get into position
+const CALIBRATION_RECORD_TIME = 2000; // ms of frames recorded per gesture
+
+// Shapes that need an uploaded file, with the accepted extensions
+const SHAPE_FILE_TYPES = {
+    image: '.png,.jpg,.jpeg,.webp,.gif',
+    svg: '.svg',
+    model: '.obj,.ply'
+};
+
+// Inside each instance's shadow root, next to the markup
+const STYLESHEET = new URL('../style.css', import.meta.url).href;
+
+// Third-party assets and vendor/ resolve against the app, not the host page
+const APP_ROOT = new URL('../', import.meta.url).href;
+
+export const HAND_UNIVERSE_EVENTS = ['ready', 'gesture', 'statechange', 'phasechange', 'config', 'error'];
+
+export function createHandUniverse(container, options = {}) {
+    // ============================================================
+    // INSTANCE STATE
+    // ============================================================
+    const states = { ...STATES, ...options.states };
+    const stateMachine = createStateMachine({ states, initial: STATE.IDLE });
+    let handPosition = { x: 0, y: 0, z: 0 };
+    let handDetected = false;
+    let trackedHands = []; // world positions, one per visible hand (Left first)
+    let twoHandPose = null; // { scale, rotation, merged, center, gesture } with two hands
+    let handTilt = null; // { roll, pitch } of a single hand (js/hand-pose.js), if HAND_TILT
+    let pinchAmount = 0; // 0..1, strongest pinch of the visible hands
+    let pointer = null; // { origin, direction } ray from a pointing index finger
+    let handPoints = []; // world landmarks of the visible hands, the physics force field
+    const handVelocity = { x: 0, y: 0, z: 0 }; // of the interpolated handPosition, units / s
+    let handSampled = false; // handPosition was sampled last frame (velocity is meaningful)
+
+    // Smoothing, per-hand recognizers and world mapping (js/tracking.js)
+    const handTracking = createHandTracking();
+    const gestureHold = createGestureHold();
+    const handInterpolator = createPositionInterpolator(); // handPosition glides between results
+    let gestureUiHoldUntil = 0; // keep one-shot gestures (swipes) on the HUD briefly
+    let gestureThresholds = DEFAULT_THRESHOLDS; // per-user after calibration (js/calibration.js)
+
+    // Live settings (js/tuning.js): the overrides from the panel, a preset or a
+    // link, and every value resolved. particleCount sets both simulations' count.
+    let tuningOverrides = startTuning();
+    let tuning = resolveTuning(tuningOverrides);
+
+    // Three.js
+    let scene, camera, renderer;
+    let particleSystem, particleGeometry;
+    let particlePositions, particleVelocities, particleTargets, particleOriginals;
+    let particleColors, particleAlphas, particleSizes;
+    let colorAttr, alphaAttr, sizeAttr;
+    let particles; // buffers handed to the state hooks / updates (js/states.js)
+    let particleCount = tuning.particleCount;
+    let gpuParticles = null; // GPU simulation (js/gpu-particles.js); null on the CPU path
+    let uploadedTargets = null; // formation targets last sent to the GPU
+    let stars;
+    let postProcessing = null; // bloom / trails pipeline (js/post-processing.js); null with post: false
+    const focusUniforms = createFocusUniforms(); // particle depth of field, shared by the particle materials
+    let audioUniforms; // audio-reactive size / alpha, shared by the particle materials
+
+    // Adaptive quality (js/quality.js)
+    const perfMonitor = createPerformanceMonitor();
+    let qualityGovernor;
+    let statsEl, statsTextEl;
+    let statsUpdatedAt = 0;
+
+    // Animation
+    let clock;
+    let frameRequest = null; // requestAnimationFrame id while the render loop runs
+    let stateTransition = 0; // 0..1 for smooth transitions
+
+    // Theme (js/themes.js) — palettes, background, stars, HUD and landmarks
+    let theme = normalizeTheme(THEMES[DEFAULT_THEME]);
+    let themeSource = DEFAULT_THEME; // what the theme was loaded from
+    let themeRequest = 0; // latest theme load wins
+    let palette = null; // { colors, gradient } the particles are heading toward
+    let paletteSource = {}; // theme / state / scene color the palette was built from
+
+    // Formation targets (text or any shape from js/shapes.js)
+    let formationTargets = null;
+    let formationRequest = 0; // latest shape load wins
+
+    // Story mode (js/story.js) — null when showing a single formation
+    let storyPlayer = null;
+    let sceneTargets = []; // Promise<Float32Array> per scene
+    let storyGestureArmed = false; // scene gestures fire once per hold
+    const startConfig = mergeConfig(DEFAULT_CONFIG, options); // what the editor's Reset returns to
+    let experienceConfig = startConfig;
+
+    // Hand tracking
+    let assets; // { mode, urls } of the third-party scripts and models (js/assets.js)
+    let inputProvider = null; // camera, pointer or scripted source of hand frames (js/input.js)
+    let inputReady = null; // Promise once the provider has started
+    let cameraDeviceId = loadCameraChoice(); // '' for the default camera
+    let stopInputFrames = null;
+    const recorder = createRecorder(); // R toggles landmark recording (js/replay.js)
+    let capture; // video / GIF / screenshot of the canvas (js/capture.js)
+    const audio = createAudioEngine(); // transition sounds, ambient and audio-reactive input (js/audio.js)
+    let webcamCanvas, webcamCtx;
+
+    // Lifecycle (js/lifecycle.js) — start / pause / resume / stop, and attract
+    // mode after idleTimeout ms without a hand (0 turns it off)
+    const lifecycle = createLifecycle({
+        start: startInput,
+        pause: pauseExperience,
+        resume: resumeExperience,
+        stop: stopExperience,
+        release: releaseInput,
+        reset: resetExperience,
+        destroy: releaseResources
+    });
+    const idleTimer = createIdleTimer(options.idleTimeout !== undefined ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT);
+
+    // Calibration wizard
+    let calibrationSession = null; // active while the wizard runs
+    let calibrationGesture = null; // gesture being recorded right now
+    let calibrationCancelled = false;
+
+    // UI elements
+    let gestureIconEl, gestureLabelEl, stateTextEl, stateDotEl;
+    let instructionsEl, startBtn, pointerBtn, startErrorEl, cameraPicker, cameraSelect, webcamPreview, webcamLabelEl, stateIndicator, gestureHud;
+    let captureControls, audioControls, lifecycleControls;
+
+    // Markup and style.css in a shadow root of their own
+    const host = document.createElement('div');
+    host.className = 'hand-universe';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `<link rel="stylesheet" href="${STYLESHEET}">${MARKUP}`;
+    container.appendChild(host);
+    const byId = (id) => shadow.getElementById(id);
+    let resizeObserver = null;
+
+    // Host page listeners, removed again by destroy()
+    const cleanups = [];
+    function listen(target, type, fn, listenerOptions) {
+        target.addEventListener(type, fn, listenerOptions);
+        cleanups.push(() => target.removeEventListener(type, fn, listenerOptions));
+    }
+
+    // Shortcut keys, unless typing in a field or turned off with keyboard: false
+    function onKey(key, fn) {
+        if (options.keyboard === false) return;
+        listen(window, 'keydown', (e) => {
+            if (/^(INPUT|TEXTAREA|SELECT)$/.test(keyTarget(e).tagName) || e.key.toLowerCase() !== key) return;
+            fn(e);
+        });
+    }
+
+    // Events for the host page (HAND_UNIVERSE_EVENTS)
+    const eventListeners = {};
+    function emit(event, detail) {
+        (eventListeners[event] || []).forEach((fn) => fn(detail));
+    }
+    let lastGesture = 'none';
+
+    // ============================================================
+    // INITIALIZATION
+    // ============================================================
+    // → true once the scene renders, false if loading failed (see 'error')
+    async function init() {
+        // Cache UI elements
+        gestureIconEl = byId('gesture-icon');
+        gestureLabelEl = byId('gesture-label');
+        stateTextEl = byId('state-text');
+        stateDotEl = byId('state-dot');
+        instructionsEl = byId('instructions');
+        startBtn = byId('start-btn');
+        pointerBtn = byId('pointer-btn');
+        startErrorEl = byId('start-error');
+        cameraPicker = byId('camera-picker');
+        cameraSelect = byId('camera-select');
+        webcamPreview = byId('webcam-preview');
+        webcamLabelEl = byId('webcam-label');
+        webcamCanvas = byId('webcam-canvas');
+        webcamCtx = webcamCanvas.getContext('2d');
+        stateIndicator = byId('state-indicator');
+        gestureHud = byId('gesture-hud');
+
+        // Three.js, MediaPipe and fonts from vendor/ when self-hosted, else the CDNs
+        try {
+            assets = await locateAssets(options.assets || 'auto', APP_ROOT);
+            loadStylesheet(assets.urls.fonts);
+            await loadScript(assets.urls.three);
+        } catch (err) {
+            failStartup(err);
+            return false;
+        }
+        if (lifecycle.phase === PHASE.DESTROYED) return false; // destroyed while loading
+        audioUniforms = createAudioUniforms();
+
+        // Message / overlay config; the full-page app also has saved edits and the URL
+        if (options.standalone) experienceConfig = mergeConfig(loadConfig(), options);
+        applyConfigToOverlay(experienceConfig);
+        initMessageEditor();
+        initCalibrationControls();
+        initCameraPicker();
+
+        // Quality preset — fixed by the quality option or the saved choice, else adaptive
+        qualityGovernor = createQualityGovernor({
+            mode: options.quality || loadQualityMode(),
+            onChange: (level, preset) => applyQuality(preset)
+        });
+
+        // Setup Three.js
+        try {
+            initThree();
+        } catch (err) {
+            failStartup(err);
+            return false;
+        }
+        applyTheme(theme);
+        setTheme(experienceConfig.theme);
+        applyQuality(qualityGovernor.preset);
+        initQualityControls();
+        initSettingsPanel();
+        initCaptureControls();
+        initAudioControls();
+        initLifecycleControls();
+        generateFormationTargets(experienceConfig);
+
+        // Start render loop
+        clock = new THREE.Clock();
+        startRenderLoop();
+
+        // State UI follows the machine
+        stateMachine.onChange(onStateChange);
+
+        // Swipes from either hand
+        Object.values(handTracking.recognizers).forEach((recognizer) => recognizer.on('swipe', triggerGesture));
+
+        // Start with the camera, or the mouse / touch / keyboard fallback
+        startBtn.addEventListener('click', () => startExperience(options.replay ? 'replay' : 'camera'));
+        pointerBtn.addEventListener('click', () => startExperience('pointer'));
+
+        // A replay swaps the camera for a recorded session
+        if (options.replay) startBtn.textContent = 'Start replay';
+
+        // R records the incoming landmark frames to a JSON file
+        onKey('r', toggleRecording);
+
+        // T cycles the built-in themes (for this visit; the editor saves one)
+        onKey('t', () => {
+            const names = Object.keys(THEMES);
+            const index = names.indexOf(themeSource);
+            setTheme(names[(index + 1) % names.length]);
+        });
+
+        emit('ready');
+        return true;
+    }
+
+    // ============================================================
+    // THREE.JS SETUP
+    // ============================================================
+    function initThree() {
+        const container = byId('canvas-container');
+
+        // Scene
+        scene = new THREE.Scene();
+        scene.fog = new THREE.FogExp2(theme.fog.color, theme.fog.density);
+
+        // Camera
+        camera = new THREE.PerspectiveCamera(60, host.clientWidth / host.clientHeight, 0.1, 100);
+        camera.position.set(0, 0, 12);
+
+        // Renderer
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
+        } catch (err) {
+            const error = new Error(`WebGL unavailable: ${err.message}`);
+            error.name = 'WebGLUnavailableError';
+            throw error;
+        }
+        renderer.setSize(host.clientWidth, host.clientHeight);
+        renderer.setPixelRatio(pixelRatio());
+        renderer.setClearColor(theme.background);
+        container.appendChild(renderer.domElement);
+
+        // Bloom, trails and depth of field
+        if (options.post !== false) {
+            postProcessing = createPostProcessing(renderer, {
+                width: host.clientWidth,
+                height: host.clientHeight,
+                pixelRatio: pixelRatio(),
+                focusUniforms
+            });
+        }
+
+        // Particles — simulated on the GPU where float render targets work
+        if (options.gpu !== false && supportsGpuSimulation(renderer)) {
+            createGpuParticleSystem();
+        } else {
+            createParticles();
+        }
+
+        // Background stars (static, far away)
+        createBackgroundStars();
+
+        // Follow the container's size
+        resizeObserver = new ResizeObserver(onResize);
+        resizeObserver.observe(host);
+    }
+
+    function createParticles() {
+        particleCount = tuning.particleCount;
+        particleGeometry = new THREE.BufferGeometry();
+
+        particlePositions = new Float32Array(particleCount * 3);
+        particleVelocities = new Float32Array(particleCount * 3);
+        particleTargets = new Float32Array(particleCount * 3);
+        particleOriginals = new Float32Array(particleCount * 3);
+        const colors = new Float32Array(particleCount * 3);
+        const alphas = new Float32Array(particleCount);
+        const sizes = new Float32Array(particleCount);
+
+        particleOriginals.set(sphereOriginals(particleCount));
+        particlePositions.set(particleOriginals);
+        particleTargets.set(particleOriginals);
+
+        // Initial colors — the theme's IDLE palette
+        const { colors: idleColors, gradient } = statePalette(theme, STATE.IDLE, states.IDLE);
+        for (let i = 0; i < particleCount; i++) {
+            const t = gradientPosition(gradient, particleOriginals[i * 3], particleOriginals[i * 3 + 1], particleOriginals[i * 3 + 2], i, idleColors.length);
+            const rgb = samplePalette(idleColors, t);
+            colors[i * 3] = rgb.r;
+            colors[i * 3 + 1] = rgb.g;
+            colors[i * 3 + 2] = rgb.b;
+
+            alphas[i] = 0.4 + Math.random() * 0.6;
+            sizes[i] = 2 + Math.random() * 4;
+        }
+
+        particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
+        particleGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        particleGeometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1));
+        particleGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+        colorAttr = particleGeometry.getAttribute('color');
+        alphaAttr = particleGeometry.getAttribute('alpha');
+        sizeAttr = particleGeometry.getAttribute('size');
+
+        particles = {
+            count: particleCount,
+            positions: particlePositions,
+            velocities: particleVelocities,
+            targets: particleTargets,
+            originals: particleOriginals,
+            alphas: alphaAttr.array,
+            sizes: sizeAttr.array
+        };
+
+        // Custom shader material for glow
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uPixelRatio: { value: pixelRatio() },
+                ...focusUniforms,
+                ...audioUniforms
+            },
+            vertexShader: `
+          attribute float alpha;
+          attribute float size;
+          varying vec3 vColor;
+          varying float vAlpha;
+          uniform float uTime;
+          uniform float uPixelRatio;
+          ${FOCUS_VERTEX_GLSL}
+          ${AUDIO_VERTEX_GLSL}
+      
+          void main() {
+            vColor = color;
+        
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            float dist = length(mvPosition.xyz);
+            // Out of focus: a larger, dimmer disc (js/post-processing.js)
+            vBlur = focusBlur(dist);
+            vAlpha = alpha * audioAlpha() / (1.0 + vBlur * 3.0);
+            gl_PointSize = size * audioSize() * uPixelRatio * (8.0 / dist) * (1.0 + vBlur * 3.0);
+            gl_PointSize = max(gl_PointSize, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+          }
+        `,
+            fragmentShader: `
+          varying vec3 vColor;
+          varying float vAlpha;
+          ${FOCUS_FRAGMENT_GLSL}
+      
+          void main() {
+            // Circular particle with soft glow
+            float d = length(gl_PointCoord - vec2(0.5));
+            if (d > 0.5) discard;
+        
+            gl_FragColor = vec4(vColor, vAlpha * particleGlow(d));
+          }
+        `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            vertexColors: true
+        });
+
+        particleSystem = new THREE.Points(particleGeometry, material);
+        scene.add(particleSystem);
+    }
+
+    function createGpuParticleSystem() {
+        particleCount = tuning.gpuParticleCount;
+        gpuParticles = createGpuParticles(renderer, {
+            count: particleCount,
+            originals: sphereOriginals(particleCount),
+            focusUniforms,
+            audioUniforms
+        });
+        particles = { count: particleCount, gpu: gpuParticles };
+
+        particleSystem = gpuParticles.points;
+        scene.add(particleSystem);
+    }
+
+    function disposeParticles() {
+        if (gpuParticles) {
+            gpuParticles.dispose();
+        } else {
+            particleGeometry.dispose();
+            particleSystem.material.dispose();
+        }
+    }
+
+    // Same simulation, new count or rest positions (js/tuning.js); formation
+    // targets are regenerated to match
+    function rebuildParticles() {
+        scene.remove(particleSystem);
+        disposeParticles();
+        if (gpuParticles) createGpuParticleSystem();
+        else createParticles();
+        uploadedTargets = null;
+        paletteSource = {};
+        formationTargets = null;
+        generateFormationTargets(experienceConfig);
+        applyQuality(qualityGovernor.preset);
+    }
+
+    // Rest positions spread through the idle sphere
+    function sphereOriginals(count) {
+        const originals = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            const r = tuning.idleRadius * Math.cbrt(Math.random());
+
+            originals[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+            originals[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+            originals[i * 3 + 2] = r * Math.cos(phi);
+        }
+        return originals;
+    }
+
+    // The quality preset draws a share of them (see applyQuality)
+    function createBackgroundStars() {
+        const geo = new THREE.BufferGeometry();
+        const count = 1500;
+        const positions = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * 80;
+            positions[i * 3 + 1] = (Math.random() - 0.5) * 80;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * 80 - 20;
+            sizes[i] = Math.random() * 1.5;
+        }
+
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geo.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+        const mat = new THREE.ShaderMaterial({
+            uniforms: { uTime: { value: 0 }, uColor: { value: new THREE.Color(theme.stars) } },
+            vertexShader: `
+          attribute float size;
+          varying float vSize;
+          uniform float uTime;
+          void main() {
+            vSize = size;
+            vec4 mv = modelViewMatrix * vec4(position, 1.0);
+            gl_PointSize = size * (5.0 / length(mv.xyz));
+            gl_Position = projectionMatrix * mv;
+          }
+        `,
+            fragmentShader: `
+          varying float vSize;
+          uniform float uTime;
+          uniform vec3 uColor;
+          void main() {
+            float d = length(gl_PointCoord - vec2(0.5));
+            if (d > 0.5) discard;
+            float alpha = (1.0 - d * 2.0) * 0.3;
+            gl_FragColor = vec4(uColor, alpha);
+          }
+        `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        stars = new THREE.Points(geo, mat);
+        scene.add(stars);
+    }
+
+    // ============================================================
+    // FORMATION TARGETS (TEXT_FORM)
+    // ============================================================
+    // Text rasterizes synchronously; other shapes load asynchronously and
+    // fall back to the message text if they fail
+    async function buildFormationTargets(message, shape) {
+        const fallback = message.length > 0 ? message : experienceConfig.message;
+        if (shape.type === 'text') return createTextTargets(fallback, particleCount);
+
+        try {
+            return await createShapeTargets(shape, particleCount);
+        } catch (err) {
+            console.warn(`Falling back to message text — ${shape.type} shape failed:`, err);
+            return createTextTargets(fallback, particleCount);
+        }
+    }
+
+    // The current targets stay in place until the latest request resolves
+    async function showFormation(targetsPromise) {
+        const request = ++formationRequest;
+        const targets = await targetsPromise;
+        if (request === formationRequest) formationTargets = targets;
+    }
+
+    async function generateFormationTargets(config) {
+        if (!formationTargets) formationTargets = createTextTargets(config.message, particleCount);
+        storyPlayer = null;
+        sceneTargets = [];
+
+        if (!config.story) {
+            return showFormation(buildFormationTargets(config.message, config.shape));
+        }
+
+        try {
+            const story = await loadStory(config.story);
+            storyPlayer = createStoryPlayer(story);
+            sceneTargets = story.scenes.map((scene) => buildFormationTargets(scene.message, scene.shape));
+            return showFormation(sceneTargets[0]);
+        } catch (err) {
+            console.warn('Ignoring story:', err);
+            return showFormation(buildFormationTargets(config.message, config.shape));
+        }
+    }
+
+    // Move the story by +1 / -1 scenes; false at the ends of a non-looping story
+    function stepStory(direction) {
+        if (!storyPlayer.step(direction, Date.now())) return false;
+        showFormation(sceneTargets[storyPlayer.index]);
+        return true;
+    }
+
+    // ============================================================
+    // MESSAGE CONFIG — OVERLAY & EDITOR
+    // ============================================================
+    function applyConfigToOverlay(config) {
+        byId('instructions-title').textContent = config.title;
+        byId('instructions-tagline').textContent = config.tagline;
+        emit('config', config);
+    }
+
+    // Overlay, formation, theme and the editor's fields
+    function applyConfig(config) {
+        experienceConfig = config;
+        applyConfigToOverlay(config);
+        generateFormationTargets(config);
+        setTheme(config.theme);
+        fillEditor(config);
+    }
+
+    function fillEditor(config) {
+        const storySelect = byId('editor-story');
+        const themeSelect = byId('editor-theme');
+        byId('editor-title').value = config.title;
+        byId('editor-tagline').value = config.tagline;
+        byId('editor-message').value = config.message.map((line) => line.text).join('\n');
+        byId('editor-shape').value = config.shape.type;
+        syncShapeFileInput();
+
+        // Story objects from a JSON config can't be edited here, only kept;
+        // story URLs from a link get their own entry
+        const storyValue = config.story && typeof config.story === 'object' ? 'custom' : config.story || '';
+        storySelect.querySelector('option[value="custom"]').hidden = storyValue !== 'custom';
+        if (![...storySelect.options].some((option) => option.value === storyValue)) {
+            storySelect.add(new Option(storyValue, storyValue));
+        }
+        storySelect.value = storyValue;
+
+        // Same for themes: objects are kept, URLs get an entry
+        const themeValue = typeof config.theme === 'object' ? 'custom' : config.theme;
+        themeSelect.querySelector('option[value="custom"]').hidden = themeValue !== 'custom';
+        if (![...themeSelect.options].some((option) => option.value === themeValue)) {
+            themeSelect.add(new Option(themeValue, themeValue));
+        }
+        themeSelect.value = themeValue;
+    }
+
+    function syncShapeFileInput() {
+        const shapeFileInput = byId('editor-shape-file');
+        const accept = SHAPE_FILE_TYPES[byId('editor-shape').value];
+        shapeFileInput.hidden = !accept;
+        shapeFileInput.accept = accept || '';
+        shapeFileInput.value = '';
+    }
+
+    function initMessageEditor() {
+        const titleInput = byId('editor-title');
+        const taglineInput = byId('editor-tagline');
+        const messageInput = byId('editor-message');
+        const shapeSelect = byId('editor-shape');
+        const shapeFileInput = byId('editor-shape-file');
+        const storySelect = byId('editor-story');
+        const themeSelect = byId('editor-theme');
+        const shareBtn = byId('editor-share');
+
+        shapeSelect.addEventListener('change', syncShapeFileInput);
+        fillEditor(experienceConfig);
+
+        byId('editor-apply').addEventListener('click', () => {
+            const config = mergeConfig(DEFAULT_CONFIG, {
+                title: titleInput.value,
+                tagline: taglineInput.value,
+                message: withLineScales(messageInput.value, experienceConfig.message),
+                shape: readShapeInput(shapeSelect.value, shapeFileInput.files[0], experienceConfig.shape),
+                story: storySelect.value === 'custom' ? experienceConfig.story : storySelect.value,
+                theme: themeSelect.value === 'custom' ? experienceConfig.theme : themeSelect.value
+            });
+            if (options.standalone) saveConfig(config);
+            applyConfig(config);
+        });
+
+        byId('editor-reset').addEventListener('click', () => {
+            if (options.standalone) {
+                clearSavedConfig();
+                history.replaceState(null, '', clearQueryConfig(window.location.href));
+            }
+            applyConfig(startConfig);
+        });
+
+        // Links only make sense for the page that reads them
+        shareBtn.hidden = !options.standalone;
+        shareBtn.addEventListener('click', async () => {
+            const url = configToUrl(experienceConfig, window.location.href);
+            history.replaceState(null, '', url);
+            try {
+                await navigator.clipboard.writeText(url);
+                shareBtn.textContent = 'Copied!';
+            } catch (err) {
+                shareBtn.textContent = 'Link in address bar';
+            }
+            setTimeout(() => { shareBtn.textContent = 'Copy link'; }, 2000);
+        });
+    }
+
+    // Uploaded files win; otherwise keep the current source if the type is unchanged
+    function readShapeInput(type, file, currentShape) {
+        if (file) return { type, file };
+        if (currentShape.type === type) return currentShape;
+        return { type };
+    }
+
+    // ============================================================
+    // GESTURE CALIBRATION
+    // ============================================================
+    function initCalibrationControls() {
+        byId('calibrate-btn').addEventListener('click', runCalibration);
+        byId('calibration-reset').addEventListener('click', () => {
+            clearCalibration();
+            applyCalibration(null);
+        });
+        byId('calibration-cancel').addEventListener('click', () => {
+            calibrationCancelled = true;
+        });
+
+        applyCalibration(loadCalibration());
+    }
+
+    function applyCalibration(calibration) {
+        gestureThresholds = calibration ? calibration.thresholds : DEFAULT_THRESHOLDS;
+        handTracking.setThresholds(gestureThresholds);
+        if (inputProvider && inputProvider.configure) inputProvider.configure({ thresholds: gestureThresholds });
+        gestureHold.setHoldTime(holdTime());
+
+        const statusEl = byId('calibration-status');
+        byId('calibration-reset').hidden = !calibration;
+        if (!calibration) {
+            statusEl.textContent = 'Using default gesture thresholds';
+            return;
+        }
+        const score = (gesture) => `${Math.round(calibration.confidence[gesture] * 100)}%`;
+        statusEl.textContent = `Calibrated — ✊ ${score('fist')} · 🖐️ ${score('palm')} · 🤟 ${score('ilu')}`;
+    }
+
+    async function runCalibration() {
+        const panel = byId('calibration');
+        const iconEl = byId('calibration-icon');
+        const promptEl = byId('calibration-prompt');
+        const barEl = byId('calibration-bar');
+        const calibrateBtn = byId('calibrate-btn');
+
+        // Resolves after ms, rejects if the user cancelled meanwhile
+        const wait = (ms) => new Promise((resolve, reject) => setTimeout(() => {
+            if (calibrationCancelled) reject(new Error('Calibration cancelled'));
+            else resolve();
+        }, ms));
+
+        calibrateBtn.disabled = true;
+        calibrationCancelled = false;
+        iconEl.textContent = '📷';
+        promptEl.textContent = 'Starting camera...';
+        barEl.style.transition = 'none';
+        barEl.style.width = '0%';
+        panel.classList.remove('hidden');
+
+        try {
+            await startTracking();
+            refreshCameras(); // names are known now
+            host.classList.add('calibrating');
+            calibrationSession = createCalibrationSession();
+
+            for (const step of CALIBRATION_STEPS) {
+                iconEl.textContent = step.icon;
+                promptEl.textContent = `${step.prompt} — get ready`;
+                barEl.style.transition = 'none';
+                barEl.style.width = '0%';
+                await wait(CALIBRATION_PREPARE_TIME);
+
+                promptEl.textContent = `${step.prompt} — hold it`;
+                barEl.style.transition = `width ${CALIBRATION_RECORD_TIME}ms linear`;
+                barEl.style.width = '100%';
+                calibrationGesture = step.gesture;
+                await wait(CALIBRATION_RECORD_TIME);
+                calibrationGesture = null;
+            }
+
+            applyCalibration(saveCalibration(calibrationSession.finish()));
+            iconEl.textContent = '✅';
+            promptEl.textContent = 'All set!';
+            await wait(1000);
+        } catch (err) {
+            console.warn('Calibration failed:', err);
+            if (!calibrationSession) {
+                showStartupError(err); // the camera didn't start
+            } else if (!calibrationCancelled) {
+                iconEl.textContent = '⚠️';
+                promptEl.textContent = `${err.message} — keep your hand in view and try again`;
+                await new Promise((resolve) => setTimeout(resolve, 2500));
+            }
+        } finally {
+            // Started from the start screen: the camera goes off again
+            if (lifecycle.phase === PHASE.STOPPED) stopInput();
+            calibrationSession = null;
+            calibrationGesture = null;
+            host.classList.remove('calibrating');
+            panel.classList.add('hidden');
+            calibrateBtn.disabled = false;
+        }
+    }
+
+    // ============================================================
+    // MEDIAPIPE HANDS — CAMERA START
+    // ============================================================
+    async function startExperience(kind) {
+        audio.resume(); // needs the click's user gesture
+        const button = kind === 'pointer' ? pointerBtn : startBtn;
+        const label = button.textContent;
+        button.textContent = kind === 'pointer' ? 'Starting...' : 'Loading hand tracking...';
+        button.classList.add('loading');
+        startErrorEl.hidden = true;
+
+        try {
+            await lifecycle.start(kind);
+        } catch (err) {
+            console.error('Failed to start:', err);
+            showStartupError(err, { kind });
+            emit('error', err);
+        } finally {
+            // Ready for the next visit to the start screen
+            button.textContent = label;
+            button.classList.remove('loading');
+        }
+
+        // Camera names only show once permission is granted
+        if (kind === 'camera') refreshCameras();
+    }
+
+    // What went wrong and what to try next, on the start screen (js/startup.js)
+    function showStartupError(err, { kind = 'camera', fatal = false } = {}) {
+        const { title, message, actions } = describeStartupError(err, { fatal, cameras: cameraSelect.options.length });
+        byId('start-error-title').textContent = title;
+        byId('start-error-message').textContent = message;
+        byId('start-actions').replaceChildren(...actions.map((action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = STARTUP_ACTIONS[action];
+            button.addEventListener('click', () => {
+                if (action === 'retry') startExperience(kind);
+                else if (action === 'pointer') startExperience('pointer');
+                else if (action === 'reload') window.location.reload();
+                else openCameraPicker();
+            });
+            return button;
+        }));
+        startErrorEl.hidden = false;
+    }
+
+    // Loading the page itself failed; only a reload can help
+    function failStartup(err) {
+        console.error('Failed to load:', err);
+        startBtn.hidden = true;
+        pointerBtn.hidden = true;
+        byId('calibration-controls').hidden = true;
+        showStartupError(err, { fatal: true });
+        emit('error', err);
+    }
+
+    // Camera choice on the start screen, shown with more than one camera
+    function initCameraPicker() {
+        cameraSelect.addEventListener('change', () => {
+            cameraDeviceId = cameraSelect.value;
+            saveCameraChoice(cameraDeviceId);
+        });
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            listen(navigator.mediaDevices, 'devicechange', refreshCameras);
+        }
+        refreshCameras();
+    }
+
+    async function refreshCameras() {
+        const cameras = await listCameras();
+        // Forget a saved camera that is gone (ids are only known after permission)
+        if (cameraDeviceId && cameras.every((c) => c.deviceId) && !cameras.some((c) => c.deviceId === cameraDeviceId)) {
+            cameraDeviceId = '';
+            saveCameraChoice('');
+        }
+        cameraSelect.replaceChildren(...cameras.map(({ deviceId, label }) => new Option(label, deviceId)));
+        if (cameraDeviceId) cameraSelect.value = cameraDeviceId;
+        cameraPicker.hidden = cameras.length < 2;
+    }
+
+    function openCameraPicker() {
+        cameraPicker.hidden = false;
+        cameraSelect.focus();
+        if (cameraSelect.showPicker) {
+            try {
+                cameraSelect.showPicker();
+            } catch (err) {
+                // Not allowed here; the focused select will do
+            }
+        }
+    }
+
+    // Start (or switch to) an input; the running provider is shared by
+    // calibration and the experience
+    function startTracking(kind = inputProvider ? inputProvider.name : 'camera') {
+        const running = inputProvider && inputProvider.name === kind && inputReady;
+        if (running && (kind !== 'camera' || inputProvider.deviceId === cameraDeviceId)) return inputReady;
+
+        if (kind === 'replay') {
+            const { url, speed = 1, loop = false } = options.replay;
+            return loadRecording(url).then((recording) => useInput(createReplayInput(recording, { speed, loop })));
+        }
+
+        if (kind === 'pointer') return useInput(createPointerInput(byId('canvas-container'), { keyboard: options.keyboard !== false }));
+
+        // Hand inference in a worker where possible, else on the main thread
+        const video = byId('webcam');
+        const cameraOptions = { assets: assets.urls, deviceId: cameraDeviceId };
+        if (options.worker === false || !supportsWorkerInference()) return useInput(createCameraInput(video, cameraOptions));
+        return useInput(createWorkerCameraInput(video, cameraOptions)).catch((err) => {
+            if (err.name !== 'WorkerInferenceError') throw err;
+            console.warn(err.message);
+            return useInput(createCameraInput(video, cameraOptions));
+        });
+    }
+
+    // Any provider from js/input.js (camera, pointer, scripted) or js/replay.js can drive the app
+    function useInput(provider) {
+        if (inputProvider) {
+            stopInputFrames();
+            inputProvider.stop();
+        }
+
+        inputProvider = provider;
+        if (provider.configure) {
+            provider.configure({ ...trackingOptions(qualityGovernor.preset), thresholds: gestureThresholds, confidence: handConfidence() });
+        }
+        stopInputFrames = provider.onFrame(onInputFrame);
+        host.classList.toggle('input-pointer', provider.name === 'pointer');
+        webcamLabelEl.textContent = provider.name === 'camera' ? 'CAMERA' : provider.name.toUpperCase();
+
+        inputReady = provider.start().catch((err) => {
+            if (inputProvider === provider) inputReady = null;
+            throw err;
+        });
+        return inputReady;
+    }
+
+    // One frame from the input provider: { timestamp, hands, image? }
+    function onInputFrame(frame) {
+        recorder.add(frame);
+        if (frame.latency !== undefined) perfMonitor.inference(frame.latency, frame.timestamp);
+
+        // Draw webcam preview (synthetic inputs only show the landmarks)
+        webcamCanvas.width = webcamCanvas.clientWidth * 2;
+        webcamCanvas.height = webcamCanvas.clientHeight * 2;
+        if (frame.image) {
+            webcamCtx.save();
+            webcamCtx.scale(-1, 1);
+            webcamCtx.drawImage(frame.image, -webcamCanvas.width, 0, webcamCanvas.width, webcamCanvas.height);
+            webcamCtx.restore();
+        } else {
+            webcamCtx.clearRect(0, 0, webcamCanvas.width, webcamCanvas.height);
+        }
+
+        // While calibrating, frames only feed the calibration session
+        if (calibrationSession) {
+            const landmarks = frame.hands.length > 0 && frame.hands[0].landmarks;
+            if (landmarks) {
+                if (calibrationGesture) calibrationSession.addSample(calibrationGesture, landmarks);
+                drawHandLandmarks(webcamCtx, landmarks, webcamCanvas.width, webcamCanvas.height, 'Left');
+            }
+            return;
+        }
+
+        // The worker camera tracks the hands itself (js/hand-worker.js)
+        const tracked = frame.tracked || handTracking.update(frame);
+        if (frame.swipes) frame.swipes.forEach(triggerGesture);
+        handDetected = tracked.hands.length > 0;
+        trackedHands = tracked.hands.map((hand) => hand.position);
+        handPoints = tracked.hands.flatMap((hand) => hand.points);
+        twoHandPose = tracked.twoHand;
+        handTilt = tracked.tilt;
+        pinchAmount = tracked.pinch;
+        pointer = tracked.pointer;
+
+        if (!handDetected) {
+            handInterpolator.reset();
+            updateGestureUI('none');
+            reportGesture('none');
+            return;
+        }
+
+        handInterpolator.push(tracked.hand, performance.now());
+        processGesture(tracked.gesture, frame.timestamp);
+
+        // Draw hand landmarks on preview
+        tracked.hands.forEach((hand) => {
+            drawHandLandmarks(webcamCtx, hand.landmarks, webcamCanvas.width, webcamCanvas.height, hand.handedness);
+        });
+    }
+
+    function toggleRecording() {
+        if (!recorder.recording) {
+            recorder.start();
+            host.classList.add('recording');
+            return;
+        }
+
+        host.classList.remove('recording');
+        const recording = recorder.stop();
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        downloadBlob(blob, `hand-universe-${recording.createdAt.replace(/[:.]/g, '-')}.json`);
+    }
+
+    // Colors per MediaPipe handedness from the theme
+    function drawHandLandmarks(ctx, landmarks, w, h, handedness) {
+        const color = theme.landmarks[handedness] || theme.landmarks.Right;
+        ctx.save();
+        ctx.scale(-1, 1);
+
+        // Draw connections
+        const connections = [
+            [0, 1], [1, 2], [2, 3], [3, 4],
+            [0, 5], [5, 6], [6, 7], [7, 8],
+            [5, 9], [9, 10], [10, 11], [11, 12],
+            [9, 13], [13, 14], [14, 15], [15, 16],
+            [13, 17], [17, 18], [18, 19], [19, 20],
+            [0, 17]
+        ];
+
+        ctx.strokeStyle = hexToRgba(color, 0.6);
+        ctx.lineWidth = 2;
+        connections.forEach(([a, b]) => {
+            ctx.beginPath();
+            ctx.moveTo(-landmarks[a].x * w, landmarks[a].y * h);
+            ctx.lineTo(-landmarks[b].x * w, landmarks[b].y * h);
+            ctx.stroke();
+        });
+
+        // Draw points
+        landmarks.forEach((lm, i) => {
+            ctx.beginPath();
+            ctx.arc(-lm.x * w, lm.y * h, 3, 0, Math.PI * 2);
+            ctx.fillStyle = i === 0 ? theme.landmarks.wrist : color;
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
+    // ============================================================
+    // LIFECYCLE — PAUSE, RESUME, STOP & ATTRACT MODE
+    // ============================================================
+    // Hooks for js/lifecycle.js
+    async function startInput(kind) {
+        await startTracking(kind);
+        showHud(true);
+        leaveAttract();
+        idleTimer.reset(performance.now());
+        startRenderLoop();
+        host.classList.remove('paused'); // start() also leaves a pause
+    }
+
+    // The camera and microphone lights go off while paused
+    function pauseExperience() {
+        stopInput();
+        stopRenderLoop();
+        silenceAudio();
+        host.classList.add('paused');
+    }
+
+    async function resumeExperience() {
+        await startTracking(lifecycle.kind);
+        audio.resume();
+        idleTimer.reset(performance.now());
+        startRenderLoop();
+        host.classList.remove('paused');
+    }
+
+    // Back to the start screen
+    function stopExperience() {
+        stopInput();
+        silenceAudio();
+        resetExperience();
+        leaveAttract();
+        showHud(false);
+        host.classList.remove('paused');
+        startRenderLoop();
+    }
+
+    // The reactive input (microphone or music file) ends and the ambient
+    // drone halts until the next resume() or start
+    function silenceAudio() {
+        audio.stopReactive();
+        byId('audio-reactive').value = audio.reactive;
+        audio.suspend();
+    }
+
+    // A hidden tab on the start screen: calibration is the only thing that
+    // has the camera on there, so it ends
+    function releaseInput() {
+        calibrationCancelled = true;
+        stopInput();
+    }
+
+    // Particles to their rest positions, a story to its first scene, the state to IDLE
+    function resetExperience() {
+        if (gpuParticles) {
+            gpuParticles.reset();
+        } else {
+            particlePositions.set(particleOriginals);
+            particleTargets.set(particleOriginals);
+            particleVelocities.fill(0);
+        }
+        if (storyPlayer && storyPlayer.step(-storyPlayer.index, Date.now())) showFormation(sceneTargets[0]);
+        if (stateMachine.current !== STATE.IDLE) stateMachine.transitionTo(STATE.IDLE, stateContext());
+    }
+
+    // The camera, GPU memory and the AudioContext, for good
+    function releaseResources() {
+        stopRenderLoop();
+        audio.close();
+        if (resizeObserver) resizeObserver.disconnect();
+        cleanups.splice(0).forEach((cleanup) => cleanup());
+        host.remove();
+        if (!renderer) return; // startup failed before the scene existed
+        disposeParticles();
+        stars.geometry.dispose();
+        stars.material.dispose();
+        if (postProcessing) postProcessing.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+    }
+
+    // Stop the input provider and forget the hands it saw
+    function stopInput() {
+        if (!inputProvider) return;
+        stopInputFrames();
+        inputProvider.stop();
+        inputProvider = null;
+        inputReady = null;
+        handDetected = false;
+        trackedHands = [];
+        handPoints = [];
+        twoHandPose = null;
+        handTilt = null;
+        pinchAmount = 0;
+        pointer = null;
+        handInterpolator.reset();
+        updateGestureUI('none');
+        reportGesture('none');
+        host.classList.remove('input-pointer');
+    }
+
+    function startRenderLoop() {
+        if (frameRequest !== null) return;
+        clock.getDelta(); // the time spent paused isn't a frame
+        frameRequest = requestAnimationFrame(animate);
+    }
+
+    function stopRenderLoop() {
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+    }
+
+    // The start screen, or the HUD while the experience runs
+    function showHud(visible) {
+        instructionsEl.classList.toggle('hidden', visible);
+        [webcamPreview, stateIndicator, gestureHud, captureControls, audioControls, lifecycleControls]
+            .forEach((el) => el.classList.toggle('visible', visible));
+    }
+
+    // No hand for a while (kiosks): back to IDLE with a prompt until one shows up
+    function enterAttract() {
+        lifecycle.reset();
+        host.classList.add('attract');
+    }
+
+    function leaveAttract() {
+        host.classList.remove('attract');
+    }
+
+    function initLifecycleControls() {
+        lifecycleControls = byId('lifecycle-controls');
+        const pauseBtn = byId('lifecycle-pause');
+        const togglePause = () => {
+            if (lifecycle.phase === PHASE.PAUSED) resumeOrStop('user');
+            else lifecycle.pause();
+        };
+
+        pauseBtn.addEventListener('click', togglePause);
+        byId('lifecycle-reset').addEventListener('click', () => lifecycle.reset());
+        byId('lifecycle-stop').addEventListener('click', () => lifecycle.stop());
+        lifecycle.onChange((phase, previous) => {
+            pauseBtn.textContent = phase === PHASE.PAUSED ? '▶ Resume' : '❚❚ Pause';
+            emit('phasechange', { phase, previous });
+        });
+
+        // Space pauses / resumes (buttons keep Space for a click), Escape goes
+        // back to the start screen
+        onKey(' ', (e) => {
+            if (keyTarget(e).tagName === 'BUTTON') return;
+            e.preventDefault();
+            togglePause();
+        });
+        onKey('escape', () => lifecycle.stop());
+
+        // The camera turns off while the tab is hidden
+        listen(document, 'visibilitychange', () => {
+            if (document.hidden) lifecycle.pause('hidden');
+            else resumeOrStop('hidden');
+        });
+
+        // Leaving the page (other than into the back / forward cache) releases everything
+        listen(window, 'pagehide', (e) => {
+            if (!e.persisted) lifecycle.destroy();
+        });
+    }
+
+    // A camera that can't restart (say, taken by another app meanwhile) sends
+    // us back to the start screen with the reason
+    async function resumeOrStop(reason) {
+        try {
+            await lifecycle.resume(reason);
+        } catch (err) {
+            console.error('Failed to resume:', err);
+            const { kind } = lifecycle;
+            await lifecycle.stop();
+            showStartupError(err, { kind });
+        }
+    }
+
+    // ============================================================
+    // GESTURE PROCESSING & STATE MACHINE
+    // ============================================================
+    // now: the frame's timestamp (recordings replay on their own clock)
+    function processGesture(gesture, now) {
+        const { changed, held } = gestureHold.update(gesture, now);
+        if (changed) storyGestureArmed = true;
+        reportGesture(gesture);
+
+        if (Date.now() >= gestureUiHoldUntil) updateGestureUI(gesture);
+
+        // Only trigger state change after holding gesture
+        if (!held) return;
+
+        if (applyGesture(gesture, storyGestureArmed)) storyGestureArmed = false;
+    }
+
+    // One-shot gestures (swipes) act immediately, without the hold threshold
+    function triggerGesture(gesture) {
+        reportGesture(gesture, true);
+        updateGestureUI(gesture);
+        gestureUiHoldUntil = Date.now() + 800;
+        applyGesture(gesture, true);
+    }
+
+    // 'gesture' for the host page when it changes; one-shots every time
+    function reportGesture(gesture, always = false) {
+        if (gesture === lastGesture && !always) return;
+        lastGesture = gesture;
+        emit('gesture', { gesture });
+    }
+
+    // Returns true if the gesture stepped the story
+    function applyGesture(gesture, storyArmed) {
+        // Story scene gestures take precedence over the state transitions
+        if (stateMachine.current === STATE.TEXT_FORM && storyPlayer && storyArmed) {
+            const direction = storyPlayer.directionFor(gesture);
+            if (direction !== 0 && stepStory(direction)) return true;
+        }
+
+        stateMachine.handle(gesture, stateContext());
+        return false;
+    }
+
+    // What state hooks, guards and updates get to see
+    function stateContext() {
+        return {
+            particles,
+            hand: handPosition,
+            handDetected,
+            hands: trackedHands,
+            twoHand: twoHandPose,
+            tilt: handTilt,
+            pinch: pinchAmount,
+            pointer,
+            formationTargets,
+            progress: stateTransition,
+            tuning
+        };
+    }
+
+    // UI side of a state change; particle side effects live in the state's onEnter
+    function onStateChange(newState, previous) {
+        stateTransition = 0;
+        emit('statechange', { state: newState, previous });
+
+        // Update state UI
+        const { label } = states[newState];
+        stateTextEl.textContent = label || newState.replace(/_/g, ' ');
+        Object.keys(states).forEach((name) => host.classList.remove(stateClass(name)));
+        host.classList.add(stateClass(newState));
+        applyStateAccent(newState);
+        applyEffects(newState);
+        if (states[newState].sound) audio.play(states[newState].sound);
+
+        // The gesture that formed the scene shouldn't also advance it
+        if (newState === STATE.TEXT_FORM && storyPlayer) {
+            storyGestureArmed = false;
+            storyPlayer.restartTimer(Date.now());
+        }
+    }
+
+    // HUD dot color: the theme's accent for the state, else the state's own
+    function applyStateAccent(name) {
+        const { accent } = statePalette(theme, name, states[name]);
+        host.style.setProperty('--state-accent', accent);
+        host.style.setProperty('--state-glow', hexToRgba(accent, 0.4));
+    }
+
+    // Post-processing for the state: theme, then the state, then the theme's entry for it
+    function applyEffects(name) {
+        if (!postProcessing) return;
+        const themeState = theme.states[name];
+        postProcessing.setEffects(resolveEffects(theme.effects, states[name].effects, themeState && themeState.effects));
+    }
+
+    function stateClass(name) {
+        return `state-${name.toLowerCase().replace(/_/g, '-')}`;
+    }
+
+    function updateGestureUI(gesture) {
+        const icons = {
+            fist: '✊', palm: '🖐️', ilu: '🤟', other: '🤚', none: '👋',
+            merge: '🙏', stretch: '↔️', spin: '🔄',
+            pinch: '🤏', point: '👉', peace: '✌️', thumbs_up: '👍', thumbs_down: '👎',
+            swipe_left: '⬅️', swipe_right: '➡️', swipe_up: '⬆️', swipe_down: '⬇️'
+        };
+        const labels = {
+            fist: 'Fist detected',
+            palm: 'Open palm detected',
+            ilu: 'I Love You sign!',
+            merge: 'Hands together — merging',
+            stretch: 'Hands apart — stretching',
+            spin: 'Both hands rotating',
+            pinch: 'Pinch',
+            point: 'Pointing',
+            peace: 'Peace sign',
+            thumbs_up: 'Thumbs up',
+            thumbs_down: 'Thumbs down',
+            swipe_left: 'Swipe left',
+            swipe_right: 'Swipe right',
+            swipe_up: 'Swipe up',
+            swipe_down: 'Swipe down',
+            other: 'Hand detected',
+            none: 'Waiting for hand...'
+        };
+
+        gestureIconEl.textContent = icons[gesture] || '❓';
+        gestureLabelEl.textContent = labels[gesture] || 'Unknown gesture';
+    }
+
+    // ============================================================
+    // ANIMATION LOOP
+    // ============================================================
+    function animate() {
+        frameRequest = requestAnimationFrame(animate);
+
+        const delta = clock.getDelta();
+        const elapsed = clock.getElapsedTime();
+
+        // Frame timing drives the quality governor
+        perfMonitor.frame(delta * 1000);
+        qualityGovernor.update(perfMonitor.stats, performance.now());
+        if (!statsEl.hidden && elapsed - statsUpdatedAt > 0.5) updateStats(elapsed);
+
+        // Hand position between inference results, and how fast it moves
+        if (handDetected && delta > 0) {
+            const next = handInterpolator.sample(performance.now());
+            if (handSampled) {
+                ['x', 'y', 'z'].forEach((axis) => {
+                    handVelocity[axis] += ((next[axis] - handPosition[axis]) / delta - handVelocity[axis]) * 0.5;
+                });
+            }
+            Object.assign(handPosition, next);
+            handSampled = true;
+        } else {
+            Object.assign(handVelocity, { x: 0, y: 0, z: 0 });
+            handSampled = false;
+        }
+
+        // Ambient sound follows the hand; the reactive input's spectrum drives the particles
+        audio.setMotion(Math.hypot(handVelocity.x, handVelocity.y, handVelocity.z));
+        const audioLevels = audio.levels();
+        audioUniforms.uAudio.value.set(audioLevels.level, audioLevels.bass, audioLevels.mid, audioLevels.treble);
+
+        // Attract mode after a stretch without a hand
+        if (lifecycle.phase === PHASE.RUNNING && !calibrationSession) {
+            const idle = idleTimer.update(handDetected, performance.now());
+            if (idle === 'idle') enterAttract();
+            else if (idle === 'active') leaveAttract();
+        }
+
+        // State transition progress
+        stateTransition = Math.min(stateTransition + delta * TRANSITION_RATE, 1);
+
+        // Story auto-advance
+        if (stateMachine.current === STATE.TEXT_FORM && storyPlayer && storyPlayer.shouldAutoAdvance(Date.now())) {
+            stepStory(1);
+        }
+
+        // Update particles based on state
+        const frame = {
+            ...stateContext(),
+            forces: tunedForces(stateMachine.definition.forces || DEFAULT_FORCES, tuning),
+            handPoints: handDetected ? handPoints : [],
+            handVelocity,
+            audio: audioLevels,
+            delta,
+            elapsed
+        };
+        if (gpuParticles) {
+            if (formationTargets && formationTargets !== uploadedTargets) {
+                gpuParticles.setTargets(formationTargets);
+                uploadedTargets = formationTargets;
+            }
+            gpuParticles.step({ ...frame, shader: stateMachine.definition.shader });
+        } else {
+            particleSystem.material.uniforms.uTime.value = elapsed;
+            stateMachine.definition.update(particles, frame);
+        }
+
+        // Update colors
+        updateParticleColors();
+
+        // Subtle camera movement
+        camera.position.x = Math.sin(elapsed * 0.1) * 0.5;
+        camera.position.y = Math.cos(elapsed * 0.15) * 0.3;
+        camera.lookAt(0, 0, 0);
+
+        // Mark buffers for update (the GPU path has nothing to upload)
+        if (!gpuParticles) {
+            particleGeometry.attributes.position.needsUpdate = true;
+            colorAttr.needsUpdate = true;
+            alphaAttr.needsUpdate = true;
+            sizeAttr.needsUpdate = true;
+        }
+
+        if (postProcessing) {
+            // Keep the hand cluster (or the center) in focus
+            const focus = handDetected ? handPosition : { x: 0, y: 0, z: 0 };
+            const { x, y, z } = camera.position;
+            const focusDistance = Math.hypot(focus.x - x, focus.y - y, focus.z - z);
+            postProcessing.render(scene, camera, { delta, focusDistance });
+        } else {
+            renderer.render(scene, camera);
+        }
+        capture.frame();
+    }
+
+    // Particles ease toward the current palette: the story scene's color in
+    // TEXT_FORM, else the theme's palette for the state
+    function updateParticleColors() {
+        const { colors, gradient } = currentPalette();
+        if (gpuParticles) return; // the render shader fades between palettes
+
+        const center = handDetected ? handPosition : undefined;
+        for (let i = 0; i < particles.count; i++) {
+            const i3 = i * 3;
+            const t = gradientPosition(gradient, particlePositions[i3], particlePositions[i3 + 1], particlePositions[i3 + 2], i, colors.length, center);
+            const rgb = samplePalette(colors, t);
+            // Per-particle slight brightness variation
+            const k = 1 + Math.sin(i * 0.3) * theme.variation;
+
+            colorAttr.array[i3] += (rgb.r * k - colorAttr.array[i3]) * 0.03;
+            colorAttr.array[i3 + 1] += (rgb.g * k - colorAttr.array[i3 + 1]) * 0.03;
+            colorAttr.array[i3 + 2] += (rgb.b * k - colorAttr.array[i3 + 2]) * 0.03;
+        }
+    }
+
+    // Rebuilt only when the theme, state or story scene changes
+    function currentPalette() {
+        const state = stateMachine.current;
+        const sceneColor = (state === STATE.TEXT_FORM && storyPlayer && storyPlayer.scene.color) || null;
+        if (paletteSource.theme === theme && paletteSource.state === state && paletteSource.sceneColor === sceneColor) {
+            return palette;
+        }
+
+        paletteSource = { theme, state, sceneColor };
+        palette = sceneColor ? { colors: [toRgb(sceneColor)], gradient: 'scatter' } : statePalette(theme, state, states[state]);
+        if (gpuParticles) gpuParticles.setPalette(palette, theme.variation);
+        return palette;
+    }
+
+    // ============================================================
+    // THEMES
+    // ============================================================
+    // source: a built-in theme name, theme object or URL (js/themes.js); an
+    // unusable theme keeps the current one
+    async function setTheme(source) {
+        const request = ++themeRequest;
+        try {
+            const next = await loadTheme(source);
+            if (request === themeRequest) applyTheme(next, source);
+        } catch (err) {
+            console.warn('Keeping the current theme:', err);
+        }
+    }
+
+    // Scene, stars, HUD variables and state accent; particles pick up the new
+    // palette on the next frame
+    function applyTheme(next, source = DEFAULT_THEME) {
+        theme = next;
+        themeSource = source;
+
+        renderer.setClearColor(theme.background);
+        scene.fog.color.set(theme.fog.color);
+        scene.fog.density = theme.fog.density;
+        stars.material.uniforms.uColor.value.set(theme.stars);
+
+        const { hud } = theme;
+        const root = host.style;
+        root.setProperty('--bg', theme.background);
+        root.setProperty('--overlay', hexToRgba(theme.background, 0.92));
+        root.setProperty('--overlay-soft', hexToRgba(theme.background, 0.7));
+        root.setProperty('--text', hud.text);
+        root.setProperty('--text-dim', hud.textDim);
+        root.setProperty('--accent', hud.accent);
+        root.setProperty('--accent-glow', hexToRgba(hud.accent, 0.4));
+        root.setProperty('--accent-2', hud.accent2);
+        root.setProperty('--ilu-color', hud.highlight);
+        root.setProperty('--explode-color', hud.warning);
+        root.setProperty('--surface', hexToRgba(hud.surface, 0.85));
+        root.setProperty('--surface-border', hexToRgba(hud.accent, 0.15));
+
+        applyStateAccent(stateMachine.current);
+        applyEffects(stateMachine.current);
+    }
+
+    // ============================================================
+    // CAPTURE — VIDEO, GIF & SCREENSHOT
+    // ============================================================
+    function initCaptureControls() {
+        captureControls = byId('capture-controls');
+        const videoBtn = byId('capture-video');
+        const gifBtn = byId('capture-gif');
+        const photoBtn = byId('capture-photo');
+        const pipInput = byId('capture-pip');
+        const filename = (extension) => `hand-universe-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+
+        capture = createCapture(renderer.domElement, { pip: webcamCanvas });
+        pipInput.addEventListener('change', () => capture.setPictureInPicture(pipInput.checked));
+
+        if (!supportsVideoCapture()) {
+            videoBtn.disabled = true;
+            videoBtn.title = 'Video recording is not supported in this browser';
+        }
+
+        videoBtn.addEventListener('click', async () => {
+            if (!capture.recordingVideo) {
+                try {
+                    capture.startVideo();
+                    videoBtn.classList.add('active');
+                    videoBtn.textContent = '■ Stop';
+                } catch (err) {
+                    console.warn('Could not start video recording:', err);
+                }
+                return;
+            }
+
+            videoBtn.disabled = true;
+            const blob = await capture.stopVideo();
+            videoBtn.disabled = false;
+            videoBtn.classList.remove('active');
+            videoBtn.textContent = '● Record';
+            downloadBlob(blob, filename('webm'));
+        });
+
+        gifBtn.addEventListener('click', async () => {
+            gifBtn.disabled = true;
+            try {
+                const blob = await capture.recordGif({
+                    onProgress: (share) => { gifBtn.textContent = share < 1 ? `GIF ${Math.round(share * 100)}%` : 'Encoding…'; }
+                });
+                downloadBlob(blob, filename('gif'));
+            } catch (err) {
+                console.warn('Could not make the GIF:', err);
+            } finally {
+                gifBtn.disabled = false;
+                gifBtn.textContent = 'GIF';
+            }
+        });
+
+        photoBtn.addEventListener('click', async () => {
+            downloadBlob(await capture.screenshot(), filename('png'));
+        });
+    }
+
+    // ============================================================
+    // AUDIO — MUTE, VOLUME & AUDIO-REACTIVE INPUT
+    // ============================================================
+    function initAudioControls() {
+        audioControls = byId('audio-controls');
+        const muteBtn = byId('audio-mute');
+        const volumeInput = byId('audio-volume');
+        const reactiveSelect = byId('audio-reactive');
+        const fileInput = byId('audio-file');
+
+        const showMuted = () => { muteBtn.textContent = audio.muted ? 'Muted' : 'Sound on'; };
+        const toggleMute = () => {
+            audio.setMuted(!audio.muted);
+            showMuted();
+        };
+        showMuted();
+        volumeInput.value = audio.volume;
+
+        muteBtn.addEventListener('click', toggleMute);
+        volumeInput.addEventListener('input', () => audio.setVolume(Number(volumeInput.value)));
+
+        // Microphone asks for permission; a music file opens the picker first
+        const useReactive = async (start) => {
+            try {
+                await start();
+            } catch (err) {
+                console.warn('Could not start the audio-reactive input:', err);
+                audio.stopReactive();
+            }
+            reactiveSelect.value = audio.reactive;
+        };
+        reactiveSelect.addEventListener('change', () => {
+            if (reactiveSelect.value === 'microphone') useReactive(() => audio.useMicrophone());
+            else if (reactiveSelect.value === 'file') fileInput.click();
+            else audio.stopReactive();
+        });
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (file) useReactive(() => audio.useFile(file));
+            else reactiveSelect.value = audio.reactive;
+        });
+        fileInput.addEventListener('cancel', () => { reactiveSelect.value = audio.reactive; });
+
+        // M mutes / unmutes
+        onKey('m', toggleMute);
+    }
+
+    // ============================================================
+    // QUALITY
+    // ============================================================
+    // A preset from js/quality.js: drawn particles and stars, pixel ratio and
+    // the input's tracking options
+    function applyQuality(preset) {
+        const drawn = Math.round(particleCount * preset.particles);
+        if (gpuParticles) {
+            gpuParticles.setDrawCount(drawn);
+        } else {
+            particles.count = drawn;
+            particleGeometry.setDrawRange(0, drawn);
+        }
+        stars.geometry.setDrawRange(0, preset.stars);
+        if (postProcessing) postProcessing.setEnabled(preset.effects);
+        applyPixelRatio();
+        if (inputProvider && inputProvider.configure) inputProvider.configure(trackingOptions(preset));
+    }
+
+    function trackingOptions(preset) {
+        return { modelComplexity: preset.modelComplexity, maxFps: preset.inferenceFps };
+    }
+
+    function initQualityControls() {
+        statsEl = byId('perf-stats');
+        statsTextEl = byId('perf-stats-text');
+        statsEl.hidden = !options.stats;
+
+        const select = byId('quality-select');
+        select.value = qualityGovernor.mode;
+        select.addEventListener('change', () => {
+            qualityGovernor.setMode(select.value);
+            saveQualityMode(select.value);
+        });
+
+        // S shows / hides the stats overlay
+        onKey('s', () => {
+            statsEl.hidden = !statsEl.hidden;
+        });
+    }
+
+    function updateStats(elapsed) {
+        statsUpdatedAt = elapsed;
+        const stats = perfMonitor.stats;
+        const preset = qualityGovernor.preset;
+        const lines = [
+            `FPS       ${stats.fps.toFixed(0)} (${stats.frameTime.toFixed(1)} ms)`,
+            stats.inferenceTime > 0
+                ? `Tracking  ${stats.inferenceFps.toFixed(0)} fps, ${stats.inferenceTime.toFixed(0)} ms`
+                : 'Tracking  —',
+            `Quality   ${qualityGovernor.level}${qualityGovernor.mode === 'auto' ? ' (auto)' : ''}`,
+            `Particles ${Math.round(particleCount * preset.particles)} on the ${gpuParticles ? 'GPU' : 'CPU'}`,
+            `Stars     ${preset.stars}, pixel ratio ${pixelRatio()}`,
+            `Effects   ${postProcessing && postProcessing.active.length > 0 ? postProcessing.active.join(', ') : 'off'}`
+        ];
+        statsTextEl.textContent = lines.join('\n');
+    }
+
+    // ============================================================
+    // SETTINGS (js/tuning.js)
+    // ============================================================
+    // options.tuning plus options.particleCount; invalid entries are dropped
+    function startTuning() {
+        const count = options.particleCount ? { particleCount: options.particleCount, gpuParticleCount: options.particleCount } : {};
+        const { tuning: overrides, errors } = validateTuning({ ...count, ...options.tuning });
+        errors.forEach((error) => console.warn(`Ignoring setting — ${error}`));
+        return overrides;
+    }
+
+    // Valid overrides → live values; counts and the idle radius rebuild the particles
+    function applyTuning(overrides) {
+        const previous = tuning;
+        tuningOverrides = overrides;
+        tuning = resolveTuning(overrides);
+        gestureHold.setHoldTime(holdTime());
+        if (inputProvider && inputProvider.configure) inputProvider.configure({ confidence: handConfidence() });
+        if (scene && needsRebuild(previous, tuning)) rebuildParticles();
+        fillSettings();
+    }
+
+    // A hold time set in the panel wins over the calibrated one
+    function holdTime() {
+        return tuningOverrides.holdTime !== undefined ? tuning.holdTime : gestureThresholds.holdTime;
+    }
+
+    function handConfidence() {
+        return { detection: tuning.detectionConfidence, presence: tuning.presenceConfidence, tracking: tuning.trackingConfidence };
+    }
+
+    // Range + number input per setting, for the running simulation only
+    function initSettingsPanel() {
+        const panel = byId('settings-panel');
+        const fields = byId('settings-fields');
+        const presetSelect = byId('settings-preset');
+        const presetName = byId('settings-preset-name');
+        const importInput = byId('settings-import-file');
+        const shareBtn = byId('settings-share');
+        const statusEl = byId('settings-status');
+        const simulation = gpuParticles ? 'gpu' : 'cpu';
+        const showStatus = (text) => { statusEl.textContent = text; };
+
+        let group = null;
+        Object.entries(TUNING_PARAMS).forEach(([key, param]) => {
+            if (param.simulation && param.simulation !== simulation) return;
+            if (param.group !== group) {
+                group = param.group;
+                const heading = document.createElement('h3');
+                heading.textContent = group;
+                fields.appendChild(heading);
+            }
+            fields.appendChild(settingsRow(key, param));
+        });
+        fillSettings();
+
+        const fillPresets = (presets, selected = '') => {
+            presetSelect.replaceChildren(new Option('Saved presets…', ''), ...Object.keys(presets).map((name) => new Option(name, name)));
+            presetSelect.value = selected;
+        };
+        fillPresets(loadTuningPresets());
+
+        presetSelect.addEventListener('change', () => {
+            const name = presetSelect.value;
+            const preset = loadTuningPresets()[name];
+            if (!preset) return;
+            applyTuning(preset);
+            presetName.value = name;
+            showStatus(`Loaded “${name}”`);
+        });
+
+        byId('settings-preset-save').addEventListener('click', () => {
+            const name = presetName.value.trim();
+            if (!name) {
+                showStatus('Name the preset first');
+                presetName.focus();
+                return;
+            }
+            fillPresets(saveTuningPreset(name, tuningOverrides), name);
+            showStatus(`Saved “${name}”`);
+        });
+
+        byId('settings-preset-delete').addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name) {
+                showStatus('Pick a saved preset to delete');
+                return;
+            }
+            fillPresets(deleteTuningPreset(name));
+            showStatus(`Deleted “${name}”`);
+        });
+
+        byId('settings-export').addEventListener('click', () => {
+            downloadBlob(new Blob([tuningToJson(tuningOverrides)], { type: 'application/json' }), 'hand-universe-settings.json');
+        });
+
+        // An imported file replaces every setting; entries out of range are skipped
+        byId('settings-import').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const [file] = importInput.files;
+            importInput.value = '';
+            if (!file) return;
+            try {
+                const { tuning: overrides, errors } = parseTuningJson(await file.text());
+                applyTuning(overrides);
+                showStatus(errors.length > 0 ? `Imported, skipped: ${errors.join('; ')}` : `Imported ${file.name}`);
+            } catch (err) {
+                showStatus(err.message);
+            }
+        });
+
+        // Links only make sense for the page that reads them
+        shareBtn.hidden = !options.standalone;
+        shareBtn.addEventListener('click', async () => {
+            const url = tuningToUrl(tuningOverrides, window.location.href);
+            history.replaceState(null, '', url);
+            try {
+                await navigator.clipboard.writeText(url);
+                shareBtn.textContent = 'Copied!';
+            } catch (err) {
+                shareBtn.textContent = 'Link in address bar';
+            }
+            setTimeout(() => { shareBtn.textContent = 'Copy link'; }, 2000);
+        });
+
+        byId('settings-defaults').addEventListener('click', () => {
+            applyTuning({});
+            showStatus('Defaults restored');
+        });
+
+        // , shows / hides the panel
+        const toggle = () => {
+            panel.hidden = !panel.hidden;
+        };
+        byId('settings-close').addEventListener('click', toggle);
+        onKey(',', toggle);
+    }
+
+    // Dragging updates live; settings that rebuild the particles apply on release
+    function settingsRow(key, param) {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        row.dataset.key = key;
+
+        const label = document.createElement('label');
+        label.htmlFor = `settings-${key}`;
+        label.textContent = param.unit ? `${param.label} (${param.unit})` : param.label;
+
+        const range = document.createElement('input');
+        const number = document.createElement('input');
+        [range, number].forEach((input) => Object.assign(input, { min: param.min, max: param.max, step: param.step }));
+        range.type = 'range';
+        range.setAttribute('aria-label', param.label);
+        number.type = 'number';
+        number.id = `settings-${key}`;
+
+        const error = document.createElement('p');
+        error.className = 'settings-error';
+
+        const set = (value) => {
+            const problem = checkValue(param, value);
+            error.textContent = problem || '';
+            row.classList.toggle('invalid', Boolean(problem));
+            if (!problem) applyTuning(validateTuning({ ...tuningOverrides, [key]: value }).tuning);
+        };
+        range.addEventListener('input', () => {
+            number.value = range.value;
+            if (!param.rebuild) set(Number(range.value));
+        });
+        if (param.rebuild) range.addEventListener('change', () => set(Number(range.value)));
+        number.addEventListener('change', () => set(number.value === '' ? NaN : Number(number.value)));
+
+        row.append(label, range, number, error);
+        return row;
+    }
+
+    // Inputs follow the live values; changed settings are marked
+    function fillSettings() {
+        const fields = byId('settings-fields');
+        fields.querySelectorAll('.settings-row').forEach((row) => {
+            const { key } = row.dataset;
+            row.querySelectorAll('input').forEach((input) => { input.value = tuning[key]; });
+            row.querySelector('.settings-error').textContent = '';
+            row.classList.remove('invalid');
+            row.classList.toggle('changed', tuningOverrides[key] !== undefined);
+        });
+    }
+
+    // ============================================================
+    // UTILITIES
+    // ============================================================
+    function onResize() {
+        camera.aspect = host.clientWidth / host.clientHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(host.clientWidth, host.clientHeight);
+        applyPixelRatio();
+    }
+
+    function pixelRatio() {
+        return Math.min(window.devicePixelRatio, qualityGovernor.preset.pixelRatio);
+    }
+
+    function applyPixelRatio() {
+        renderer.setPixelRatio(pixelRatio());
+        if (gpuParticles) gpuParticles.setPixelRatio(pixelRatio());
+        else particleSystem.material.uniforms.uPixelRatio.value = pixelRatio();
+        if (postProcessing) postProcessing.setSize(host.clientWidth, host.clientHeight, pixelRatio());
+    }
+
+    function downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // ============================================================
+    // PUBLIC API
+    // ============================================================
+    const ready = init();
+
+    return {
+        get state() { return stateMachine.current; },
+        get phase() { return lifecycle.phase; },
+        get tuning() { return { ...tuning }; },
+        element: host,
+        ready,
+
+        // listener(detail) for one of HAND_UNIVERSE_EVENTS; returns an unsubscribe function
+        on(event, listener) {
+            if (!HAND_UNIVERSE_EVENTS.includes(event)) throw new Error(`Unknown event: ${event}`);
+            eventListeners[event] = [...(eventListeners[event] || []), listener];
+            return () => {
+                eventListeners[event] = eventListeners[event].filter((fn) => fn !== listener);
+            };
+        },
+
+        // Straight to a state, whatever the gesture; unknown names throw
+        async setState(name) {
+            if (!states[name]) throw new Error(`Unknown state: ${name}`);
+            if (await ready) stateMachine.transitionTo(name, stateContext());
+        },
+
+        async setTheme(source) {
+            if (await ready) await setTheme(source);
+        },
+
+        // Fields of the experience config (js/config.js) over the current one
+        async setConfig(partial) {
+            if (await ready) applyConfig(mergeConfig(experienceConfig, partial));
+        },
+
+        // Settings (js/tuning.js) over the current ones, applied live;
+        // → the errors of entries that were rejected
+        setTuning(overrides) {
+            const { tuning: next, errors } = validateTuning({ ...tuningOverrides, ...overrides });
+            applyTuning(next);
+            return errors;
+        },
+
+        // kind: 'camera', 'pointer' or 'replay'; failures show on the start screen and emit 'error'
+        async start(kind = options.replay ? 'replay' : 'camera') {
+            if (await ready) await startExperience(kind);
+        },
+
+        pause: () => lifecycle.pause(),
+        resume: () => resumeOrStop('user'),
+        stop: () => lifecycle.stop(),
+        reset: () => lifecycle.reset(),
+
+        // Releases the camera, audio and GPU and removes the instance from the page
+        destroy: () => lifecycle.destroy()
+    };
+}
+
+// ============================================================
+// <hand-universe> ELEMENT
+// ============================================================
+// Attributes (read when the element is connected): see elementOptions().
+// HAND_UNIVERSE_EVENTS are dispatched on the element as CustomEvents with
+// the detail; .universe is the createHandUniverse() instance.
+export function defineHandUniverseElement(name = 'hand-universe') {
+    if (customElements.get(name)) return customElements.get(name);
+
+    class HandUniverseElement extends HTMLElement {
+        connectedCallback() {
+            if (this.universe) return;
+            const options = elementOptions((key) => this.getAttribute(key));
+
+            if (!this.style.display) this.style.display = 'block';
+            this.universe = createHandUniverse(this, options);
+            HAND_UNIVERSE_EVENTS.forEach((event) => {
+                this.universe.on(event, (detail) => this.dispatchEvent(new CustomEvent(event, { detail })));
+            });
+        }
+
+        disconnectedCallback() {
+            if (!this.universe) return;
+            this.universe.destroy();
+            this.universe = null;
+        }
+    }
+
+    customElements.define(name, HandUniverseElement);
+    return HandUniverseElement;
+}
+
+// Element attributes → createHandUniverse() options. attr(key) is the
+// attribute's value or null: heading (the title option; the global title
+// attribute would put a tooltip over the canvas), message, tagline, story,
+// theme, shape (+ shape-src), particle-count, idle (seconds), quality,
+// keyboard="off"
+export function elementOptions(attr) {
+    const options = {};
+    if (attr('heading') !== null) options.title = attr('heading');
+    ['message', 'tagline', 'story', 'theme', 'quality'].forEach((key) => {
+        if (attr(key) !== null) options[key] = attr(key);
+    });
+    if (attr('shape') !== null) {
+        options.shape = { type: attr('shape') };
+        if (attr('shape-src') !== null) options.shape.src = attr('shape-src');
+    }
+    if (attr('particle-count') !== null) options.particleCount = Number(attr('particle-count')) || undefined;
+    if (attr('idle') !== null) options.idleTimeout = Number(attr('idle')) * 1000 || 0;
+    if (attr('keyboard') === 'off') options.keyboard = false;
+    return options;
+}
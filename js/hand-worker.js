@@ -0,0 +1,93 @@
+// ============================================================
+// Hand worker — MediaPipe hand inference off the main thread
+// Module worker started by createWorkerCameraInput (js/input.js)
+// ============================================================
+//
+// main → worker
+//   { type: 'init', thresholds, confidence, assets }
+//                                         load the model; assets: { visionBundle,
+//                                         visionWasm, handModel } URLs (js/assets.js)
+//   { type: 'frame', bitmap, timestamp }  one video frame (ImageBitmap, transferred)
+//   { type: 'thresholds', thresholds }    calibrated gesture thresholds
+//   { type: 'confidence', confidence }    { detection, presence, tracking } minimums
+// worker → main
+//   { type: 'ready' } | { type: 'error', message }
+//   { type: 'result', timestamp, hands, tracked, swipes }
+// hands are the raw landmarks (for recording and calibration); tracked is
+// the createHandTracking() result for them and swipes the swipe gestures
+// recognized on this frame.
+
+import { createHandTracking } from './tracking.js';
+import { HAND_CONFIDENCE } from './constants.js';
+
+let landmarker = null;
+let tracking = null;
+let swipes = [];
+let lastTimestamp = -1;
+
+// The Tasks bundle is imported from wherever the page loads its assets
+const confidenceOptions = (confidence) => ({
+    minHandDetectionConfidence: confidence.detection,
+    minHandPresenceConfidence: confidence.presence,
+    minTrackingConfidence: confidence.tracking
+});
+
+async function createLandmarker(assets, delegate, confidence) {
+    const { FilesetResolver, HandLandmarker } = await import(assets.visionBundle);
+    const fileset = await FilesetResolver.forVisionTasks(assets.visionWasm.replace(/\/$/, ''));
+    return HandLandmarker.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: assets.handModel, delegate },
+        runningMode: 'VIDEO',
+        numHands: 2,
+        ...confidenceOptions(confidence)
+    });
+}
+
+async function init(thresholds, assets, confidence = HAND_CONFIDENCE) {
+    tracking = createHandTracking(thresholds);
+    Object.values(tracking.recognizers).forEach((recognizer) => recognizer.on('swipe', (name) => swipes.push(name)));
+
+    // WebGL in a worker needs OffscreenCanvas; the CPU delegate always works
+    try {
+        landmarker = await createLandmarker(assets, 'GPU', confidence);
+    } catch (err) {
+        landmarker = await createLandmarker(assets, 'CPU', confidence);
+    }
+}
+
+function detect(bitmap, timestamp) {
+    // detectForVideo needs strictly increasing timestamps
+    const time = Math.max(timestamp, lastTimestamp + 1);
+    lastTimestamp = time;
+    const result = landmarker.detectForVideo(bitmap, time);
+    bitmap.close();
+
+    const handedness = result.handedness || result.handednesses || [];
+    const hands = result.landmarks.map((landmarks, i) => ({
+        landmarks: landmarks.map(({ x, y, z }) => ({ x, y, z })),
+        handedness: handedness[i] && handedness[i][0] ? handedness[i][0].categoryName : 'Right'
+    }));
+
+    swipes = [];
+    const tracked = tracking.update({ timestamp, hands });
+    return { type: 'result', timestamp, hands, tracked, swipes };
+}
+
+self.onmessage = async (e) => {
+    const message = e.data;
+    try {
+        if (message.type === 'init') {
+            await init(message.thresholds, message.assets, message.confidence);
+            self.postMessage({ type: 'ready' });
+        } else if (message.type === 'frame') {
+            self.postMessage(detect(message.bitmap, message.timestamp));
+        } else if (message.type === 'thresholds' && tracking) {
+            tracking.setThresholds(message.thresholds);
+        } else if (message.type === 'confidence' && landmarker) {
+            await landmarker.setOptions(confidenceOptions(message.confidence));
+        }
+    } catch (err) {
+        if (message.bitmap) message.bitmap.close();
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,456 @@
+// ============================================================
+// Input providers — interchangeable sources of hand frames
+// ============================================================
+//
+// Every provider has the same shape:
+//   { name, start(): Promise, stop(), onFrame(fn) → unsubscribe,
+//     configure?(options) }
+// and emits frames:
+//   { timestamp, hands: [{ landmarks, handedness }], image?, latency?,
+//     tracked?, swipes? }
+// latency is the ms the hand model took on that frame (camera only);
+// tracked / swipes come precomputed from the worker camera, otherwise
+// js/hand-universe.js runs js/tracking.js on the hands itself.
+// landmarks are 21 MediaPipe-style points in normalized image coords, so
+// the camera, the mouse / touch fallback and scripted demos all run
+// through the same smoothing, gesture and state code in js/hand-universe.js.
+
+import { createHandLandmarks } from './synthetic-hand.js';
+import { resolveAssets, loadScript } from './assets.js';
+import { HAND_CONFIDENCE } from './constants.js';
+
+const SYNTHETIC_FPS = 30;
+
+// Pointer fallback mappings
+const KEY_POSES = { f: 'fist', 1: 'fist', p: 'palm', 2: 'palm', l: 'ilu', 3: 'ilu' };
+const BUTTON_POSES = ['fist', 'ilu', 'palm']; // MouseEvent.button: left, middle, right
+const TOUCH_POSES = [null, 'fist', 'palm', 'ilu']; // by number of touching fingers
+const MIN_SCALE = 0.5; // wheel range for hand distance
+const MAX_SCALE = 2;
+const CAMERA_SIZE = { width: { ideal: 640 }, height: { ideal: 480 } };
+
+function createFrameEmitter() {
+    let listeners = [];
+    return {
+        on(fn) {
+            listeners.push(fn);
+            return () => {
+                listeners = listeners.filter((listener) => listener !== fn);
+            };
+        },
+        emit(frame) {
+            listeners.forEach((fn) => fn(frame));
+        }
+    };
+}
+
+// ============================================================
+// CAMERA — MediaPipe Hands on the webcam
+// ============================================================
+// configure({ modelComplexity, maxFps }) trades tracking accuracy and rate
+// for speed (js/quality.js), configure({ confidence }) sets the model's
+// { detection, tracking } minimums (js/tuning.js); both apply before or
+// while running.
+// assets: asset URLs from js/assets.js (the CDNs by default); deviceId: a
+// camera from listCameras() in js/startup.js (the default camera if unset).
+// start() rejects with errors js/startup.js can tell apart.
+export function createCameraInput(videoEl, { assets = resolveAssets('cdn'), deviceId = '' } = {}) {
+    const frames = createFrameEmitter();
+    let hands = null;
+    let stream = null;
+    let running = false;
+    let options = { modelComplexity: 1, maxFps: 60, confidence: HAND_CONFIDENCE };
+    let sentAt = 0;
+
+    const modelOptions = () => ({
+        modelComplexity: options.modelComplexity,
+        minDetectionConfidence: options.confidence.detection,
+        minTrackingConfidence: options.confidence.tracking
+    });
+
+    async function capture() {
+        if (!running) return;
+        if (videoEl.readyState >= 2 && performance.now() - sentAt >= 1000 / options.maxFps) {
+            // Skip camera frames beyond the inference rate cap
+            sentAt = performance.now();
+            try {
+                await hands.send({ image: videoEl });
+            } catch (err) {
+                // A failed frame (e.g. a WASM hiccup) must not stop the loop
+                console.warn('Hand tracking failed on a frame:', err);
+            }
+        }
+        nextVideoFrame(videoEl, capture);
+    }
+
+    function shutdown() {
+        running = false;
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+        if (hands) hands.close();
+        stream = null;
+        hands = null;
+    }
+
+    return {
+        name: 'camera',
+        deviceId,
+        onFrame: frames.on,
+
+        configure(next) {
+            const complexityChanged = next.modelComplexity !== undefined && next.modelComplexity !== options.modelComplexity;
+            options = { ...options, ...next };
+            if (hands && (complexityChanged || next.confidence)) hands.setOptions(modelOptions());
+        },
+
+        async start() {
+            if (running) return;
+            await loadScript(assets.handsScript);
+            stream = await openCamera(videoEl, deviceId);
+
+            hands = new Hands({
+                locateFile: (file) => `${assets.handsFiles}${file}`
+            });
+
+            hands.setOptions({ maxNumHands: 2, ...modelOptions() });
+
+            hands.onResults((results) => {
+                frames.emit({
+                    timestamp: Date.now(),
+                    image: results.image,
+                    latency: performance.now() - sentAt,
+                    hands: (results.multiHandLandmarks || []).map((landmarks, i) => ({
+                        landmarks,
+                        handedness: results.multiHandedness && results.multiHandedness[i]
+                            ? results.multiHandedness[i].label
+                            : 'Right'
+                    }))
+                });
+            });
+
+            // Fetch the WASM and model now, so a failure is reported here
+            try {
+                await hands.initialize();
+            } catch (err) {
+                shutdown();
+                const error = new Error(`Hand model failed to load: ${err.message || err}`);
+                error.name = 'ModelLoadError';
+                throw error;
+            }
+
+            running = true;
+            capture();
+        },
+
+        stop() {
+            shutdown();
+        }
+    };
+}
+
+// Webcam stream into videoEl; deviceId picks a camera, '' the default
+export async function openCamera(videoEl, deviceId = '') {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        const error = new Error('Camera access is unavailable in this context');
+        error.name = 'CameraUnsupportedError';
+        throw error;
+    }
+    const video = { ...CAMERA_SIZE, ...(deviceId ? { deviceId: { exact: deviceId } } : {}) };
+    const stream = await navigator.mediaDevices.getUserMedia({ video });
+    videoEl.srcObject = stream;
+    try {
+        await videoEl.play();
+    } catch (err) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw err;
+    }
+    return stream;
+}
+
+// Next video frame: per decoded frame where supported, else per display frame
+function nextVideoFrame(videoEl, fn) {
+    if (videoEl.requestVideoFrameCallback) videoEl.requestVideoFrameCallback(fn);
+    else requestAnimationFrame(fn);
+}
+
+// ============================================================
+// WORKER CAMERA — hand inference in a worker (js/hand-worker.js)
+// ============================================================
+// The main thread only grabs video frames as ImageBitmaps and transfers
+// them; the worker runs the model and the tracking pipeline and sends back
+// landmarks plus the tracked result, so rendering never waits on inference.
+// Frames also carry `tracked` and `swipes` (see js/hand-worker.js). One frame
+// is in flight at a time; configure({ maxFps, thresholds, confidence }) caps
+// the rate and passes calibrated thresholds to the worker's recognizers and
+// the { detection, presence, tracking } minimums to its model.
+export function supportsWorkerInference() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function'
+        && typeof OffscreenCanvas !== 'undefined';
+}
+
+export function createWorkerCameraInput(videoEl, { assets = resolveAssets('cdn'), deviceId = '' } = {}) {
+    const frames = createFrameEmitter();
+    let worker = null;
+    let stream = null;
+    let running = false;
+    let busy = false;
+    let sentAt = 0;
+    let options = { maxFps: 60, thresholds: undefined, confidence: HAND_CONFIDENCE };
+
+    async function capture() {
+        if (!running) return;
+        const now = performance.now();
+        if (!busy && videoEl.readyState >= 2 && now - sentAt >= 1000 / options.maxFps) {
+            busy = true;
+            sentAt = now;
+            try {
+                const bitmap = await createImageBitmap(videoEl);
+                worker.postMessage({ type: 'frame', bitmap, timestamp: Date.now() }, [bitmap]);
+            } catch (err) {
+                busy = false;
+            }
+        }
+        nextVideoFrame(videoEl, capture);
+    }
+
+    function onMessage(e) {
+        const message = e.data;
+        busy = false;
+        if (message.type === 'error') console.warn('Hand worker:', message.message);
+        if (message.type !== 'result') return;
+        frames.emit({
+            timestamp: message.timestamp,
+            image: videoEl,
+            latency: performance.now() - sentAt,
+            hands: message.hands,
+            tracked: message.tracked,
+            swipes: message.swipes
+        });
+    }
+
+    function shutdown() {
+        running = false;
+        busy = false;
+        if (worker) worker.terminate();
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+        worker = null;
+        stream = null;
+    }
+
+    return {
+        name: 'camera',
+        deviceId,
+        onFrame: frames.on,
+
+        configure(next) {
+            options = { ...options, ...next };
+            if (worker && next.thresholds) worker.postMessage({ type: 'thresholds', thresholds: next.thresholds });
+            if (worker && next.confidence) worker.postMessage({ type: 'confidence', confidence: next.confidence });
+        },
+
+        async start() {
+            if (running) return;
+
+            stream = await openCamera(videoEl, deviceId);
+
+            worker = new Worker(new URL('./hand-worker.js', import.meta.url), { type: 'module' });
+            try {
+                await new Promise((resolve, reject) => {
+                    worker.onmessage = (e) => {
+                        if (e.data.type === 'ready') resolve();
+                        if (e.data.type === 'error') reject(new Error(e.data.message));
+                    };
+                    worker.onerror = (e) => reject(new Error(e.message || 'Hand worker failed to load'));
+                    worker.postMessage({
+                        type: 'init',
+                        thresholds: options.thresholds,
+                        confidence: options.confidence,
+                        assets: { visionBundle: assets.visionBundle, visionWasm: assets.visionWasm, handModel: assets.handModel }
+                    });
+                });
+            } catch (err) {
+                shutdown();
+                const error = new Error(`Hand inference worker unavailable: ${err.message}`);
+                error.name = 'WorkerInferenceError';
+                throw error;
+            }
+
+            worker.onmessage = onMessage;
+            running = true;
+            capture();
+        },
+
+        stop() {
+            shutdown();
+        }
+    };
+}
+
+// ============================================================
+// POINTER — mouse / touch / keyboard fallback
+// ============================================================
+// The pointer is a synthetic hand: position from the cursor or touch point,
+// pose from keys (F / P / L or 1 / 2 / 3), held mouse buttons (left fist,
+// right palm, middle 🤟) or the number of touching fingers (1 / 2 / 3).
+// The wheel moves the hand toward or away from the camera.
+// keyboard: false leaves the keys to the page (embeds with keyboard off).
+export function createPointerInput(target = window, { keyboard = true } = {}) {
+    const frames = createFrameEmitter();
+    let timer = null;
+    let position = null; // { x, y } in image coords while the pointer is in view
+    let keyPose = 'other';
+    let buttonPose = null;
+    let touchPose = null;
+    let scale = 1;
+
+    // Target → image coords; the camera image is mirrored on screen
+    const toImage = (clientX, clientY) => {
+        const { left, top, width, height } = target === window
+            ? { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }
+            : target.getBoundingClientRect();
+        return { x: 1 - (clientX - left) / width, y: (clientY - top) / height };
+    };
+
+    const handlers = {
+        mousemove: (e) => {
+            position = toImage(e.clientX, e.clientY);
+        },
+        mouseleave: () => {
+            position = null;
+            buttonPose = null;
+        },
+        mousedown: (e) => {
+            buttonPose = BUTTON_POSES[e.button] || null;
+        },
+        mouseup: () => {
+            buttonPose = null;
+        },
+        contextmenu: (e) => e.preventDefault(),
+        wheel: (e) => {
+            scale = Math.min(Math.max(scale * Math.exp(-e.deltaY * 0.001), MIN_SCALE), MAX_SCALE);
+        },
+        keydown: (e) => {
+            if (/^(INPUT|TEXTAREA|SELECT)$/.test(keyTarget(e).tagName)) return;
+            const pose = KEY_POSES[e.key.toLowerCase()];
+            if (pose) keyPose = keyPose === pose ? 'other' : pose;
+        },
+        touchstart: (e) => onTouch(e),
+        touchmove: (e) => onTouch(e),
+        touchend: (e) => onTouch(e)
+    };
+    if (!keyboard) delete handlers.keydown;
+
+    function onTouch(e) {
+        e.preventDefault();
+        const touches = Array.from(e.touches);
+        touchPose = TOUCH_POSES[Math.min(touches.length, TOUCH_POSES.length - 1)];
+        if (touches.length === 0) return;
+        const cx = touches.reduce((sum, t) => sum + t.clientX, 0) / touches.length;
+        const cy = touches.reduce((sum, t) => sum + t.clientY, 0) / touches.length;
+        position = toImage(cx, cy);
+    }
+
+    function tick() {
+        const pose = buttonPose || touchPose || keyPose;
+        frames.emit({
+            timestamp: Date.now(),
+            hands: position
+                ? [{ landmarks: createHandLandmarks({ pose, x: position.x, y: position.y, scale }), handedness: 'Right' }]
+                : []
+        });
+    }
+
+    return {
+        name: 'pointer',
+        onFrame: frames.on,
+
+        async start() {
+            if (timer) return;
+            Object.entries(handlers).forEach(([event, fn]) => {
+                const el = event === 'keydown' ? window : target;
+                el.addEventListener(event, fn, { passive: !event.startsWith('touch') && event !== 'contextmenu' });
+            });
+            timer = setInterval(tick, 1000 / SYNTHETIC_FPS);
+        },
+
+        stop() {
+            if (!timer) return;
+            Object.entries(handlers).forEach(([event, fn]) => {
+                const el = event === 'keydown' ? window : target;
+                el.removeEventListener(event, fn);
+            });
+            clearInterval(timer);
+            timer = null;
+            position = null;
+        }
+    };
+}
+
+// The element a key went to; events from a shadow root (js/hand-universe.js)
+// reach window retargeted to its host
+export function keyTarget(e) {
+    return (e.composedPath && e.composedPath()[0]) || e.target || {};
+}
+
+// ============================================================
+// SCRIPTED — a timed sequence of poses (demos, kiosks, tests)
+// ============================================================
+// steps: [{ pose, x?, y?, scale?, duration }] (duration in ms; pose null = no
+// hand). Positions glide from the previous step.
+export function createScriptedInput(steps, { loop = false } = {}) {
+    const frames = createFrameEmitter();
+    let timer = null;
+    let startedAt = 0;
+    const total = steps.reduce((sum, step) => sum + step.duration, 0);
+
+    function tick() {
+        let t = Date.now() - startedAt;
+        if (t >= total) {
+            if (!loop) {
+                frames.emit({ timestamp: Date.now(), hands: [] });
+                clearInterval(timer);
+                timer = null;
+                return;
+            }
+            t %= total;
+        }
+
+        let i = 0;
+        while (t >= steps[i].duration) t -= steps[i++].duration;
+        const step = steps[i];
+        const from = steps[i - 1] || step;
+        const k = Math.min(t / Math.max(step.duration * 0.3, 1), 1); // glide over the first 30%
+        const lerp = (key, fallback) => {
+            const a = from[key] !== undefined ? from[key] : fallback;
+            const b = step[key] !== undefined ? step[key] : fallback;
+            return a + (b - a) * k;
+        };
+
+        frames.emit({
+            timestamp: Date.now(),
+            hands: step.pose
+                ? [{
+                    landmarks: createHandLandmarks({
+                        pose: step.pose, x: lerp('x', 0.5), y: lerp('y', 0.5), scale: lerp('scale', 1)
+                    }),
+                    handedness: 'Right'
+                }]
+                : []
+        });
+    }
+
+    return {
+        name: 'scripted',
+        onFrame: frames.on,
+
+        async start() {
+            if (timer || steps.length === 0) return;
+            startedAt = Date.now();
+            timer = setInterval(tick, 1000 / SYNTHETIC_FPS);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
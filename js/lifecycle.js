@@ -0,0 +1,165 @@
+// ============================================================
+// Lifecycle — start / pause / resume / stop of the experience, and the
+// idle timeout back to attract mode
+// No DOM, so the phase logic runs in Node (test/lifecycle.test.js)
+// ============================================================
+//
+// Phases:
+//   stopped    the start screen; no input, the idle sphere renders behind it
+//   running    an input provider drives the particles
+//   paused     input and rendering halted, by the user or a hidden tab
+//   destroyed  torn down for good; every call is ignored
+// js/hand-universe.js supplies the side effects as hooks, any of which may be async:
+//   start(kind)  start an input provider (js/input.js) and show the HUD
+//   pause()      stop the input, the render loop and the sound
+//   resume()     start them again
+//   stop()       stop the input and go back to the start screen
+//   release()    stop input left on at the start screen (the calibration
+//                camera) when the tab is hidden
+//   reset()      particles to their rest positions, state to IDLE
+//   destroy()    release the camera, audio and GPU resources
+// Calls run one at a time in order, so a tab flicking between hidden and
+// visible can't interleave a resume with the pause before it. A failing
+// hook leaves the phase as it was and rejects.
+
+export const PHASE = { STOPPED: 'stopped', RUNNING: 'running', PAUSED: 'paused', DESTROYED: 'destroyed' };
+
+// ms without a hand before attract mode; ?idle= overrides it in seconds
+export const DEFAULT_IDLE_TIMEOUT = 120000;
+
+export function createLifecycle(hooks = {}) {
+    let phase = PHASE.STOPPED;
+    let pausedBy = null; // 'user' | 'hidden' while paused
+    let kind = null; // the input the experience was started with
+    let queue = Promise.resolve();
+    let listeners = [];
+
+    const call = (name, ...args) => (hooks[name] ? hooks[name](...args) : undefined);
+
+    // Run op after every earlier call has settled
+    function enqueue(op) {
+        const result = queue.then(() => (phase === PHASE.DESTROYED ? false : op()));
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    function set(next) {
+        const from = phase;
+        phase = next;
+        if (next !== from) listeners.forEach((fn) => fn(next, from));
+    }
+
+    return {
+        get phase() { return phase; },
+        get pausedBy() { return pausedBy; },
+        get kind() { return kind; },
+
+        // Start (or switch) the input; also leaves a pause
+        start(next) {
+            return enqueue(async () => {
+                await call('start', next);
+                kind = next;
+                pausedBy = null;
+                set(PHASE.RUNNING);
+                return true;
+            });
+        },
+
+        // reason: 'user', or 'hidden' for a hidden tab. A user pause also
+        // takes over a hidden one, so showing the tab won't resume it.
+        // Hidden while stopped only releases the input; there's nothing to resume.
+        pause(reason = 'user') {
+            return enqueue(async () => {
+                if (phase === PHASE.STOPPED && reason === 'hidden') await call('release');
+                if (phase === PHASE.PAUSED && reason === 'user') pausedBy = 'user';
+                if (phase !== PHASE.RUNNING) return false;
+                await call('pause');
+                pausedBy = reason;
+                set(PHASE.PAUSED);
+                return true;
+            });
+        },
+
+        // A 'hidden' resume only undoes a 'hidden' pause
+        resume(reason = 'user') {
+            return enqueue(async () => {
+                if (phase !== PHASE.PAUSED || (reason === 'hidden' && pausedBy !== 'hidden')) return false;
+                await call('resume');
+                pausedBy = null;
+                set(PHASE.RUNNING);
+                return true;
+            });
+        },
+
+        stop() {
+            return enqueue(async () => {
+                if (phase === PHASE.STOPPED) return false;
+                await call('stop');
+                pausedBy = null;
+                set(PHASE.STOPPED);
+                return true;
+            });
+        },
+
+        // Any phase but destroyed; the phase stays
+        reset() {
+            return enqueue(async () => {
+                await call('reset');
+                return true;
+            });
+        },
+
+        // Stop, then release everything; the lifecycle is done afterwards
+        destroy() {
+            return enqueue(async () => {
+                if (phase !== PHASE.STOPPED) await call('stop');
+                await call('destroy');
+                pausedBy = null;
+                set(PHASE.DESTROYED);
+                listeners = [];
+                return true;
+            });
+        },
+
+        // listener(phase, previousPhase); returns an unsubscribe function
+        onChange(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter((fn) => fn !== listener);
+            };
+        }
+    };
+}
+
+// ============================================================
+// IDLE TIMER
+// ============================================================
+// update(handSeen, now) → 'idle' once no hand has been seen for timeout ms,
+// 'active' when a hand returns after that, else null. timeout 0 never idles.
+export function createIdleTimer(timeout = DEFAULT_IDLE_TIMEOUT) {
+    let lastSeen = null;
+    let idle = false;
+
+    return {
+        get idle() { return idle; },
+        get timeout() { return timeout; },
+
+        update(handSeen, now) {
+            if (lastSeen === null || handSeen) {
+                lastSeen = now;
+                if (!idle) return null;
+                idle = false;
+                return 'active';
+            }
+            if (idle || timeout <= 0 || now - lastSeen < timeout) return null;
+            idle = true;
+            return 'idle';
+        },
+
+        // Count from now again, e.g. after a (re)start
+        reset(now) {
+            lastSeen = now;
+            idle = false;
+        }
+    };
+}
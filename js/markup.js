@@ -0,0 +1,198 @@
+// ============================================================
+// Markup of one Hand Universe instance (js/hand-universe.js), placed in its
+// shadow root; element IDs only have to be unique per instance
+// ============================================================
+
+export const MARKUP = `
+<!-- Hidden video element for webcam -->
+<video id="webcam" autoplay playsinline style="display:none;"></video>
+
+<!-- Three.js canvas will be inserted here -->
+<div id="canvas-container"></div>
+
+<!-- Webcam preview (small corner) -->
+<div id="webcam-preview">
+    <canvas id="webcam-canvas"></canvas>
+    <div id="webcam-label">CAMERA</div>
+</div>
+
+<!-- Gesture status HUD -->
+<div id="gesture-hud">
+    <div id="gesture-icon">✊</div>
+    <div id="gesture-label">Waiting for hand...</div>
+</div>
+
+<!-- State indicator -->
+<div id="state-indicator">
+    <div id="state-dot"></div>
+    <span id="state-text">IDLE</span>
+</div>
+
+<!-- Capture: video, GIF and screenshot (js/capture.js) -->
+<div id="capture-controls">
+    <button type="button" id="capture-video" title="Record a WebM video">● Record</button>
+    <button type="button" id="capture-gif" title="Save a 3 second looping GIF">GIF</button>
+    <button type="button" id="capture-photo" title="Save a PNG screenshot">Photo</button>
+    <label title="Include the camera preview in captures">
+        <input type="checkbox" id="capture-pip"> Camera
+    </label>
+</div>
+
+<!-- Sound: mute, volume and the audio-reactive input (js/audio.js) -->
+<div id="audio-controls">
+    <button type="button" id="audio-mute" title="Mute / unmute (M)">Sound on</button>
+    <input type="range" id="audio-volume" min="0" max="1" step="0.05" aria-label="Volume">
+    <select id="audio-reactive" title="Let sound drive the particles">
+        <option value="off">Reactive: off</option>
+        <option value="microphone">Microphone</option>
+        <option value="file">Music file…</option>
+    </select>
+    <input type="file" id="audio-file" accept="audio/*" hidden>
+</div>
+
+<!-- Pause / resume, reset and back to the start screen (js/lifecycle.js) -->
+<div id="lifecycle-controls">
+    <button type="button" id="lifecycle-pause" title="Pause / resume (Space)">❚❚ Pause</button>
+    <button type="button" id="lifecycle-reset" title="Particles back to the start">Reset</button>
+    <button type="button" id="lifecycle-stop" title="Back to the start screen (Esc)">Exit</button>
+</div>
+
+<!-- Attract mode, after a while without a hand -->
+<div id="attract-hint">Show your hand to begin ✋</div>
+
+<!-- Instructions overlay -->
+<div id="instructions">
+    <div class="instructions-content">
+        <h1 id="instructions-title">Happy Valentine's Day</h1>
+        <p class="tagline" id="instructions-tagline">A small surprise for you</p>
+        <div class="gesture-guide">
+            <div class="gesture-item">
+                <span class="gesture-emoji">✊</span>
+                <span class="gesture-desc">Fist — Move the particles</span>
+            </div>
+            <div class="gesture-item">
+                <span class="gesture-emoji">🖐️</span>
+                <span class="gesture-desc">Open Palm — something cool?</span>
+            </div>
+            <div class="gesture-item">
+                <span class="gesture-emoji">✊</span>
+                <span class="gesture-desc">Fist again — something cool again?</span>
+            </div>
+            <div class="gesture-item">
+                <span class="gesture-emoji">🤟</span>
+                <span class="gesture-desc">And finally, my surprise</span>
+            </div>
+        </div>
+        <details id="message-editor">
+            <summary>Customize message</summary>
+            <label for="editor-title">Title</label>
+            <input id="editor-title" type="text" maxlength="64">
+            <label for="editor-tagline">Tagline</label>
+            <input id="editor-tagline" type="text" maxlength="120">
+            <label for="editor-message">Message (one line per row)</label>
+            <textarea id="editor-message" rows="3"></textarea>
+            <label for="editor-shape">Formation shape</label>
+            <select id="editor-shape">
+                <option value="text">Message text</option>
+                <option value="heart">Heart</option>
+                <option value="image">Image silhouette (PNG/JPG)</option>
+                <option value="svg">SVG</option>
+                <option value="model">3D point cloud (OBJ/PLY)</option>
+            </select>
+            <input id="editor-shape-file" type="file" hidden>
+            <label for="editor-story">Story</label>
+            <select id="editor-story">
+                <option value="">None — single formation</option>
+                <option value="stories/proposal.json">Proposal</option>
+                <option value="stories/birthday.json">Birthday</option>
+                <option value="stories/product-reveal.json">Product reveal</option>
+                <option value="custom" hidden>Custom (from config)</option>
+            </select>
+            <label for="editor-theme">Theme</label>
+            <select id="editor-theme">
+                <option value="valentine">Valentine</option>
+                <option value="birthday">Birthday</option>
+                <option value="galaxy">Galaxy</option>
+                <option value="corporate">Corporate</option>
+                <option value="custom" hidden>Custom (from config)</option>
+            </select>
+            <div class="editor-actions">
+                <button type="button" id="editor-apply">Apply</button>
+                <button type="button" id="editor-share">Copy link</button>
+                <button type="button" id="editor-reset">Reset</button>
+            </div>
+        </details>
+        <div id="camera-picker" hidden>
+            <label for="camera-select">Camera</label>
+            <select id="camera-select"></select>
+        </div>
+        <button id="start-btn">Enable Camera &amp; Start</button>
+        <!-- What went wrong and what to try next (js/startup.js) -->
+        <div id="start-error" role="alert" hidden>
+            <strong id="start-error-title"></strong>
+            <p id="start-error-message"></p>
+            <div id="start-actions"></div>
+        </div>
+        <button type="button" id="pointer-btn">No camera? Use mouse, touch or keyboard</button>
+        <div id="calibration-controls">
+            <button type="button" id="calibrate-btn">Calibrate gestures</button>
+            <button type="button" id="calibration-reset" hidden>Reset calibration</button>
+            <p id="calibration-status"></p>
+        </div>
+        <p class="note">Your webcam feed stays on your device — nothing is sent anywhere.</p>
+    </div>
+</div>
+
+<!-- Pointer fallback controls -->
+<div id="pointer-hint">
+    Hold mouse: left ✊ · right 🖐️ · middle 🤟 &nbsp;|&nbsp; Keys F / P / L &nbsp;|&nbsp; Touch with 1 / 2 / 3 fingers &nbsp;|&nbsp; Wheel: closer / farther
+</div>
+
+<!-- Performance stats and quality preset (S or ?stats=1) -->
+<div id="perf-stats" hidden>
+    <pre id="perf-stats-text"></pre>
+    <label for="quality-select">Quality</label>
+    <select id="quality-select">
+        <option value="auto">Auto</option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+        <option value="ultra">Ultra</option>
+    </select>
+</div>
+
+<!-- Live settings, presets and sharing (, key, js/tuning.js) -->
+<div id="settings-panel" hidden>
+    <div class="settings-header">
+        <strong>Settings</strong>
+        <button type="button" id="settings-close" title="Close (,)" aria-label="Close settings">×</button>
+    </div>
+    <div id="settings-fields"></div>
+    <div class="settings-presets">
+        <select id="settings-preset" aria-label="Saved presets"></select>
+        <input id="settings-preset-name" type="text" maxlength="40" placeholder="Preset name" aria-label="Preset name">
+        <button type="button" id="settings-preset-save">Save</button>
+        <button type="button" id="settings-preset-delete">Delete</button>
+    </div>
+    <div class="settings-actions">
+        <button type="button" id="settings-export">Export</button>
+        <button type="button" id="settings-import">Import</button>
+        <button type="button" id="settings-share">Copy link</button>
+        <button type="button" id="settings-defaults">Defaults</button>
+    </div>
+    <input type="file" id="settings-import-file" accept=".json,application/json" hidden>
+    <p id="settings-status" role="status"></p>
+</div>
+
+<!-- Calibration wizard -->
+<div id="calibration" class="hidden">
+    <div class="calibration-card">
+        <div id="calibration-icon">✊</div>
+        <p id="calibration-prompt"></p>
+        <div class="calibration-progress">
+            <div id="calibration-bar"></div>
+        </div>
+        <button type="button" id="calibration-cancel">Cancel</button>
+    </div>
+</div>
+`;
@@ -0,0 +1,166 @@
+// ============================================================
+// Physics — force-based particle integration
+// Springs toward targets, the hand's landmarks as a force field,
+// curl-noise turbulence, damping and gravity
+// ============================================================
+//
+// Each state names a force preset (`forces` in js/states.js); its update
+// sets targets and calls integrate(). js/gpu-particles.js runs the same
+// forces in its velocity pass. Units are world units and seconds.
+//
+// Preset fields:
+//   spring    pull toward the target, 1/s² (0 = no target)
+//   damping   velocity decay rate, 1/s
+//   field     hand landmarks: strength (> 0 attracts, < 0 repels), radius
+//   swat      share of the hand's velocity passed to particles in the field
+//   curl      turbulence: strength, scale (1 / feature size), speed
+//   gravity   downward acceleration
+//   maxSpeed  cap on particle speed
+
+export const FORCE_PRESETS = {
+    drift: {
+        spring: 6, damping: 4, field: { strength: -18, radius: 0.7 }, swat: 4,
+        curl: { strength: 0.6, scale: 0.4, speed: 0.2 }, gravity: 0, maxSpeed: 20
+    },
+    follow: {
+        spring: 20, damping: 8, field: { strength: 0, radius: 0.6 }, swat: 0,
+        curl: { strength: 0.4, scale: 0.6, speed: 0.3 }, gravity: 0, maxSpeed: 30
+    },
+    explode: {
+        spring: 0, damping: 0.3, field: { strength: -30, radius: 0.9 }, swat: 8,
+        curl: { strength: 2, scale: 0.35, speed: 0.3 }, gravity: 0, maxSpeed: 30
+    },
+    implode: {
+        spring: 25, damping: 8, field: { strength: 6, radius: 1 }, swat: 0,
+        curl: { strength: 0.3, scale: 0.5, speed: 0.3 }, gravity: 0, maxSpeed: 30
+    },
+    form: {
+        spring: 4, damping: 3.5, field: { strength: -25, radius: 0.6 }, swat: 6,
+        curl: { strength: 0.1, scale: 0.8, speed: 0.2 }, gravity: 0, maxSpeed: 20
+    }
+};
+
+export const DEFAULT_FORCES = FORCE_PRESETS.drift;
+export const MAX_HAND_POINTS = 42; // 21 landmarks × 2 hands
+export const MAX_STEP = 1 / 20; // s; longer frames (tab switch) would overshoot springs
+
+// ============================================================
+// CURL NOISE
+// ============================================================
+// Curl of the potential (sin y' cos z', sin z' cos x', sin x' cos y') with
+// x' = x·scale + t·speed etc. — divergence-free, so particles swirl without
+// bunching up. Mirrored in GLSL by js/gpu-particles.js.
+export function curlNoise(x, y, z, t, scale = 1, speed = 1) {
+    const px = x * scale + t * speed;
+    const py = y * scale + t * speed * 1.3;
+    const pz = z * scale + t * speed * 0.7;
+    const sx = Math.sin(px);
+    const cx = Math.cos(px);
+    const sy = Math.sin(py);
+    const cy = Math.cos(py);
+    const sz = Math.sin(pz);
+    const cz = Math.cos(pz);
+    return {
+        x: -sx * sy - cz * cx,
+        y: -sy * sz - cx * cy,
+        z: -sz * sx - cy * cz
+    };
+}
+
+// ============================================================
+// INTEGRATOR
+// ============================================================
+// Semi-implicit Euler on particles { count, positions, velocities, targets }.
+// frame: the state update's frame; uses delta, elapsed, forces, handPoints
+// (world landmarks of the visible hands) and handVelocity.
+export function integrate(particles, frame) {
+    const { count, positions, velocities, targets } = particles;
+    const { forces = DEFAULT_FORCES, handPoints = [], handVelocity, elapsed = 0 } = frame;
+    const { spring, damping, field, swat, curl, gravity, maxSpeed } = forces;
+    const dt = Math.min(frame.delta || 0, MAX_STEP);
+    if (dt <= 0) return;
+
+    const damp = Math.exp(-damping * dt);
+    const radius = field.radius;
+    const radiusSq = radius * radius;
+    const useField = handPoints.length > 0 && (field.strength !== 0 || swat !== 0);
+    const box = useField ? bounds(handPoints, radius) : null;
+    const hv = handVelocity || { x: 0, y: 0, z: 0 };
+    const maxSpeedSq = maxSpeed * maxSpeed;
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const px = positions[i3];
+        const py = positions[i3 + 1];
+        const pz = positions[i3 + 2];
+
+        let ax = spring * (targets[i3] - px);
+        let ay = spring * (targets[i3 + 1] - py) - gravity;
+        let az = spring * (targets[i3 + 2] - pz);
+
+        if (curl.strength !== 0) {
+            const c = curlNoise(px, py, pz, elapsed, curl.scale, curl.speed);
+            ax += c.x * curl.strength;
+            ay += c.y * curl.strength;
+            az += c.z * curl.strength;
+        }
+
+        // Landmark field: each point pulls (or pushes) within its radius;
+        // the closest one also drags particles along with the hand
+        if (useField && px > box.minX && px < box.maxX && py > box.minY && py < box.maxY && pz > box.minZ && pz < box.maxZ) {
+            let closest = 0;
+            for (let k = 0; k < handPoints.length; k++) {
+                const point = handPoints[k];
+                const dx = point.x - px;
+                const dy = point.y - py;
+                const dz = point.z - pz;
+                const distSq = dx * dx + dy * dy + dz * dz;
+                if (distSq >= radiusSq) continue;
+
+                const dist = Math.sqrt(distSq) + 1e-4;
+                const falloff = 1 - dist / radius;
+                const pull = (field.strength * falloff) / dist;
+                ax += dx * pull;
+                ay += dy * pull;
+                az += dz * pull;
+                if (falloff > closest) closest = falloff;
+            }
+            ax += hv.x * swat * closest;
+            ay += hv.y * swat * closest;
+            az += hv.z * swat * closest;
+        }
+
+        let vx = velocities[i3] * damp + ax * dt;
+        let vy = velocities[i3 + 1] * damp + ay * dt;
+        let vz = velocities[i3 + 2] * damp + az * dt;
+
+        const speedSq = vx * vx + vy * vy + vz * vz;
+        if (speedSq > maxSpeedSq) {
+            const k = maxSpeed / Math.sqrt(speedSq);
+            vx *= k;
+            vy *= k;
+            vz *= k;
+        }
+
+        velocities[i3] = vx;
+        velocities[i3 + 1] = vy;
+        velocities[i3 + 2] = vz;
+        positions[i3] = px + vx * dt;
+        positions[i3 + 1] = py + vy * dt;
+        positions[i3 + 2] = pz + vz * dt;
+    }
+}
+
+// Axis-aligned box around the points, grown by radius
+function bounds(points, radius) {
+    const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    points.forEach(({ x, y, z }) => {
+        box.minX = Math.min(box.minX, x - radius);
+        box.maxX = Math.max(box.maxX, x + radius);
+        box.minY = Math.min(box.minY, y - radius);
+        box.maxY = Math.max(box.maxY, y + radius);
+        box.minZ = Math.min(box.minZ, z - radius);
+        box.maxZ = Math.max(box.maxZ, z + radius);
+    });
+    return box;
+}
@@ -0,0 +1,335 @@
+// ============================================================
+// Post-processing — bloom, motion trails and depth of field
+// ============================================================
+//
+// The scene renders into a target, then:
+//   trails  afterimage: each frame keeps max(new, previous × trails)
+//   bloom   bright pass, blurred at half and quarter resolution, added back
+//   dof     done per particle, not as a pass: the particles blend additively
+//           and write no depth, so the point shaders (FOCUS_VERTEX_GLSL /
+//           FOCUS_FRAGMENT_GLSL) grow out-of-focus points into dimmer bokeh
+//           discs around the focus distance (the hand cluster)
+//
+// Effects come in layers (resolveEffects): defaults, the theme, the state
+// (`effects` in js/states.js) and the theme's entry for the state. The
+// quality preset (js/quality.js) picks which effects may run at all.
+
+export const EFFECTS = ['bloom', 'trails', 'dof'];
+
+// bloom.strength: added glow; radius: share of the wide (quarter
+// resolution) blur; threshold: brightness where glow starts.
+// trails: afterimage persistence per frame (0 = off).
+// dof.blur: out-of-focus strength (0 = off); range: in-focus depth, ± units.
+export const DEFAULT_EFFECTS = {
+    bloom: { strength: 0.8, radius: 0.5, threshold: 0.35 },
+    trails: 0,
+    dof: { blur: 0, range: 2 }
+};
+
+const LIMITS = {
+    bloom: { strength: [0, 3], radius: [0, 1], threshold: [0, 1] },
+    trails: [0, 0.95],
+    dof: { blur: [0, 1], range: [0.1, 10] }
+};
+
+const EASE_RATE = 3; // 1/s; effects ease toward a new state's settings
+const FOCUS_RATE = 6; // 1/s; focus distance follows the hand
+
+// ============================================================
+// SETTINGS
+// ============================================================
+// Partial effects with every field clamped to its range; unknown or
+// non-numeric fields are dropped
+export function normalizeEffects(raw) {
+    if (!raw || typeof raw !== 'object') return {};
+
+    const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+    const pick = (values, limits) => {
+        const picked = {};
+        Object.keys(limits).forEach((key) => {
+            if (values && Number.isFinite(values[key])) picked[key] = clamp(values[key], limits[key]);
+        });
+        return picked;
+    };
+
+    const normalized = {};
+    if (raw.bloom && typeof raw.bloom === 'object') normalized.bloom = pick(raw.bloom, LIMITS.bloom);
+    if (Number.isFinite(raw.trails)) normalized.trails = clamp(raw.trails, LIMITS.trails);
+    if (raw.dof && typeof raw.dof === 'object') normalized.dof = pick(raw.dof, LIMITS.dof);
+    return normalized;
+}
+
+// Full effects from DEFAULT_EFFECTS and partial layers (later wins)
+export function resolveEffects(...layers) {
+    return layers.reduce((effects, layer) => {
+        const { bloom, trails, dof } = normalizeEffects(layer);
+        return {
+            bloom: { ...effects.bloom, ...bloom },
+            trails: trails !== undefined ? trails : effects.trails,
+            dof: { ...effects.dof, ...dof }
+        };
+    }, { bloom: { ...DEFAULT_EFFECTS.bloom }, trails: DEFAULT_EFFECTS.trails, dof: { ...DEFAULT_EFFECTS.dof } });
+}
+
+// current moved toward target by k (0..1)
+export function blendEffects(current, target, k) {
+    const lerp = (a, b) => a + (b - a) * k;
+    const lerpAll = (a, b) => Object.fromEntries(Object.keys(b).map((key) => [key, lerp(a[key], b[key])]));
+    return {
+        bloom: lerpAll(current.bloom, target.bloom),
+        trails: lerp(current.trails, target.trails),
+        dof: lerpAll(current.dof, target.dof)
+    };
+}
+
+// ============================================================
+// PARTICLE DEPTH OF FIELD
+// ============================================================
+// Shared by the CPU and GPU particle materials, with createFocusUniforms()
+// in their uniforms. The vertex shader sets vBlur from the view distance.
+export const FOCUS_VERTEX_GLSL = `
+    uniform float uFocusDistance;
+    uniform float uFocusRange;
+    uniform float uFocusBlur;
+    varying float vBlur;
+
+    // 0 in focus .. uFocusBlur far out of it
+    float focusBlur(float dist) {
+        return uFocusBlur * clamp((abs(dist - uFocusDistance) - uFocusRange) / (uFocusRange * 2.0), 0.0, 1.0);
+    }
+`;
+
+export const FOCUS_FRAGMENT_GLSL = `
+    varying float vBlur;
+
+    // Soft glow in focus, a flatter bokeh disc out of it; d from the point center
+    float particleGlow(float d) {
+        float glow = pow(1.0 - smoothstep(0.0, 0.5, d), 1.5);
+        return mix(glow, 1.0 - smoothstep(0.3, 0.5, d), vBlur);
+    }
+`;
+
+export function createFocusUniforms() {
+    return {
+        uFocusDistance: { value: 12 },
+        uFocusRange: { value: DEFAULT_EFFECTS.dof.range },
+        uFocusBlur: { value: 0 }
+    };
+}
+
+// ============================================================
+// PIPELINE
+// ============================================================
+const QUAD_VERTEX = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const TRAILS_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uTexture;
+    uniform sampler2D uPrevious;
+    uniform float uDecay;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = max(texture2D(uTexture, vUv), texture2D(uPrevious, vUv) * uDecay);
+    }
+`;
+
+const BRIGHT_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uTexture;
+    uniform float uThreshold;
+    varying vec2 vUv;
+    void main() {
+        vec4 color = texture2D(uTexture, vUv);
+        float luma = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+        gl_FragColor = vec4(color.rgb * smoothstep(uThreshold, uThreshold + 0.2, luma), 1.0);
+    }
+`;
+
+// 9-tap Gaussian along uDirection (UV per texel) in 5 linearly filtered samples
+const BLUR_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uTexture;
+    uniform vec2 uDirection;
+    varying vec2 vUv;
+    void main() {
+        vec4 sum = texture2D(uTexture, vUv) * 0.227027;
+        sum += texture2D(uTexture, vUv + uDirection * 1.384615) * 0.316216;
+        sum += texture2D(uTexture, vUv - uDirection * 1.384615) * 0.316216;
+        sum += texture2D(uTexture, vUv + uDirection * 3.230769) * 0.070270;
+        sum += texture2D(uTexture, vUv - uDirection * 3.230769) * 0.070270;
+        gl_FragColor = sum;
+    }
+`;
+
+const COMPOSITE_FRAGMENT = `
+    precision highp float;
+    uniform sampler2D uTexture;
+    uniform sampler2D uBloomNear;
+    uniform sampler2D uBloomWide;
+    uniform float uStrength;
+    uniform float uRadius;
+    varying vec2 vUv;
+    void main() {
+        vec3 bloom = mix(texture2D(uBloomNear, vUv).rgb, texture2D(uBloomWide, vUv).rgb, uRadius);
+        gl_FragColor = vec4(texture2D(uTexture, vUv).rgb + bloom * uStrength, 1.0);
+    }
+`;
+
+// focusUniforms: createFocusUniforms(), shared with the particle materials
+export function createPostProcessing(renderer, { width, height, pixelRatio = 1, focusUniforms }) {
+    const target = () => new THREE.WebGLRenderTarget(1, 1, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        format: THREE.RGBAFormat,
+        stencilBuffer: false
+    });
+    const sceneTarget = target();
+    let trails = [target(), target()];
+    const near = [target(), target()]; // half resolution
+    const wide = [target(), target()]; // quarter resolution
+    const texel = { near: new THREE.Vector2(), wide: new THREE.Vector2() };
+
+    const quadScene = new THREE.Scene();
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    quadScene.add(quad);
+
+    const pass = (fragmentShader, uniforms) => new THREE.ShaderMaterial({
+        uniforms, vertexShader: QUAD_VERTEX, fragmentShader, depthTest: false, depthWrite: false
+    });
+    const trailsMaterial = pass(TRAILS_FRAGMENT, { uTexture: { value: null }, uPrevious: { value: null }, uDecay: { value: 0 } });
+    const brightMaterial = pass(BRIGHT_FRAGMENT, { uTexture: { value: null }, uThreshold: { value: 0 } });
+    const blurMaterial = pass(BLUR_FRAGMENT, { uTexture: { value: null }, uDirection: { value: new THREE.Vector2() } });
+    const compositeMaterial = pass(COMPOSITE_FRAGMENT, {
+        uTexture: { value: null },
+        uBloomNear: { value: null },
+        uBloomWide: { value: null },
+        uStrength: { value: 0 },
+        uRadius: { value: 0 }
+    });
+
+    const render = (material, output) => {
+        quad.material = material;
+        renderer.setRenderTarget(output);
+        renderer.render(quadScene, quadCamera);
+    };
+
+    // Two blur passes (horizontal, vertical) within a pair of targets
+    const blur = ([a, b], step) => {
+        blurMaterial.uniforms.uTexture.value = a.texture;
+        blurMaterial.uniforms.uDirection.value.set(step.x, 0);
+        render(blurMaterial, b);
+        blurMaterial.uniforms.uTexture.value = b.texture;
+        blurMaterial.uniforms.uDirection.value.set(0, step.y);
+        render(blurMaterial, a);
+    };
+
+    let enabled = [...EFFECTS];
+    let goal = resolveEffects();
+    let current = resolveEffects();
+    let trailsLive = false; // the trail buffer holds last frame's image
+
+    function setSize(w, h, ratio) {
+        const fw = Math.max(Math.round(w * ratio), 1);
+        const fh = Math.max(Math.round(h * ratio), 1);
+        sceneTarget.setSize(fw, fh);
+        trails.forEach((t) => t.setSize(fw, fh));
+        near.forEach((t) => t.setSize(Math.ceil(fw / 2), Math.ceil(fh / 2)));
+        wide.forEach((t) => t.setSize(Math.ceil(fw / 4), Math.ceil(fh / 4)));
+        texel.near.set(2 / fw, 2 / fh);
+        texel.wide.set(4 / fw, 4 / fh);
+        trailsLive = false;
+    }
+    setSize(width, height, pixelRatio);
+
+    // Allowed by the preset and strong enough to show
+    const running = {
+        bloom: () => enabled.includes('bloom') && current.bloom.strength > 0.01,
+        trails: () => enabled.includes('trails') && current.trails > 0.01,
+        dof: () => enabled.includes('dof') && current.dof.blur > 0.01
+    };
+
+    return {
+        // Effects the quality preset allows, e.g. ['bloom']
+        setEnabled(effects) {
+            enabled = effects.filter((effect) => EFFECTS.includes(effect));
+        },
+
+        // resolveEffects() result to ease toward
+        setEffects(effects) {
+            goal = effects;
+        },
+
+        // Effects running with their current (eased) settings
+        get active() {
+            return EFFECTS.filter((effect) => running[effect]());
+        },
+
+        setSize,
+
+        // focusDistance: view distance to keep sharp (camera to hand cluster)
+        render(scene, camera, { delta = 0, focusDistance } = {}) {
+            current = blendEffects(current, goal, 1 - Math.exp(-EASE_RATE * delta));
+
+            const focus = focusUniforms.uFocusDistance;
+            if (focusDistance !== undefined) focus.value += (focusDistance - focus.value) * (1 - Math.exp(-FOCUS_RATE * delta));
+            focusUniforms.uFocusRange.value = current.dof.range;
+            focusUniforms.uFocusBlur.value = running.dof() ? current.dof.blur : 0;
+
+            const useTrails = running.trails();
+            const useBloom = running.bloom();
+            if (!useTrails && !useBloom) {
+                trailsLive = false;
+                renderer.setRenderTarget(null);
+                renderer.render(scene, camera);
+                return;
+            }
+
+            renderer.setRenderTarget(sceneTarget);
+            renderer.render(scene, camera);
+            let source = sceneTarget;
+
+            if (useTrails) {
+                trailsMaterial.uniforms.uTexture.value = sceneTarget.texture;
+                trailsMaterial.uniforms.uPrevious.value = trails[0].texture;
+                trailsMaterial.uniforms.uDecay.value = trailsLive ? current.trails : 0;
+                render(trailsMaterial, trails[1]);
+                trails = [trails[1], trails[0]];
+                source = trails[0];
+            }
+            trailsLive = useTrails;
+
+            const c = compositeMaterial.uniforms;
+            c.uTexture.value = source.texture;
+            c.uStrength.value = useBloom ? current.bloom.strength : 0;
+            if (useBloom) {
+                brightMaterial.uniforms.uTexture.value = source.texture;
+                brightMaterial.uniforms.uThreshold.value = current.bloom.threshold;
+                render(brightMaterial, near[0]);
+                blur(near, texel.near);
+
+                blurMaterial.uniforms.uTexture.value = near[0].texture;
+                blurMaterial.uniforms.uDirection.value.set(0, 0); // plain downsample
+                render(blurMaterial, wide[0]);
+                blur(wide, texel.wide);
+
+                c.uBloomNear.value = near[0].texture;
+                c.uBloomWide.value = wide[0].texture;
+                c.uRadius.value = current.bloom.radius;
+            }
+            render(compositeMaterial, null);
+        },
+
+        dispose() {
+            [sceneTarget, ...trails, ...near, ...wide].forEach((t) => t.dispose());
+            [trailsMaterial, brightMaterial, blurMaterial, compositeMaterial].forEach((m) => m.dispose());
+            quad.geometry.dispose();
+        }
+    };
+}
@@ -0,0 +1,168 @@
+// ============================================================
+// Quality — frame / inference monitor and an adaptive governor
+// No DOM, so the stepping logic runs in Node (test/quality.test.js)
+// ============================================================
+//
+// The governor walks QUALITY_LEVELS: it drops a level when frames or hand
+// inference stay slow, and climbs back after a long stretch of headroom.
+// js/hand-universe.js applies the chosen preset to the renderer, stars, particles,
+// post-processing and the input provider's tracking options.
+
+const STORAGE_KEY = 'hand-universe:quality';
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+// particles: share of the simulation's particles drawn (PARTICLE_COUNT or
+// GPU_PARTICLE_COUNT); pixelRatio: cap on devicePixelRatio; stars: background
+// stars drawn; modelComplexity / inferenceFps: MediaPipe Hands model and the
+// most frames per second sent to it; effects: post-processing allowed
+// (js/post-processing.js)
+export const QUALITY_PRESETS = {
+    low: { particles: 0.3, pixelRatio: 1, stars: 400, modelComplexity: 0, inferenceFps: 15, effects: [] },
+    medium: { particles: 0.6, pixelRatio: 1.25, stars: 800, modelComplexity: 0, inferenceFps: 20, effects: ['bloom'] },
+    high: { particles: 0.85, pixelRatio: 1.5, stars: 1200, modelComplexity: 1, inferenceFps: 30, effects: ['bloom', 'trails'] },
+    ultra: { particles: 1, pixelRatio: 2, stars: 1500, modelComplexity: 1, inferenceFps: 60, effects: ['bloom', 'trails', 'dof'] }
+};
+
+const MAX_FRAME_GAP = 250; // ms; longer frames are a hidden tab or a stall, not load
+const DOWNGRADE_AFTER = 2000; // ms of sustained slowness before dropping a level
+const UPGRADE_AFTER = 8000; // ms of sustained headroom before climbing a level
+const RETRY_AFTER = 30000; // ms before retrying a level that was too slow
+
+// ============================================================
+// MONITOR
+// ============================================================
+// Rolling averages of the last `size` frames and inference results
+export function createPerformanceMonitor({ size = 60 } = {}) {
+    const frameTimes = [];
+    const inferenceTimes = [];
+    let lastInferenceAt = null;
+    let inferenceInterval = 0;
+
+    const push = (list, value) => {
+        list.push(value);
+        if (list.length > size) list.shift();
+    };
+    const mean = (list) => (list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : 0);
+
+    return {
+        // ms since the previous rendered frame
+        frame(ms) {
+            if (ms > 0 && ms < MAX_FRAME_GAP) push(frameTimes, ms);
+        },
+
+        // ms from sending an image to MediaPipe until its results, at time now
+        inference(ms, now) {
+            push(inferenceTimes, ms);
+            if (lastInferenceAt !== null && now - lastInferenceAt < MAX_FRAME_GAP * 4) {
+                inferenceInterval += (now - lastInferenceAt - inferenceInterval) * 0.1;
+            }
+            lastInferenceAt = now;
+        },
+
+        reset() {
+            frameTimes.length = 0;
+            inferenceTimes.length = 0;
+            lastInferenceAt = null;
+            inferenceInterval = 0;
+        },
+
+        // → { fps, frameTime, inferenceTime, inferenceFps, samples }; 0 until measured
+        get stats() {
+            const frameTime = mean(frameTimes);
+            return {
+                fps: frameTime > 0 ? 1000 / frameTime : 0,
+                frameTime,
+                inferenceTime: mean(inferenceTimes),
+                inferenceFps: inferenceInterval > 0 ? 1000 / inferenceInterval : 0,
+                samples: frameTimes.length
+            };
+        }
+    };
+}
+
+// ============================================================
+// GOVERNOR
+// ============================================================
+// mode: 'auto' or a level name (fixed; anything else is 'auto').
+// inferenceBudget: ms of hand inference that counts as slow even when
+// rendering keeps up.
+export function createQualityGovernor({
+    mode = 'auto',
+    initial = QUALITY_LEVELS[QUALITY_LEVELS.length - 1],
+    targetFps = 50,
+    inferenceBudget = 60,
+    onChange
+} = {}) {
+    let manual = Boolean(QUALITY_PRESETS[mode]);
+    let current = manual ? mode : initial;
+    let slowSince = null;
+    let fastSince = null;
+    const failedAt = {}; // level → time it was dropped for being slow
+
+    function set(level, reason) {
+        if (level === current) return;
+        current = level;
+        slowSince = null;
+        fastSince = null;
+        if (onChange) onChange(level, QUALITY_PRESETS[level], reason);
+    }
+
+    return {
+        get level() { return current; },
+        get preset() { return QUALITY_PRESETS[current]; },
+        get mode() { return manual ? current : 'auto'; },
+
+        // 'auto' or a level name; a fixed level stops the governor
+        setMode(next) {
+            if (next !== 'auto' && !QUALITY_PRESETS[next]) throw new Error(`Unknown quality level: ${next}`);
+            manual = next !== 'auto';
+            slowSince = null;
+            fastSince = null;
+            if (manual) set(next, 'manual');
+        },
+
+        // stats from createPerformanceMonitor(); now in ms
+        update(stats, now) {
+            if (manual || stats.samples < 30) return current;
+
+            const index = QUALITY_LEVELS.indexOf(current);
+            const slow = stats.fps < targetFps * 0.9 || stats.inferenceTime > inferenceBudget;
+            const fast = stats.fps >= targetFps && stats.inferenceTime < inferenceBudget * 0.6;
+
+            slowSince = slow ? (slowSince === null ? now : slowSince) : null;
+            fastSince = fast ? (fastSince === null ? now : fastSince) : null;
+
+            if (slow && index > 0 && now - slowSince >= DOWNGRADE_AFTER) {
+                failedAt[current] = now;
+                set(QUALITY_LEVELS[index - 1], 'slow');
+            } else if (fast && index < QUALITY_LEVELS.length - 1 && now - fastSince >= UPGRADE_AFTER) {
+                const next = QUALITY_LEVELS[index + 1];
+                if (failedAt[next] === undefined || now - failedAt[next] >= RETRY_AFTER) set(next, 'headroom');
+            }
+            return current;
+        }
+    };
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+// → 'auto' or a level name
+export function loadQualityMode() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved && (saved === 'auto' || QUALITY_PRESETS[saved]) ? saved : 'auto';
+    } catch (err) {
+        return 'auto';
+    }
+}
+
+export function saveQualityMode(mode) {
+    try {
+        if (mode === 'auto') localStorage.removeItem(STORAGE_KEY);
+        else localStorage.setItem(STORAGE_KEY, mode);
+    } catch (err) {
+        // Storage unavailable (private mode) — the choice lasts for this visit
+    }
+}
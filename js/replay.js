@@ -0,0 +1,238 @@
+// ============================================================
+// Recording & replay — landmark sessions as JSON fixtures
+// ============================================================
+//
+// {
+//   "format": "hand-universe-landmarks",
+//   "version": 1,
+//   "createdAt": "2026-02-14T12:00:00.000Z",
+//   "frames": [
+//     { "t": 0, "hands": [{ "handedness": "Right", "landmarks": [[x, y, z], ...21] }] },
+//     { "t": 33, "hands": [] }
+//   ]
+// }
+//
+// t is ms since the recording started. Replays feed the frames back as an
+// input provider (js/input.js) in the browser, or straight through the
+// tracking / hold / state pipeline in Node with replayHeadless().
+
+import { createHandTracking } from './tracking.js';
+import { createGestureHold, DEFAULT_THRESHOLDS } from './gestures.js';
+import { createStateMachine } from './state-machine.js';
+import { STATES, STATE } from './states.js';
+import { TRANSITION_RATE } from './constants.js';
+
+export const RECORDING_FORMAT = 'hand-universe-landmarks';
+const RECORDING_VERSION = 1;
+const PRECISION = 1e5; // landmark coords are kept to 5 decimals
+
+// ============================================================
+// RECORDER
+// ============================================================
+export function createRecorder() {
+    let frames = [];
+    let active = false;
+    let startedAt = null;
+
+    return {
+        get recording() { return active; },
+        get frameCount() { return frames.length; },
+
+        start() {
+            frames = [];
+            startedAt = null;
+            active = true;
+        },
+
+        // frame: { timestamp, hands: [{ landmarks, handedness }] } from js/input.js
+        add(frame) {
+            if (!active) return;
+            if (startedAt === null) startedAt = frame.timestamp;
+            frames.push({
+                t: frame.timestamp - startedAt,
+                hands: frame.hands.map(({ landmarks, handedness }) => ({
+                    handedness,
+                    landmarks: landmarks.map((p) => [round(p.x), round(p.y), round(p.z || 0)])
+                }))
+            });
+        },
+
+        // → the recording object (see above); ready for JSON.stringify
+        stop() {
+            active = false;
+            const recording = {
+                format: RECORDING_FORMAT,
+                version: RECORDING_VERSION,
+                createdAt: new Date().toISOString(),
+                frames
+            };
+            frames = [];
+            return recording;
+        }
+    };
+}
+
+function round(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
+
+// Validate a parsed recording → { frames: [{ t, hands: [{ handedness, landmarks: [{ x, y, z }] }] }] }
+export function normalizeRecording(raw) {
+    if (!raw || raw.format !== RECORDING_FORMAT || !Array.isArray(raw.frames)) {
+        throw new Error('Not a hand-universe landmark recording');
+    }
+    if (raw.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${raw.version}`);
+
+    let last = -Infinity;
+    const frames = raw.frames.map((frame, i) => {
+        if (typeof frame.t !== 'number' || frame.t < last) throw new Error(`Frame ${i} is out of order`);
+        last = frame.t;
+        return {
+            t: frame.t,
+            hands: (frame.hands || []).map((hand) => {
+                if (!Array.isArray(hand.landmarks) || hand.landmarks.length !== 21) {
+                    throw new Error(`Frame ${i} has a hand without 21 landmarks`);
+                }
+                return {
+                    handedness: hand.handedness === 'Left' ? 'Left' : 'Right',
+                    landmarks: hand.landmarks.map(([x, y, z]) => ({ x, y, z: z || 0 }))
+                };
+            })
+        };
+    });
+
+    return { frames, duration: frames.length > 0 ? frames[frames.length - 1].t : 0 };
+}
+
+// source: a recording object or a URL to a recording JSON file
+export async function loadRecording(source) {
+    if (typeof source !== 'string') return normalizeRecording(source);
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load recording ${source} (${response.status})`);
+    return normalizeRecording(await response.json());
+}
+
+// ============================================================
+// REPLAY INPUT — a recording as an input provider
+// ============================================================
+// Frames keep their recorded spacing, divided by speed. Timestamps follow
+// the recording's clock (start time + t), not the wall clock, so holds and
+// filters see the same timing at any speed.
+export function createReplayInput(recording, { speed = 1, loop = false, onEnd } = {}) {
+    let listeners = [];
+    let timer = null;
+    let index = 0;
+    let offset = 0; // recording-clock start of the current pass
+
+    const emit = (frame) => listeners.forEach((fn) => fn(frame));
+
+    function scheduleNext() {
+        const { frames, duration } = recording;
+        if (index >= frames.length) {
+            if (!loop || frames.length === 0) {
+                emit({ timestamp: offset + duration, hands: [] });
+                timer = null;
+                if (onEnd) onEnd();
+                return;
+            }
+            index = 0;
+            offset += duration + 1000 / 30;
+        }
+
+        const previous = index > 0 ? frames[index - 1].t : frames[index].t;
+        timer = setTimeout(() => {
+            const frame = frames[index++];
+            emit({ timestamp: offset + frame.t, hands: frame.hands });
+            scheduleNext();
+        }, (frames[index].t - previous) / speed);
+    }
+
+    return {
+        name: 'replay',
+
+        onFrame(fn) {
+            listeners.push(fn);
+            return () => {
+                listeners = listeners.filter((listener) => listener !== fn);
+            };
+        },
+
+        async start() {
+            if (timer) return;
+            index = 0;
+            offset = Date.now();
+            scheduleNext();
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+// ============================================================
+// HEADLESS REPLAY — Node / tests
+// ============================================================
+// Runs every frame synchronously through tracking, the hold timer and the
+// state machine, the way js/hand-universe.js does minus rendering and stories.
+// → { state, timeline: [{ t, type: 'gesture' | 'swipe' | 'state', name }] }
+export function replayHeadless(recording, { thresholds = DEFAULT_THRESHOLDS, states = STATES, initial = STATE.IDLE } = {}) {
+    const { frames } = recording.format ? normalizeRecording(recording) : recording;
+    const tracking = createHandTracking(thresholds);
+    const hold = createGestureHold(thresholds.holdTime);
+    const machine = createStateMachine({ states, initial });
+    const timeline = [];
+
+    // Particle side effects (onEnter hooks) run against empty buffers
+    const particles = {
+        count: 0,
+        positions: new Float32Array(0),
+        velocities: new Float32Array(0),
+        targets: new Float32Array(0),
+        originals: new Float32Array(0),
+        alphas: new Float32Array(0),
+        sizes: new Float32Array(0)
+    };
+
+    let now = 0;
+    let enteredAt = 0;
+    let tracked = null;
+
+    const context = () => ({
+        particles,
+        hand: tracked && tracked.hand ? tracked.hand : { x: 0, y: 0, z: 0 },
+        handDetected: Boolean(tracked && tracked.hand),
+        hands: tracked ? tracked.hands.map((hand) => hand.position) : [],
+        twoHand: tracked ? tracked.twoHand : null,
+        tilt: tracked ? tracked.tilt : null,
+        pinch: tracked ? tracked.pinch : 0,
+        pointer: tracked ? tracked.pointer : null,
+        formationTargets: null,
+        progress: Math.min(((now - enteredAt) / 1000) * TRANSITION_RATE, 1)
+    });
+
+    machine.onChange((name) => {
+        enteredAt = now;
+        timeline.push({ t: now, type: 'state', name });
+    });
+
+    // Swipes skip the hold, as in js/hand-universe.js
+    Object.values(tracking.recognizers).forEach((recognizer) => recognizer.on('swipe', (name) => {
+        timeline.push({ t: now, type: 'swipe', name });
+        machine.handle(name, context());
+    }));
+
+    frames.forEach((frame) => {
+        now = frame.t;
+        tracked = tracking.update({ timestamp: frame.t, hands: frame.hands });
+        if (tracked.hands.length === 0) return;
+
+        const { changed, held } = hold.update(tracked.gesture, now);
+        if (changed) timeline.push({ t: now, type: 'gesture', name: tracked.gesture });
+        if (held) machine.handle(tracked.gesture, context());
+    });
+
+    return { state: machine.current, timeline };
+}
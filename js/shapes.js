@@ -0,0 +1,422 @@
+// ============================================================
+// Formation shapes — particle targets for the TEXT_FORM state
+// Every generator yields a Float32Array of count * 3 positions
+// ============================================================
+
+// Text sampling canvas and its world-space footprint
+const TEXT_CANVAS_WIDTH = 1024;
+const TEXT_CANVAS_HEIGHT = 280;
+const TEXT_WORLD_WIDTH = 18;
+const TEXT_WORLD_HEIGHT = 5;
+const TEXT_FONT_FAMILY = 'Inter, Arial, sans-serif';
+const TEXT_MAX_FONT_SIZE = 80;
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_FILL_RATIO = 0.92; // leave a margin so glyph edges aren't clipped
+
+// Images / SVGs are fitted into this box, preserving aspect ratio
+const IMAGE_SAMPLE_SIZE = 512;
+const IMAGE_WORLD_WIDTH = 12;
+const IMAGE_WORLD_HEIGHT = 7;
+
+// Longest extent of a heart or 3D model in world units
+const SOLID_WORLD_SIZE = 7;
+
+const BRIGHTNESS_THRESHOLD = 100;
+
+// ============================================================
+// REGISTRY
+// ============================================================
+const shapeGenerators = new Map();
+
+// generator(spec, count) → Float32Array | Promise<Float32Array>
+export function registerShape(type, generator) {
+    shapeGenerators.set(type, generator);
+}
+
+export function listShapes() {
+    return [...shapeGenerators.keys()];
+}
+
+export async function createShapeTargets(spec, count) {
+    const generator = shapeGenerators.get(spec.type);
+    if (!generator) throw new Error(`Unknown shape type: ${spec.type}`);
+    return generator(spec, count);
+}
+
+// ============================================================
+// TEXT
+// ============================================================
+export function createTextTargets(lines, count) {
+    // Use a high-res 2D canvas to render the message and sample points densely
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXT_CANVAS_WIDTH;
+    canvas.height = TEXT_CANVAS_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    layoutMessage(ctx, lines, canvas.width, canvas.height).forEach((line) => {
+        ctx.font = line.font;
+        ctx.fillText(line.text, canvas.width / 2, line.y);
+    });
+
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    const brightPixels = collectPixels(canvas.width, canvas.height, (idx) => pixels[idx] > BRIGHTNESS_THRESHOLD);
+
+    return pixelsToTargets(brightPixels, count, {
+        width: canvas.width,
+        height: canvas.height,
+        scaleX: TEXT_WORLD_WIDTH / canvas.width,
+        scaleY: TEXT_WORLD_HEIGHT / canvas.height
+    });
+}
+
+// Pick one font size for the whole message so the widest line and the
+// stacked line heights both fit the canvas; per-line scale is relative to it
+export function layoutMessage(ctx, lines, width, height) {
+    const REFERENCE_SIZE = 100;
+    const maxWidth = width * TEXT_FILL_RATIO;
+    const maxHeight = height * TEXT_FILL_RATIO;
+
+    let fontSize = TEXT_MAX_FONT_SIZE;
+    lines.forEach((line) => {
+        ctx.font = `bold ${REFERENCE_SIZE * line.scale}px ${TEXT_FONT_FAMILY}`;
+        const measured = ctx.measureText(line.text).width;
+        if (measured > 0) fontSize = Math.min(fontSize, (REFERENCE_SIZE * maxWidth) / measured);
+    });
+
+    const totalScale = lines.reduce((sum, line) => sum + line.scale, 0) * TEXT_LINE_HEIGHT;
+    if (totalScale > 0) fontSize = Math.min(fontSize, maxHeight / totalScale);
+
+    // Stack lines around the vertical center
+    let y = (height - fontSize * totalScale) / 2;
+    return lines.map((line) => {
+        const size = fontSize * line.scale;
+        const lineHeight = size * TEXT_LINE_HEIGHT;
+        const centerY = y + lineHeight / 2;
+        y += lineHeight;
+        return { text: line.text, font: `bold ${size}px ${TEXT_FONT_FAMILY}`, y: centerY };
+    });
+}
+
+// ============================================================
+// HEART (3D)
+// ============================================================
+// Taubin's heart surface, z pointing up:
+// (x² + 9/4·y² + z² − 1)³ − x²z³ − 9/200·y²z³ = 0
+function heartField(x, y, z) {
+    const a = x * x + 2.25 * y * y + z * z - 1;
+    const z3 = z * z * z;
+    return a * a * a - x * x * z3 - 0.045 * y * y * z3;
+}
+
+export function createHeartTargets(spec, count) {
+    const targets = new Float32Array(count * 3);
+    const scale = SOLID_WORLD_SIZE / 2.6; // heart spans roughly 2.6 units tall
+    const MAX_RADIUS = 2;
+
+    for (let i = 0; i < count; i++) {
+        // Random direction from the center, then bisect for the surface
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        const dx = Math.sin(phi) * Math.cos(theta);
+        const dy = Math.sin(phi) * Math.sin(theta);
+        const dz = Math.cos(phi);
+
+        let lo = 0;
+        let hi = MAX_RADIUS;
+        for (let step = 0; step < 20; step++) {
+            const mid = (lo + hi) / 2;
+            if (heartField(dx * mid, dy * mid, dz * mid) <= 0) lo = mid;
+            else hi = mid;
+        }
+
+        // Thin shell so the outline reads clearly but still has volume
+        const r = lo * (0.85 + Math.random() * 0.15);
+        targets[i * 3] = dx * r * scale;
+        targets[i * 3 + 1] = (dz * r - 0.15) * scale;
+        targets[i * 3 + 2] = dy * r * scale;
+    }
+
+    return targets;
+}
+
+// ============================================================
+// IMAGE SILHOUETTES & SVG
+// ============================================================
+// spec: { file | src, mode?: 'alpha' | 'bright' | 'dark' }
+export async function createImageTargets(spec, count) {
+    const image = await loadImage(spec);
+    return sampleImage(image, count, spec.mode);
+}
+
+// spec: { path, viewBox? } for a raw path string, or { file | src } for an SVG document
+export async function createSvgTargets(spec, count) {
+    if (!spec.path) return createImageTargets({ ...spec, mode: spec.mode || 'alpha' }, count);
+
+    const viewBox = spec.viewBox || measurePath(spec.path);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox.join(' ')}"
+        width="${IMAGE_SAMPLE_SIZE}" height="${IMAGE_SAMPLE_SIZE * (viewBox[3] / viewBox[2])}">
+        <path d="${spec.path}" fill="#fff"/></svg>`;
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const image = await loadImage({ file: blob });
+    return sampleImage(image, count, 'alpha');
+}
+
+// Bounding box of a path via a throwaway in-document SVG
+function measurePath(d) {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', d);
+    svg.appendChild(path);
+    svg.style.position = 'absolute';
+    svg.style.visibility = 'hidden';
+    document.body.appendChild(svg);
+    const box = path.getBBox();
+    svg.remove();
+    if (box.width === 0 || box.height === 0) throw new Error('SVG path is empty');
+    return [box.x, box.y, box.width, box.height];
+}
+
+function sampleImage(image, count, mode) {
+    const aspect = (image.naturalWidth || image.width) / (image.naturalHeight || image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = aspect >= 1 ? IMAGE_SAMPLE_SIZE : Math.round(IMAGE_SAMPLE_SIZE * aspect);
+    canvas.height = aspect >= 1 ? Math.round(IMAGE_SAMPLE_SIZE / aspect) : IMAGE_SAMPLE_SIZE;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    const isForeground = foregroundTest(pixels, mode || detectImageMode(pixels));
+    const shapePixels = collectPixels(canvas.width, canvas.height, isForeground);
+
+    const scale = Math.min(IMAGE_WORLD_WIDTH / canvas.width, IMAGE_WORLD_HEIGHT / canvas.height);
+    return pixelsToTargets(shapePixels, count, {
+        width: canvas.width,
+        height: canvas.height,
+        scaleX: scale,
+        scaleY: scale
+    });
+}
+
+// Transparent PNGs use their alpha mask; opaque images use brightness,
+// inverted when the background is light (dark logo on white)
+function detectImageMode(pixels) {
+    let transparent = 0;
+    let luminanceSum = 0;
+    const total = pixels.length / 4;
+    for (let idx = 0; idx < pixels.length; idx += 4) {
+        if (pixels[idx + 3] < 128) transparent++;
+        luminanceSum += luminance(pixels, idx);
+    }
+    if (transparent / total > 0.05) return 'alpha';
+    return luminanceSum / total > 128 ? 'dark' : 'bright';
+}
+
+function foregroundTest(pixels, mode) {
+    switch (mode) {
+        case 'alpha':
+            return (idx) => pixels[idx + 3] > 128;
+        case 'dark':
+            return (idx) => pixels[idx + 3] > 128 && luminance(pixels, idx) < 255 - BRIGHTNESS_THRESHOLD;
+        case 'bright':
+            return (idx) => pixels[idx + 3] > 128 && luminance(pixels, idx) > BRIGHTNESS_THRESHOLD;
+        default:
+            throw new Error(`Unknown image mode: ${mode}`);
+    }
+}
+
+function luminance(pixels, idx) {
+    return 0.299 * pixels[idx] + 0.587 * pixels[idx + 1] + 0.114 * pixels[idx + 2];
+}
+
+// ============================================================
+// 3D MODELS / POINT CLOUDS
+// ============================================================
+// spec: { file | src, format?: 'obj' | 'ply' }
+export async function createModelTargets(spec, count) {
+    const name = spec.file ? spec.file.name : spec.src;
+    const format = (spec.format || (name || '').split('.').pop() || '').toLowerCase();
+    const text = await readText(spec);
+
+    let points;
+    if (format === 'obj') points = parseOBJ(text);
+    else if (format === 'ply') points = parsePLY(text);
+    else throw new Error(`Unsupported model format: ${format || 'unknown'}`);
+
+    if (points.length === 0) throw new Error('Model has no vertices');
+    return pointsToTargets(normalizePoints(points, SOLID_WORLD_SIZE), count);
+}
+
+// Vertex lines only: "v x y z"
+export function parseOBJ(text) {
+    const points = [];
+    text.split('\n').forEach((line) => {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] !== 'v' || parts.length < 4) return;
+        const point = [Number(parts[1]), Number(parts[2]), Number(parts[3])];
+        if (point.every(Number.isFinite)) points.push(point);
+    });
+    return points;
+}
+
+// ASCII PLY vertex element; other elements (faces) are ignored
+export function parsePLY(text) {
+    const lines = text.split('\n').map((line) => line.trim());
+    if (lines[0] !== 'ply') throw new Error('Not a PLY file');
+
+    let vertexCount = 0;
+    let inVertexElement = false;
+    const vertexProps = [];
+    let headerEnd = -1;
+
+    for (let i = 1; i < lines.length; i++) {
+        const parts = lines[i].split(/\s+/);
+        if (parts[0] === 'format' && parts[1] !== 'ascii') {
+            throw new Error('Only ASCII PLY files are supported');
+        }
+        if (parts[0] === 'element') {
+            inVertexElement = parts[1] === 'vertex';
+            if (inVertexElement) vertexCount = parseInt(parts[2], 10);
+        } else if (parts[0] === 'property' && inVertexElement) {
+            vertexProps.push(parts[parts.length - 1]);
+        } else if (parts[0] === 'end_header') {
+            headerEnd = i;
+            break;
+        }
+    }
+
+    const xi = vertexProps.indexOf('x');
+    const yi = vertexProps.indexOf('y');
+    const zi = vertexProps.indexOf('z');
+    if (headerEnd < 0 || xi < 0 || yi < 0 || zi < 0) throw new Error('PLY header has no x/y/z vertex properties');
+
+    const points = [];
+    for (let i = headerEnd + 1; i < lines.length && points.length < vertexCount; i++) {
+        if (!lines[i]) continue;
+        const values = lines[i].split(/\s+/).map(Number);
+        points.push([values[xi], values[yi], values[zi]]);
+    }
+    return points;
+}
+
+// Center on the bounding box and scale the longest extent to `size`
+export function normalizePoints(points, size) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    points.forEach((p) => {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], p[k]);
+            max[k] = Math.max(max[k], p[k]);
+        }
+    });
+
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    const scale = size / extent;
+    const center = min.map((v, k) => (v + max[k]) / 2);
+    return points.map((p) => p.map((v, k) => (v - center[k]) * scale));
+}
+
+// ============================================================
+// SAMPLING HELPERS
+// ============================================================
+// Collect foreground pixel coords in shuffled order for even wrapping
+export function collectPixels(width, height, isForeground) {
+    const found = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isForeground((y * width + x) * 4)) found.push({ x, y });
+        }
+    }
+    shuffle(found);
+    return found;
+}
+
+// Flat image pixels → centered world targets with a little z jitter
+export function pixelsToTargets(pixels, count, { width, height, scaleX, scaleY }) {
+    const targets = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        if (pixels.length > 0) {
+            const pixel = pixels[i % pixels.length];
+            // Tight randomness for crisp edges with subtle 3D depth
+            targets[i * 3] = (pixel.x - width / 2) * scaleX + (Math.random() - 0.5) * 0.06;
+            targets[i * 3 + 1] = -(pixel.y - height / 2) * scaleY + (Math.random() - 0.5) * 0.06;
+            targets[i * 3 + 2] = (Math.random() - 0.5) * 0.3;
+        } else {
+            targets[i * 3] = (Math.random() - 0.5) * 10;
+            targets[i * 3 + 1] = (Math.random() - 0.5) * 4;
+            targets[i * 3 + 2] = (Math.random() - 0.5) * 1;
+        }
+    }
+
+    return targets;
+}
+
+// 3D points → targets; dense clouds are subsampled, sparse ones repeat with jitter
+function pointsToTargets(points, count) {
+    const targets = new Float32Array(count * 3);
+    const order = points.map((_, i) => i);
+    shuffle(order);
+    const jitter = points.length < count ? 0.05 : 0;
+
+    for (let i = 0; i < count; i++) {
+        const p = points[order[i % order.length]];
+        targets[i * 3] = p[0] + (Math.random() - 0.5) * jitter;
+        targets[i * 3 + 1] = p[1] + (Math.random() - 0.5) * jitter;
+        targets[i * 3 + 2] = p[2] + (Math.random() - 0.5) * jitter;
+    }
+
+    return targets;
+}
+
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// ============================================================
+// SOURCE LOADING
+// ============================================================
+function loadImage({ file, src }) {
+    if (!file && !src) return Promise.reject(new Error('Shape needs a file or src'));
+    const url = file ? URL.createObjectURL(file) : src;
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            if (file) URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            if (file) URL.revokeObjectURL(url);
+            reject(new Error(`Could not load image ${file ? file.name || 'file' : src}`));
+        };
+        image.src = url;
+    });
+}
+
+async function readText({ file, src }) {
+    if (file) return file.text();
+    if (!src) throw new Error('Shape needs a file or src');
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Could not load ${src} (${response.status})`);
+    return response.text();
+}
+
+// ============================================================
+// BUILT-IN SHAPES
+// ============================================================
+registerShape('text', (spec, count) => createTextTargets(spec.lines, count));
+registerShape('heart', createHeartTargets);
+registerShape('image', createImageTargets);
+registerShape('svg', createSvgTargets);
+registerShape('model', createModelTargets);
@@ -0,0 +1,148 @@
+// ============================================================
+// Startup — what can go wrong before the experience runs, and the camera
+// the user starts with
+// ============================================================
+//
+// Loading and camera failures are told apart by the error's name:
+//   ScriptLoadError        a library didn't download (js/assets.js)
+//   WebGLUnavailableError  no WebGL context (js/hand-universe.js initThree)
+//   CameraUnsupportedError no getUserMedia, e.g. outside HTTPS (js/input.js)
+//   ModelLoadError         the hand model / WASM didn't load (js/input.js)
+// plus the DOMExceptions getUserMedia rejects with. describeStartupError()
+// turns any of them into what the start screen shows: a title, a message
+// and recovery actions —
+//   retry    start the same input again
+//   camera   pick another camera (offered with more than one)
+//   pointer  use the mouse / touch / keyboard fallback
+//   reload   reload the page (nothing else works after a fatal error)
+
+const CAMERA_KEY = 'hand-universe:camera';
+
+export const STARTUP_ERRORS = {
+    'script-load': {
+        title: "Couldn't download the hand tracking libraries",
+        message: 'Check the connection and try again. Venues without internet can self-host them (see the README).',
+        actions: ['retry', 'pointer']
+    },
+    webgl: {
+        title: "This browser can't draw the 3D scene",
+        message: 'WebGL is turned off or unsupported. Turn on hardware acceleration or try another browser.',
+        actions: ['reload']
+    },
+    'camera-unsupported': {
+        title: "This page can't use a camera",
+        message: 'Cameras need HTTPS (or localhost) and a current browser.',
+        actions: ['pointer']
+    },
+    'permission-denied': {
+        title: 'Camera access was blocked',
+        message: "Allow the camera in the browser's site settings (the icon in the address bar), then try again.",
+        actions: ['retry', 'pointer']
+    },
+    'no-camera': {
+        title: 'No camera found',
+        message: 'Connect a camera and try again.',
+        actions: ['retry', 'camera', 'pointer']
+    },
+    'camera-in-use': {
+        title: 'The camera is busy',
+        message: 'Another app or tab is using it. Close that, or pick another camera.',
+        actions: ['retry', 'camera', 'pointer']
+    },
+    'model-load': {
+        title: "The hand tracking model didn't load",
+        message: 'Check the connection and try again.',
+        actions: ['retry', 'pointer']
+    },
+    unknown: {
+        title: "Couldn't start the experience",
+        message: '',
+        actions: ['retry', 'pointer']
+    }
+};
+
+// Button text per recovery action
+export const STARTUP_ACTIONS = {
+    retry: 'Try again',
+    camera: 'Choose another camera',
+    pointer: 'Use mouse, touch or keyboard',
+    reload: 'Reload the page'
+};
+
+const ERROR_CODES = {
+    ScriptLoadError: 'script-load',
+    WebGLUnavailableError: 'webgl',
+    CameraUnsupportedError: 'camera-unsupported',
+    ModelLoadError: 'model-load',
+    NotAllowedError: 'permission-denied',
+    PermissionDeniedError: 'permission-denied', // older Chrome
+    SecurityError: 'permission-denied',
+    NotFoundError: 'no-camera',
+    DevicesNotFoundError: 'no-camera',
+    OverconstrainedError: 'no-camera', // the chosen camera is gone
+    NotReadableError: 'camera-in-use',
+    TrackStartError: 'camera-in-use',
+    AbortError: 'camera-in-use'
+};
+
+// ============================================================
+// ERRORS
+// ============================================================
+// → key of STARTUP_ERRORS
+export function classifyStartupError(err) {
+    return (err && ERROR_CODES[err.name]) || 'unknown';
+}
+
+// fatal: the page itself failed to load (only reload helps); cameras: how
+// many there are to choose from. → { code, title, message, actions }
+export function describeStartupError(err, { fatal = false, cameras = 0 } = {}) {
+    const code = classifyStartupError(err);
+    const { title, message, actions } = STARTUP_ERRORS[code];
+    return {
+        code,
+        title,
+        message: message || (err && err.message) || '',
+        actions: fatal ? ['reload'] : actions.filter((action) => action !== 'camera' || cameras > 1)
+    };
+}
+
+// ============================================================
+// CAMERAS
+// ============================================================
+// MediaDeviceInfo list → [{ deviceId, label }] of the video inputs. Labels
+// stay empty until camera permission is granted, so those are numbered.
+export function cameraOptions(devices) {
+    return devices
+        .filter((device) => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    try {
+        return cameraOptions(await navigator.mediaDevices.enumerateDevices());
+    } catch (err) {
+        return [];
+    }
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+// → deviceId of the camera picked last time, or '' for the default
+export function loadCameraChoice() {
+    try {
+        return localStorage.getItem(CAMERA_KEY) || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+export function saveCameraChoice(deviceId) {
+    try {
+        if (deviceId) localStorage.setItem(CAMERA_KEY, deviceId);
+        else localStorage.removeItem(CAMERA_KEY);
+    } catch (err) {
+        // Storage unavailable (private mode) — the choice lasts for this visit
+    }
+}
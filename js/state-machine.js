@@ -0,0 +1,75 @@
+// ============================================================
+// Gesture state machine — table-driven, no DOM / WebGL access
+// ============================================================
+//
+// states: {
+//   NAME: {
+//     transitions: [{ gesture, to, guard?(ctx) }],  // first match wins
+//     onEnter?(ctx, from), onExit?(ctx, to),
+//     ...anything else the caller wants per state (colors, update, ...)
+//   }
+// }
+
+export function createStateMachine({ states, initial }) {
+    validateStates(states, initial);
+
+    let current = initial;
+    let previous = initial;
+    const listeners = [];
+
+    const machine = {
+        get current() { return current; },
+        get previous() { return previous; },
+        get definition() { return states[current]; },
+        get states() { return states; },
+
+        // The transition a gesture would take right now, or null
+        match(gesture, ctx) {
+            const transitions = states[current].transitions || [];
+            return transitions.find((t) => t.gesture === gesture && (!t.guard || t.guard(ctx))) || null;
+        },
+
+        // Apply a gesture; returns true if it changed the state
+        handle(gesture, ctx) {
+            const transition = machine.match(gesture, ctx);
+            if (!transition) return false;
+            machine.transitionTo(transition.to, ctx);
+            return true;
+        },
+
+        // Unconditional jump (also used for programmatic control)
+        transitionTo(name, ctx) {
+            if (!states[name]) throw new Error(`Unknown state: ${name}`);
+
+            const from = current;
+            if (states[from].onExit) states[from].onExit(ctx, name);
+            previous = from;
+            current = name;
+            if (states[name].onEnter) states[name].onEnter(ctx, from);
+
+            listeners.forEach((listener) => listener(name, from));
+        },
+
+        // listener(state, previousState); returns an unsubscribe function
+        onChange(listener) {
+            listeners.push(listener);
+            return () => {
+                const idx = listeners.indexOf(listener);
+                if (idx >= 0) listeners.splice(idx, 1);
+            };
+        }
+    };
+
+    return machine;
+}
+
+function validateStates(states, initial) {
+    if (!states[initial]) throw new Error(`Unknown initial state: ${initial}`);
+
+    Object.entries(states).forEach(([name, state]) => {
+        (state.transitions || []).forEach((t) => {
+            if (!t.gesture) throw new Error(`${name}: transition without a gesture`);
+            if (!states[t.to]) throw new Error(`${name}: transition to unknown state ${t.to}`);
+        });
+    });
+}
@@ -0,0 +1,301 @@
+// ============================================================
+// Built-in states — transitions, colors, hooks and particle motion
+// Adding a state only takes a new entry in STATES
+// ============================================================
+//
+// Each state: { color: HSL for particles, accent: hex for the HUD dot (both
+//   used when the theme, js/themes.js, has no palette for the state),
+//   label?: HUD text, transitions, onEnter?, onExit?, update, shader?, forces?,
+//   effects?, sound? }
+// update runs the CPU simulation; shader names the matching GPU program in
+// js/gpu-particles.js (idle, follow, explode, implode or text). forces is a
+// js/physics.js preset: updates set targets and integrate() moves the
+// particles with springs, the hand's force field, turbulence and damping.
+// effects overrides the post-processing defaults (js/post-processing.js).
+// sound is played on entering the state (whoosh, swell or chime, js/audio.js).
+//
+// Hooks and guards receive the context built by js/hand-universe.js:
+//   { particles, hand, handDetected, hands, twoHand, tilt, pinch, pointer, formationTargets, progress, tuning }
+// hand is the single hand (or the midpoint of two) in world space, z from its
+// distance to the camera; hands lists each visible hand and twoHand is the
+// pair's pose from js/two-hands.js (null otherwise). tilt is a single hand's
+// { roll, pitch } from js/hand-pose.js, or null.
+// pinch is 0..1; pointer is { origin, direction } while an index finger points.
+// tuning holds the settings panel's values (js/tuning.js); without it the
+// js/constants.js values apply.
+// update(particles, frame) receives the same fields plus delta, elapsed,
+// forces (the state's preset), handPoints (world landmarks of the visible
+// hands), handVelocity and audio (js/audio.js levels(): { level, bass, mid,
+// treble }, all 0 unless audio-reactive mode is on).
+// particles: { count, positions, velocities, targets, originals, alphas, sizes },
+// or { count, gpu } when js/gpu-particles.js runs the simulation
+
+import { IDLE_RADIUS, FOLLOW_RADIUS, EXPLODE_SPEED } from './constants.js';
+import { FORCE_PRESETS, integrate } from './physics.js';
+import { audioBreathe } from './audio.js';
+
+export const STATES = {
+    IDLE: {
+        color: { h: 230, s: 0.6, l: 0.65 },
+        accent: '#6c63ff',
+        transitions: [
+            { gesture: 'fist', to: 'FOLLOW' }
+        ],
+        update: updateIdle,
+        shader: 'idle',
+        forces: FORCE_PRESETS.drift
+    },
+
+    FOLLOW: {
+        color: { h: 250, s: 0.7, l: 0.7 },
+        accent: '#6c63ff',
+        transitions: [
+            { gesture: 'palm', to: 'EXPLODE' },
+            { gesture: 'ilu', to: 'TEXT_FORM' }
+        ],
+        update: updateFollow,
+        shader: 'follow',
+        forces: FORCE_PRESETS.follow,
+        effects: { trails: 0.8, dof: { blur: 0.7, range: 1.5 } }
+    },
+
+    EXPLODE: {
+        color: { h: 35, s: 0.9, l: 0.65 },
+        accent: '#ffb347',
+        transitions: [
+            { gesture: 'fist', to: 'IMPLODE' }
+        ],
+        onEnter: seedExplosion,
+        update: updateExplode,
+        shader: 'explode',
+        forces: FORCE_PRESETS.explode,
+        effects: { trails: 0.85, bloom: { strength: 1.1 } },
+        sound: 'whoosh'
+    },
+
+    IMPLODE: {
+        color: { h: 250, s: 0.6, l: 0.65 },
+        accent: '#6c63ff',
+        transitions: [
+            { gesture: 'ilu', to: 'TEXT_FORM' },
+            { gesture: 'palm', to: 'EXPLODE' },
+            // Only hand back to FOLLOW once the cluster has mostly re-formed
+            { gesture: 'fist', to: 'FOLLOW', guard: (ctx) => ctx.progress > 0.9 }
+        ],
+        update: updateImplode,
+        shader: 'implode',
+        forces: FORCE_PRESETS.implode,
+        effects: { trails: 0.6 },
+        sound: 'swell'
+    },
+
+    TEXT_FORM: {
+        color: { h: 340, s: 0.95, l: 0.8 },
+        accent: '#ff6b9d',
+        transitions: [
+            { gesture: 'fist', to: 'FOLLOW' },
+            { gesture: 'palm', to: 'EXPLODE' }
+        ],
+        update: updateTextForm,
+        shader: 'text',
+        forces: FORCE_PRESETS.form,
+        effects: { bloom: { strength: 1 }, dof: { blur: 0.4, range: 3 } },
+        sound: 'chime'
+    }
+};
+
+// Name constants, e.g. STATE.TEXT_FORM
+export const STATE = Object.fromEntries(Object.keys(STATES).map((name) => [name, name]));
+
+const STREAM_LENGTH = 8; // pointer stream reach, world units
+const STREAM_STIFFNESS = 3; // spring multiplier while streaming
+
+// ============================================================
+// HOOKS
+// ============================================================
+// Give every particle an outward velocity away from the hand
+export function seedExplosion({ particles, hand, tuning }) {
+    if (particles.gpu) {
+        particles.gpu.seedExplosion(hand);
+        return;
+    }
+
+    const { count, positions, velocities } = particles;
+    const { explodeSpeed = EXPLODE_SPEED } = tuning || {};
+
+    for (let i = 0; i < count; i++) {
+        const dx = positions[i * 3] - hand.x;
+        const dy = positions[i * 3 + 1] - hand.y;
+        const dz = positions[i * 3 + 2] - hand.z;
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) + 0.1;
+
+        velocities[i * 3] = (dx / dist) * explodeSpeed * (0.5 + Math.random());
+        velocities[i * 3 + 1] = (dy / dist) * explodeSpeed * (0.5 + Math.random());
+        velocities[i * 3 + 2] = (dz / dist) * explodeSpeed * (0.3 + Math.random() * 0.5);
+    }
+}
+
+// ============================================================
+// PARTICLE UPDATES
+// ============================================================
+function updateIdle(particles, frame) {
+    const { count, positions, targets, originals, alphas, sizes } = particles;
+    const { elapsed, audio } = frame;
+    const drift = audioBreathe(audio);
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        // Gentle drift in sphere formation
+        const idleAngle = elapsed * 0.2 + i * 0.01;
+        targets[i3] = originals[i3] + Math.sin(idleAngle) * 0.3 * drift;
+        targets[i3 + 1] = originals[i3 + 1] + Math.cos(idleAngle * 0.7) * 0.3 * drift;
+        targets[i3 + 2] = originals[i3 + 2] + Math.sin(idleAngle * 0.5) * 0.2 * drift;
+
+        alphas[i] = 0.3 + Math.sin(elapsed + i) * 0.15;
+        sizes[i] = 2 + Math.sin(elapsed * 0.5 + i * 0.1) * 1;
+    }
+
+    integrate(particles, frame);
+}
+
+// With two hands each hand leads its own half of the particles; the pair's
+// spread scales the clusters, its rotation spins them, and merged palms
+// pull everything back into one cluster between the hands. A single hand's
+// roll and pitch tilt its cluster. Pinching squeezes the cluster; pointing
+// streams it out along the finger.
+function updateFollow(particles, frame) {
+    const { count, positions, targets, originals, alphas, sizes } = particles;
+    const { elapsed, hand, hands, twoHand, tilt, pinch, pointer, audio } = frame;
+    const { idleRadius = IDLE_RADIUS, followRadius = FOLLOW_RADIUS } = frame.tuning || {};
+
+    if (pointer) {
+        streamAlongRay(particles, frame);
+        return;
+    }
+
+    const split = hands && hands.length === 2 && twoHand && !twoHand.merged;
+    const squeeze = 1 - (pinch || 0) * 0.6;
+    const radius = followRadius * (twoHand ? twoHand.scale : 1) * squeeze;
+    const roll = twoHand ? twoHand.rotation : tilt ? tilt.roll : 0;
+    const pitch = !twoHand && tilt ? tilt.pitch : 0;
+    const cos = Math.cos(roll);
+    const sin = Math.sin(roll);
+    const cosPitch = Math.cos(pitch);
+    const sinPitch = Math.sin(pitch);
+    const breatheAmount = 0.15 * audioBreathe(audio);
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+        const anchor = split ? hands[i % 2] : hand;
+
+        // Move toward hand position in a cluster
+        const ox = (originals[i3] / idleRadius) * radius;
+        const oy = (originals[i3 + 1] / idleRadius) * radius;
+        const oz = (originals[i3 + 2] / idleRadius) * radius * 0.5;
+        const ry = ox * sin + oy * cos; // roll around z, then pitch around x
+        const followOffset = {
+            x: ox * cos - oy * sin,
+            y: ry * cosPitch - oz * sinPitch,
+            z: ry * sinPitch + oz * cosPitch
+        };
+
+        const breathe = Math.sin(elapsed * 2 + i * 0.05) * breatheAmount;
+
+        targets[i3] = anchor.x + followOffset.x + breathe;
+        targets[i3 + 1] = anchor.y + followOffset.y + breathe * 0.7;
+        targets[i3 + 2] = anchor.z + followOffset.z;
+
+        alphas[i] = 0.5 + Math.sin(elapsed * 3 + i * 0.3) * 0.2;
+        sizes[i] = 2.5 + Math.sin(elapsed + i * 0.2) * 1.5;
+    }
+
+    integrate(particles, frame);
+}
+
+// Particles flow from the fingertip outward along the ray, looping back;
+// a stiffer spring keeps the stream tight
+function streamAlongRay(particles, frame) {
+    const { count, targets, originals, alphas, sizes } = particles;
+    const { elapsed, pointer, forces } = frame;
+    const { origin, direction } = pointer;
+    const { idleRadius = IDLE_RADIUS } = frame.tuning || {};
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        const t = (i / count + elapsed * 0.25) % 1;
+        const spread = 0.1 + t * 0.6; // widens with distance from the finger
+        targets[i3] = origin.x + direction.x * t * STREAM_LENGTH + (originals[i3] / idleRadius) * spread;
+        targets[i3 + 1] = origin.y + direction.y * t * STREAM_LENGTH + (originals[i3 + 1] / idleRadius) * spread;
+        targets[i3 + 2] = origin.z + (originals[i3 + 2] / idleRadius) * spread;
+
+        alphas[i] = 0.8 - t * 0.5;
+        sizes[i] = 3 - t * 1.5;
+    }
+
+    integrate(particles, { ...frame, forces: { ...forces, spring: forces.spring * STREAM_STIFFNESS } });
+}
+
+// The burst coasts out under light damping and turbulence; the hand
+// swats particles aside
+function updateExplode(particles, frame) {
+    const { count, alphas, sizes } = particles;
+    const { delta } = frame;
+
+    for (let i = 0; i < count; i++) {
+        // Particles get brighter during explosion
+        alphas[i] = Math.min(alphas[i] + delta * 0.5, 0.9);
+        sizes[i] = 3 + Math.random() * 3;
+    }
+
+    integrate(particles, frame);
+}
+
+// Springs pull the burst back into a cluster at the hand (or the center)
+function updateImplode(particles, frame) {
+    const { count, targets, originals, alphas, sizes } = particles;
+    const { progress, hand, handDetected } = frame;
+    const { idleRadius = IDLE_RADIUS, followRadius = FOLLOW_RADIUS } = frame.tuning || {};
+
+    const implodeTarget = handDetected ? hand : { x: 0, y: 0, z: 0 };
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        targets[i3] = implodeTarget.x + (originals[i3] / idleRadius) * followRadius;
+        targets[i3 + 1] = implodeTarget.y + (originals[i3 + 1] / idleRadius) * followRadius;
+        targets[i3 + 2] = implodeTarget.z + (originals[i3 + 2] / idleRadius) * followRadius * 0.5;
+
+        alphas[i] = 0.4 + progress * 0.3;
+        sizes[i] = 2 + progress * 2;
+    }
+
+    integrate(particles, frame);
+}
+
+// Springs hold the formation (shifted a little with the hand); fingertips
+// push through it and it heals behind them
+function updateTextForm(particles, frame) {
+    const { count, targets, alphas, sizes } = particles;
+    const { elapsed, hand, handDetected, formationTargets } = frame;
+
+    const offsetX = handDetected ? hand.x * 0.3 : 0;
+    const offsetY = handDetected ? hand.y * 0.3 : 0;
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3;
+
+        if (formationTargets) {
+            targets[i3] = formationTargets[i3] + offsetX;
+            targets[i3 + 1] = formationTargets[i3 + 1] + offsetY;
+            targets[i3 + 2] = formationTargets[i3 + 2];
+        }
+
+        // BRIGHT and dense — high alpha, bigger particles, vivid sparkle
+        alphas[i] = 0.85 + Math.sin(elapsed * 5 + i * 0.4) * 0.15;
+        sizes[i] = 4 + Math.sin(elapsed * 3 + i * 0.2) * 2;
+    }
+
+    integrate(particles, frame);
+}
@@ -0,0 +1,144 @@
+// ============================================================
+// Stories — multi-scene TEXT_FORM sequences walked with gestures
+// ============================================================
+//
+// {
+//   "loop": false,
+//   "palette": ["#ff6b9d", "#6c63ff"],
+//   "next": "ilu",              // default gesture that advances a scene
+//   "previous": "swipe_left",   // default gesture that goes back (none if omitted)
+//   "autoAdvance": 0,           // default seconds before advancing (0 = off)
+//   "scenes": [
+//     { "message": ["WILL YOU", "MARRY ME?"], "color": 0 },
+//     { "shape": "heart", "color": "#ff3366", "autoAdvance": 6 }
+//   ]
+// }
+
+import { normalizeMessage, normalizeShape } from './config.js';
+
+const DEFAULT_NEXT_GESTURE = 'ilu';
+
+// ============================================================
+// LOADING & NORMALIZATION
+// ============================================================
+// source: a story object or a URL to a story JSON file
+export async function loadStory(source) {
+    if (typeof source !== 'string') return normalizeStory(source);
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load story ${source} (${response.status})`);
+    return normalizeStory(await response.json());
+}
+
+export function normalizeStory(raw) {
+    if (!raw || !Array.isArray(raw.scenes) || raw.scenes.length === 0) {
+        throw new Error('Story needs at least one scene');
+    }
+
+    const palette = Array.isArray(raw.palette) ? raw.palette.map(parseColor) : [];
+    const defaults = {
+        next: raw.next !== undefined ? raw.next : DEFAULT_NEXT_GESTURE,
+        previous: raw.previous || null,
+        autoAdvance: Number(raw.autoAdvance) || 0
+    };
+
+    return {
+        loop: Boolean(raw.loop),
+        scenes: raw.scenes.map((scene, i) => normalizeScene(scene, i, palette, defaults))
+    };
+}
+
+function normalizeScene(scene, index, palette, defaults) {
+    const message = normalizeMessage(scene.message || []);
+    const shape = normalizeShape(scene.shape || 'text');
+    if (!shape) throw new Error(`Scene ${index + 1} has an unknown shape`);
+    if (shape.type === 'text' && message.length === 0) {
+        throw new Error(`Scene ${index + 1} needs a message or a shape`);
+    }
+
+    let color = null;
+    if (typeof scene.color === 'number') color = palette[scene.color] || null;
+    else if (scene.color !== undefined) color = parseColor(scene.color);
+
+    return {
+        message,
+        shape,
+        color,
+        next: scene.next !== undefined ? scene.next : defaults.next,
+        previous: scene.previous !== undefined ? scene.previous : defaults.previous,
+        autoAdvance: scene.autoAdvance !== undefined ? Number(scene.autoAdvance) || 0 : defaults.autoAdvance
+    };
+}
+
+// "#rrggbb", "#rgb" or { h, s, l } (h in degrees, s/l in 0..1) → { h, s, l }
+export function parseColor(color) {
+    if (color && typeof color === 'object' && 'h' in color) return { h: color.h, s: color.s, l: color.l };
+
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color));
+    if (!match) throw new Error(`Invalid color: ${color}`);
+
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map((c) => c + c).join('');
+    const r = parseInt(hex.slice(0, 2), 16) / 255;
+    const g = parseInt(hex.slice(2, 4), 16) / 255;
+    const b = parseInt(hex.slice(4, 6), 16) / 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+
+    return { h: h * 60, s, l };
+}
+
+// ============================================================
+// PLAYER
+// ============================================================
+export function createStoryPlayer(story) {
+    let index = 0;
+    let sceneStartedAt = 0;
+
+    const clampIndex = (i) => {
+        if (story.loop) return (i + story.scenes.length) % story.scenes.length;
+        return Math.min(Math.max(i, 0), story.scenes.length - 1);
+    };
+
+    return {
+        get index() { return index; },
+        get scene() { return story.scenes[index]; },
+        get length() { return story.scenes.length; },
+
+        // Restart the current scene's auto-advance timer
+        restartTimer(now) {
+            sceneStartedAt = now;
+        },
+
+        // Move by +1 / -1; returns false at either end of a non-looping story
+        step(direction, now) {
+            const target = clampIndex(index + direction);
+            if (target === index) return false;
+            index = target;
+            sceneStartedAt = now;
+            return true;
+        },
+
+        // +1, -1 or 0 for a gesture in the current scene
+        directionFor(gesture) {
+            if (gesture === this.scene.next) return 1;
+            if (gesture === this.scene.previous) return -1;
+            return 0;
+        },
+
+        shouldAutoAdvance(now) {
+            const seconds = this.scene.autoAdvance;
+            return seconds > 0 && now - sceneStartedAt >= seconds * 1000;
+        }
+    };
+}
@@ -0,0 +1,67 @@
+// ============================================================
+// Synthetic hands — MediaPipe-shaped landmarks for a named pose
+// Lets non-camera inputs (mouse, touch, scripts) drive the same
+// filter → gesture → state pipeline as a real hand
+// ============================================================
+
+// Which digits are extended in each pose. thumb: true (out to the side),
+// false (tucked), 'up' or 'down' (vertical, for thumbs up / down)
+export const POSES = {
+    fist: { thumb: false, index: false, middle: false, ring: false, pinky: false },
+    palm: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+    ilu: { thumb: true, index: true, middle: false, ring: false, pinky: true },
+    point: { thumb: false, index: true, middle: false, ring: false, pinky: false },
+    peace: { thumb: false, index: true, middle: true, ring: false, pinky: false },
+    thumbs_up: { thumb: 'up', index: false, middle: false, ring: false, pinky: false },
+    thumbs_down: { thumb: 'down', index: false, middle: false, ring: false, pinky: false },
+    // Relaxed hand that matches no gesture
+    other: { thumb: false, index: true, middle: true, ring: true, pinky: false }
+};
+
+// Template in image coords for a hand centered at (0.5, 0.7), palm facing
+// the camera, fingers up; TEMPLATE_SCALE brings its palm span to the
+// reference distance of js/hand-pose.js (depth ≈ 0 at scale 1)
+const TEMPLATE_CENTER = { x: 0.5, y: 0.7 };
+const TEMPLATE_SCALE = 0.76;
+
+const FINGER_BASES = { index: [5, 0.44], middle: [9, 0.5], ring: [13, 0.56], pinky: [17, 0.62] };
+const EXTENDED_Y = [0.52, 0.46, 0.4]; // PIP, DIP, tip
+const CURLED_Y = [0.55, 0.6, 0.64];
+
+const THUMBS = {
+    true: [{ x: 0.36, y: 0.68 }, { x: 0.32, y: 0.64 }],
+    false: [{ x: 0.44, y: 0.66 }, { x: 0.48, y: 0.64 }],
+    up: [{ x: 0.4, y: 0.58 }, { x: 0.4, y: 0.5 }],
+    down: [{ x: 0.4, y: 0.78 }, { x: 0.4, y: 0.86 }]
+};
+
+// pose: a POSES name or a { thumb, index, middle, ring, pinky } object
+// x, y: hand center (wrist / middle MCP midpoint) in image coords
+// scale: apparent size — > 1 is closer to the camera
+// roll: radians, turns the hand in the image plane
+export function createHandLandmarks({ pose = 'palm', x = 0.5, y = 0.5, scale = 1, roll = 0 } = {}) {
+    const digits = typeof pose === 'string' ? POSES[pose] : pose;
+    if (!digits) throw new Error(`Unknown pose: ${pose}`);
+
+    const points = [];
+    points[0] = { x: 0.5, y: 0.8 };
+    Object.entries(FINGER_BASES).forEach(([name, [mcp, fx]]) => {
+        points[mcp] = { x: fx, y: 0.6 };
+        (digits[name] ? EXTENDED_Y : CURLED_Y).forEach((fy, i) => {
+            points[mcp + 1 + i] = { x: fx, y: fy };
+        });
+    });
+
+    points[1] = { x: 0.44, y: 0.76 };
+    points[2] = digits.thumb === 'up' ? { x: 0.4, y: 0.66 } : { x: 0.4, y: digits.thumb === 'down' ? 0.7 : 0.72 };
+    [points[3], points[4]] = THUMBS[String(digits.thumb)];
+
+    const cos = Math.cos(roll);
+    const sin = Math.sin(roll);
+    const k = TEMPLATE_SCALE * scale;
+    return points.map((p) => {
+        const dx = (p.x - TEMPLATE_CENTER.x) * k;
+        const dy = (p.y - TEMPLATE_CENTER.y) * k;
+        return { x: x + dx * cos - dy * sin, y: y + dx * sin + dy * cos, z: 0 };
+    });
+}
@@ -0,0 +1,248 @@
+// ============================================================
+// Themes — particle palettes, background, stars, HUD and landmarks
+// ============================================================
+//
+// {
+//   "name": "Galaxy",
+//   "background": "#03020a",
+//   "fog": { "color": "#03020a", "density": 0.03 },   color defaults to background
+//   "stars": "#c9d4ff",
+//   "hud": { "accent": "#6c63ff", "accent2": "#8b5cf6", "highlight": "#ff6b9d",
+//            "warning": "#ffb347", "text": "#e0e4f0", "textDim": "#6b7094", "surface": "#0f111e" },
+//   "landmarks": { "Left": "#6c63ff", "Right": "#ffb347", "wrist": "#ff6b9d" },
+//   "variation": 0.1,
+//   "effects": { "bloom": { "strength": 1.2 } },
+//   "states": {
+//     "IDLE": { "palette": ["#7090db", "#8585e0"], "gradient": "vertical", "accent": "#6c63ff",
+//               "effects": { "trails": 0.5 } }
+//   }
+// }
+//
+// A palette is up to MAX_PALETTE_SIZE colors ("#rrggbb", "#rgb" or { h, s, l });
+// gradient spreads them over the particles (GRADIENTS below). variation is
+// the per-particle brightness jitter. effects tune post-processing for the
+// whole theme and per state (js/post-processing.js). States a theme leaves
+// out keep their own color / accent from js/states.js. JSON themes only need the fields
+// they change; the rest comes from the Valentine theme.
+
+import { parseColor } from './story.js';
+import { hslToRgb } from './math.js';
+import { normalizeEffects } from './post-processing.js';
+
+export const MAX_PALETTE_SIZE = 6;
+
+// How a palette maps onto particles:
+//   scatter     each particle takes one palette color (by index)
+//   vertical    bottom → top of the view
+//   horizontal  left → right
+//   radial      out from the hand (or the center without one)
+//   depth       far → near
+export const GRADIENTS = ['scatter', 'vertical', 'horizontal', 'radial', 'depth'];
+
+// World extents the position gradients span (half-widths; radius for radial)
+export const GRADIENT_EXTENT = { x: 8, y: 5, z: 3, radius: 5 };
+
+const VALENTINE = {
+    name: 'Valentine',
+    background: '#05060f',
+    fog: { color: '#05060f', density: 0.035 },
+    stars: '#9facdf',
+    hud: {
+        accent: '#6c63ff',
+        accent2: '#8b5cf6',
+        highlight: '#ff6b9d',
+        warning: '#ffb347',
+        text: '#e0e4f0',
+        textDim: '#6b7094',
+        surface: '#0f111e'
+    },
+    landmarks: { Left: '#6c63ff', Right: '#ffb347', wrist: '#ff6b9d' },
+    variation: 0.1,
+    states: {
+        IDLE: { palette: ['#7090db', '#7082db', '#8585e0'], gradient: 'vertical', accent: '#6c63ff' },
+        FOLLOW: { palette: ['#817de8', '#8f7de8', '#b093ec'], gradient: 'radial', accent: '#6c63ff' },
+        EXPLODE: { palette: ['#f69e55', '#f6b355', '#f7d56e'], gradient: 'radial', accent: '#ffb347' },
+        IMPLODE: { palette: ['#7470db', '#8270db', '#a385e0'], gradient: 'radial', accent: '#6c63ff' },
+        TEXT_FORM: { palette: ['#fc9cc9', '#fc9cbc', '#fdb4c1'], gradient: 'horizontal', accent: '#ff6b9d' }
+    }
+};
+
+export const THEMES = {
+    valentine: VALENTINE,
+
+    birthday: {
+        name: 'Birthday',
+        background: '#0b0614',
+        stars: '#ffe7a8',
+        hud: { accent: '#ff8a3d', accent2: '#ff4fa3', highlight: '#ffd23f', text: '#fff4e6', textDim: '#9b8aa8', surface: '#1a1024' },
+        landmarks: { Left: '#ffd23f', Right: '#ff4fa3', wrist: '#4fd1ff' },
+        states: {
+            IDLE: { palette: ['#ff4fa3', '#ffd23f', '#4fd1ff', '#7cff6b'], gradient: 'scatter', accent: '#ff8a3d' },
+            FOLLOW: { palette: ['#ffd23f', '#ff8a3d', '#ff4fa3'], gradient: 'radial', accent: '#ff8a3d' },
+            // Confetti: long sparkling trails
+            EXPLODE: {
+                palette: ['#ff4fa3', '#ffd23f', '#4fd1ff', '#7cff6b', '#b78aff'],
+                gradient: 'scatter',
+                accent: '#ffd23f',
+                effects: { trails: 0.92 }
+            },
+            IMPLODE: { palette: ['#ff8a3d', '#ffd23f'], gradient: 'radial', accent: '#ff8a3d' },
+            TEXT_FORM: { palette: ['#ffd23f', '#ff8a3d', '#ff4fa3'], gradient: 'horizontal', accent: '#ff4fa3' }
+        }
+    },
+
+    galaxy: {
+        name: 'Galaxy',
+        background: '#03020a',
+        fog: { density: 0.028 },
+        stars: '#c9d4ff',
+        hud: { accent: '#7b5cff', accent2: '#2ec5ff', highlight: '#e46cff', text: '#e6e8ff', textDim: '#6f6c9a', surface: '#0c0a1c' },
+        landmarks: { Left: '#2ec5ff', Right: '#e46cff', wrist: '#ffffff' },
+        variation: 0.15,
+        effects: { bloom: { strength: 1.3, radius: 0.8, threshold: 0.25 } },
+        states: {
+            IDLE: { palette: ['#1b2a6b', '#4b3fb5', '#b45cff', '#ff9be6'], gradient: 'radial', accent: '#7b5cff' },
+            FOLLOW: { palette: ['#ffffff', '#9fd0ff', '#4b3fb5'], gradient: 'radial', accent: '#2ec5ff' },
+            EXPLODE: { palette: ['#fff3c4', '#ff9be6', '#b45cff', '#2ec5ff'], gradient: 'radial', accent: '#e46cff' },
+            IMPLODE: { palette: ['#2ec5ff', '#7b5cff', '#1b2a6b'], gradient: 'radial', accent: '#7b5cff' },
+            TEXT_FORM: { palette: ['#9fd0ff', '#e6e8ff', '#ff9be6'], gradient: 'depth', accent: '#e46cff' }
+        }
+    },
+
+    corporate: {
+        name: 'Corporate',
+        background: '#0a0f1a',
+        stars: '#8fa3bf',
+        hud: { accent: '#1f6feb', accent2: '#0ea5a5', highlight: '#38bdf8', text: '#e6edf6', textDim: '#7d8da3', surface: '#111a2b' },
+        landmarks: { Left: '#38bdf8', Right: '#0ea5a5', wrist: '#e6edf6' },
+        variation: 0.05,
+        effects: { bloom: { strength: 0.5 } },
+        states: {
+            IDLE: { palette: ['#1f6feb', '#38bdf8'], gradient: 'vertical', accent: '#1f6feb' },
+            FOLLOW: { palette: ['#38bdf8', '#1f6feb'], gradient: 'radial', accent: '#1f6feb' },
+            EXPLODE: { palette: ['#0ea5a5', '#38bdf8', '#e6edf6'], gradient: 'radial', accent: '#0ea5a5' },
+            IMPLODE: { palette: ['#1f6feb', '#0ea5a5'], gradient: 'radial', accent: '#1f6feb' },
+            TEXT_FORM: { palette: ['#e6edf6', '#38bdf8'], gradient: 'horizontal', accent: '#38bdf8' }
+        }
+    }
+};
+
+export const DEFAULT_THEME = 'valentine';
+
+// ============================================================
+// NORMALIZATION
+// ============================================================
+// Fill a partial theme from base and validate colors and gradients;
+// throws on anything unusable
+export function normalizeTheme(raw, base = VALENTINE) {
+    if (!raw || typeof raw !== 'object') throw new Error('A theme must be an object');
+
+    // Scene and HUD colors end up in CSS and canvas styles: always "#rrggbb"
+    const color = (value, field) => {
+        parseColor(value); // throws on invalid colors
+        if (typeof value !== 'string') throw new Error(`${field} must be a hex color`);
+        const hex = value.replace(/^#/, '').toLowerCase();
+        return `#${hex.length === 3 ? hex.replace(/./g, '$&$&') : hex}`;
+    };
+    const colors = (values, fallback, prefix) => Object.fromEntries(Object.entries({ ...fallback, ...values })
+        .map(([key, value]) => [key, color(value, `${prefix}.${key}`)]));
+
+    const background = color(raw.background || base.background, 'background');
+    const fog = { ...base.fog, ...raw.fog };
+    const states = {};
+    const rawStates = raw.states || {};
+    Object.keys({ ...base.states, ...rawStates }).forEach((name) => {
+        const entry = rawStates[name] || base.states[name];
+        states[name] = normalizeStateEntry(entry, name);
+    });
+
+    return {
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Custom',
+        background,
+        fog: { color: color(raw.fog && raw.fog.color ? raw.fog.color : background, 'fog.color'), density: Number(fog.density) || 0 },
+        stars: color(raw.stars || base.stars, 'stars'),
+        hud: colors(raw.hud, base.hud, 'hud'),
+        landmarks: colors(raw.landmarks, base.landmarks, 'landmarks'),
+        variation: Number.isFinite(raw.variation) ? Math.min(Math.max(raw.variation, 0), 0.5) : base.variation,
+        effects: normalizeEffects(raw.effects || base.effects),
+        states
+    };
+}
+
+function normalizeStateEntry(entry, name) {
+    if (!entry || !Array.isArray(entry.palette) || entry.palette.length === 0) {
+        throw new Error(`Theme state ${name} needs a palette`);
+    }
+    const gradient = entry.gradient || 'scatter';
+    if (!GRADIENTS.includes(gradient)) throw new Error(`Unknown gradient for ${name}: ${gradient}`);
+
+    const normalized = {
+        palette: entry.palette.slice(0, MAX_PALETTE_SIZE).map((value) => {
+            parseColor(value);
+            return value;
+        }),
+        gradient
+    };
+    if (entry.accent) {
+        parseColor(entry.accent);
+        normalized.accent = entry.accent;
+    }
+    if (entry.effects) normalized.effects = normalizeEffects(entry.effects);
+    return normalized;
+}
+
+// source: a built-in theme name, a theme object or a URL to a theme JSON file
+export async function loadTheme(source = DEFAULT_THEME) {
+    if (typeof source === 'object') return normalizeTheme(source);
+    if (THEMES[source]) return normalizeTheme(THEMES[source]);
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load theme ${source} (${response.status})`);
+    return normalizeTheme(await response.json());
+}
+
+// ============================================================
+// PALETTES
+// ============================================================
+// → { colors: [{ r, g, b }], gradient, accent } for a state; states the
+// theme doesn't list use fallback ({ h, s, l } color and accent from js/states.js)
+export function statePalette(theme, stateName, fallback = {}) {
+    const entry = theme.states[stateName];
+    if (!entry) {
+        const hsl = fallback.color || { h: 230, s: 0.6, l: 0.65 };
+        return { colors: [toRgb(hsl)], gradient: 'scatter', accent: fallback.accent || theme.hud.accent };
+    }
+    return { colors: entry.palette.map(toRgb), gradient: entry.gradient, accent: entry.accent || fallback.accent || theme.hud.accent };
+}
+
+// "#rrggbb" / "#rgb" / { h, s, l } → { r, g, b } in 0..1
+export function toRgb(color) {
+    const { h, s, l } = parseColor(color);
+    return hslToRgb(h / 360, s, l);
+}
+
+// 0..1 position of a particle along the gradient; i / count index the
+// particle, center is the radial gradient's origin. Mirrored in GLSL by
+// js/gpu-particles.js.
+export function gradientPosition(gradient, x, y, z, i, size, center = { x: 0, y: 0, z: 0 }) {
+    const clamp = (t) => Math.min(Math.max(t, 0), 1);
+    switch (gradient) {
+        case 'vertical': return clamp(y / (2 * GRADIENT_EXTENT.y) + 0.5);
+        case 'horizontal': return clamp(x / (2 * GRADIENT_EXTENT.x) + 0.5);
+        case 'depth': return clamp(z / (2 * GRADIENT_EXTENT.z) + 0.5);
+        case 'radial':
+            return clamp(Math.hypot(x - center.x, y - center.y, z - center.z) / GRADIENT_EXTENT.radius);
+        default:
+            return size > 1 ? (i % size) / (size - 1) : 0;
+    }
+}
+
+// Linear blend between neighbouring palette colors at t (0..1)
+export function samplePalette(colors, t) {
+    const x = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+    const k = Math.floor(x);
+    const a = colors[k];
+    const b = colors[Math.min(k + 1, colors.length - 1)];
+    const f = x - k;
+    return { r: a.r + (b.r - a.r) * f, g: a.g + (b.g - a.g) * f, b: a.b + (b.b - a.b) * f };
+}
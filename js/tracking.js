@@ -0,0 +1,128 @@
+// ============================================================
+// Hand tracking — input frames → smoothed hands, pose and gesture
+// No DOM, so recorded sessions replay through it in Node (js/replay.js)
+// ============================================================
+//
+// update(frame) takes a frame from js/input.js ({ timestamp, hands }) and
+// returns:
+//   { hands: [{ landmarks, handedness, position, points }],  Left first, smoothed;
+//                points are the 21 landmarks in world space (js/physics.js)
+//     hand,      world position (midpoint of two hands), null if none
+//     twoHand,   pair pose from js/two-hands.js, null unless two hands
+//     tilt,      { roll, pitch } of a single hand if HAND_TILT, else null
+//     pinch,     0..1, strongest pinch of the visible hands
+//     pointer,   { origin, direction } ray of a pointing index finger, or null
+//     gesture }  two-hand gesture, else first recognized hand, else 'other';
+//                'none' without hands
+
+import { HAND_TILT } from './constants.js';
+import { createHandFilter } from './filters.js';
+import { createGestureRecognizer, DEFAULT_THRESHOLDS } from './gestures.js';
+import { estimateDepth, handOrientation } from './hand-pose.js';
+import { createTwoHandTracker } from './two-hands.js';
+
+export function createHandTracking(thresholds = DEFAULT_THRESHOLDS) {
+    const filters = { Left: createHandFilter(), Right: createHandFilter() }; // smoothing + dropout
+    const recognizers = { Left: createGestureRecognizer(thresholds), Right: createGestureRecognizer(thresholds) };
+    const twoHandTracker = createTwoHandTracker();
+
+    return {
+        // Per-hand recognizers, e.g. to listen for 'swipe'
+        recognizers,
+
+        setThresholds(next) {
+            Object.values(recognizers).forEach((recognizer) => recognizer.setThresholds(next));
+        },
+
+        update(frame) {
+            const now = frame.timestamp;
+
+            // Smooth each hand; a hand missing for a frame or two keeps its last pose
+            const seen = {};
+            frame.hands.forEach(({ landmarks, handedness }) => {
+                // MediaPipe occasionally labels both hands the same
+                if (seen[handedness]) handedness = handedness === 'Left' ? 'Right' : 'Left';
+                seen[handedness] = landmarks;
+            });
+
+            const hands = [];
+            Object.keys(filters).forEach((handedness) => {
+                const landmarks = seen[handedness]
+                    ? filters[handedness].update(seen[handedness], now)
+                    : filters[handedness].miss(now);
+                if (landmarks) {
+                    const position = handToWorld(landmarks);
+                    hands.push({ landmarks, handedness, position, points: landmarksToWorld(landmarks, position.z) });
+                }
+            });
+
+            Object.keys(recognizers).forEach((handedness) => {
+                if (!hands.some((hand) => hand.handedness === handedness)) recognizers[handedness].lost();
+            });
+
+            if (hands.length === 0) {
+                twoHandTracker.reset();
+                return { hands, hand: null, twoHand: null, tilt: null, pinch: 0, pointer: null, gesture: 'none' };
+            }
+
+            // Two hands: pose of the pair; the hand position is their midpoint
+            let twoHand = null;
+            if (hands.length === 2) {
+                twoHand = twoHandTracker.update(hands[0].position, hands[1].position);
+            } else {
+                twoHandTracker.reset();
+            }
+
+            // Detect gestures — a two-hand gesture wins, else the first recognized hand
+            const readings = hands.map((hand) => recognizers[hand.handedness].update(hand.landmarks, now));
+            const pointingIdx = readings.findIndex((reading) => reading.gesture === 'point');
+            const gestures = readings.map((reading) => reading.gesture);
+
+            return {
+                hands,
+                hand: twoHand ? { ...twoHand.center } : { ...hands[0].position },
+                twoHand,
+                tilt: HAND_TILT && hands.length === 1 ? handOrientation(hands[0].landmarks) : null,
+                pinch: Math.max(...readings.map((reading) => reading.pinch)),
+                pointer: pointingIdx >= 0 ? fingerRay(hands[pointingIdx]) : null,
+                gesture: (twoHand && twoHand.gesture) || gestures.find((g) => g !== 'other') || 'other'
+            };
+        }
+    };
+}
+
+// ============================================================
+// IMAGE → WORLD
+// ============================================================
+// Map hand center (between wrist and middle MCP) to 3D space; depth comes
+// from the apparent palm size (js/hand-pose.js)
+export function handToWorld(landmarks) {
+    const wrist = landmarks[0];
+    const middleMCP = landmarks[9];
+    return toWorld((wrist.x + middleMCP.x) / 2, (wrist.y + middleMCP.y) / 2, estimateDepth(landmarks));
+}
+
+// Every landmark at the hand's depth
+export function landmarksToWorld(landmarks, z) {
+    return landmarks.map((p) => toWorld(p.x, p.y, z));
+}
+
+// Map normalized coords to 3D space (flipped X for mirror)
+export function toWorld(x, y, z = 0) {
+    return {
+        x: -(x - 0.5) * 16,
+        y: -(y - 0.5) * 10,
+        z
+    };
+}
+
+// Ray from the index fingertip along the MCP → tip direction, at the hand's depth
+export function fingerRay(hand) {
+    const { landmarks, position } = hand;
+    const origin = toWorld(landmarks[8].x, landmarks[8].y, position.z);
+    const base = toWorld(landmarks[5].x, landmarks[5].y, position.z);
+    const dx = origin.x - base.x;
+    const dy = origin.y - base.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { origin, direction: { x: dx / length, y: dy / length, z: 0 } };
+}
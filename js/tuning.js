@@ -0,0 +1,170 @@
+// ============================================================
+// Tuning — the simulation and tracking parameters the settings panel
+// edits live, their ranges, named presets and sharing
+// No DOM, so validation and encoding run in Node (test/tuning.test.js)
+// ============================================================
+//
+// A tuning is stored as overrides: only the settings that differ from
+// TUNING_PARAMS' defaults, so presets, exported files and links stay short
+// and pick up new defaults. resolveTuning() fills in the rest.
+//
+// Param: { label, group, min, max, step, unit?, integer?, default,
+//   rebuild?: the particles are rebuilt (count, rest positions),
+//   simulation?: 'cpu' | 'gpu' — only shown for that simulation,
+//   preset?: the js/physics.js force preset whose spring it sets }
+
+import { PARTICLE_COUNT, GPU_PARTICLE_COUNT, IDLE_RADIUS, FOLLOW_RADIUS, EXPLODE_SPEED, HAND_CONFIDENCE } from './constants.js';
+import { FORCE_PRESETS } from './physics.js';
+import { DEFAULT_THRESHOLDS } from './gestures.js';
+
+const PRESETS_KEY = 'hand-universe:tuning-presets';
+
+export const TUNING_PARAMS = {
+    particleCount: {
+        label: 'Particles', group: 'Particles', min: 500, max: 50000, step: 500, integer: true,
+        default: PARTICLE_COUNT, rebuild: true, simulation: 'cpu'
+    },
+    gpuParticleCount: {
+        label: 'Particles', group: 'Particles', min: 4096, max: 262144, step: 4096, integer: true,
+        default: GPU_PARTICLE_COUNT, rebuild: true, simulation: 'gpu'
+    },
+    idleRadius: { label: 'Idle radius', group: 'Particles', min: 1, max: 10, step: 0.1, default: IDLE_RADIUS, rebuild: true },
+    followRadius: { label: 'Follow radius', group: 'Particles', min: 0.5, max: 6, step: 0.1, default: FOLLOW_RADIUS },
+    explodeSpeed: { label: 'Explode speed', group: 'Motion', min: 1, max: 30, step: 0.5, unit: 'units/s', default: EXPLODE_SPEED },
+    driftSpring: { label: 'Idle spring', group: 'Motion', min: 0.5, max: 40, step: 0.5, unit: '1/s²', default: FORCE_PRESETS.drift.spring, preset: 'drift' },
+    followSpring: { label: 'Follow spring', group: 'Motion', min: 1, max: 60, step: 1, unit: '1/s²', default: FORCE_PRESETS.follow.spring, preset: 'follow' },
+    implodeSpring: { label: 'Implode spring', group: 'Motion', min: 1, max: 60, step: 1, unit: '1/s²', default: FORCE_PRESETS.implode.spring, preset: 'implode' },
+    formSpring: { label: 'Text spring', group: 'Motion', min: 0.5, max: 30, step: 0.5, unit: '1/s²', default: FORCE_PRESETS.form.spring, preset: 'form' },
+    holdTime: { label: 'Gesture hold', group: 'Tracking', min: 0, max: 1500, step: 10, unit: 'ms', integer: true, default: DEFAULT_THRESHOLDS.holdTime },
+    detectionConfidence: { label: 'Detection confidence', group: 'Tracking', min: 0.1, max: 0.95, step: 0.05, default: HAND_CONFIDENCE.detection },
+    presenceConfidence: { label: 'Presence confidence', group: 'Tracking', min: 0.1, max: 0.95, step: 0.05, default: HAND_CONFIDENCE.presence },
+    trackingConfidence: { label: 'Tracking confidence', group: 'Tracking', min: 0.1, max: 0.95, step: 0.05, default: HAND_CONFIDENCE.tracking }
+};
+
+export const DEFAULT_TUNING = Object.fromEntries(Object.entries(TUNING_PARAMS).map(([key, param]) => [key, param.default]));
+
+// ============================================================
+// VALIDATION
+// ============================================================
+// Anything (a parsed file, URL params, an options object) → { tuning, errors }:
+// tuning keeps the valid overrides, errors describes each rejected entry.
+// Numeric strings are accepted, since URL params arrive as text.
+export function validateTuning(input) {
+    const tuning = {};
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { tuning, errors: input === undefined || input === null ? [] : ['Settings must be an object'] };
+    }
+
+    Object.entries(input).forEach(([key, raw]) => {
+        const param = TUNING_PARAMS[key];
+        if (!param) {
+            errors.push(`Unknown setting "${key}"`);
+            return;
+        }
+        const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        const problem = checkValue(param, value);
+        if (problem) errors.push(`${param.label}: ${problem}`);
+        else if (value !== param.default) tuning[key] = value;
+    });
+    return { tuning, errors };
+}
+
+// → why value doesn't fit param, or null
+export function checkValue(param, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (value < param.min || value > param.max) return `must be between ${param.min} and ${param.max}`;
+    if (param.integer && !Number.isInteger(value)) return 'must be a whole number';
+    return null;
+}
+
+export function resolveTuning(overrides = {}) {
+    return { ...DEFAULT_TUNING, ...overrides };
+}
+
+// The js/physics.js preset with the tuned spring; presets of custom states
+// (not in FORCE_PRESETS) pass through
+export function tunedForces(forces, tuning) {
+    const name = Object.keys(FORCE_PRESETS).find((preset) => FORCE_PRESETS[preset] === forces);
+    const key = name && Object.keys(TUNING_PARAMS).find((param) => TUNING_PARAMS[param].preset === name);
+    if (!key || tuning[key] === forces.spring) return forces;
+    return { ...forces, spring: tuning[key] };
+}
+
+// Settings whose change needs the particles rebuilt
+export function needsRebuild(previous, next) {
+    return Object.keys(TUNING_PARAMS).some((key) => TUNING_PARAMS[key].rebuild && previous[key] !== next[key]);
+}
+
+// ============================================================
+// SHARING
+// ============================================================
+// One query param per override, named like the setting:
+// ?followRadius=3&explodeSpeed=12. → the raw values, for validateTuning()
+export function parseQueryTuning(search) {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(Object.keys(TUNING_PARAMS).filter((key) => params.has(key)).map((key) => [key, params.get(key)]));
+}
+
+export function tuningToUrl(overrides, baseUrl) {
+    const url = new URL(baseUrl);
+    Object.keys(TUNING_PARAMS).forEach((key) => {
+        if (overrides[key] !== undefined) url.searchParams.set(key, String(overrides[key]));
+        else url.searchParams.delete(key);
+    });
+    return url.toString();
+}
+
+export function tuningToJson(overrides) {
+    return JSON.stringify(overrides, null, 2);
+}
+
+// Exported file text → { tuning, errors }; throws a TuningError if it
+// isn't JSON at all
+export function parseTuningJson(text) {
+    let input;
+    try {
+        input = JSON.parse(text);
+    } catch (err) {
+        const error = new Error(`Not a settings file: ${err.message}`);
+        error.name = 'TuningError';
+        throw error;
+    }
+    return validateTuning(input);
+}
+
+// ============================================================
+// PRESETS
+// ============================================================
+// → { name: overrides } saved in this browser
+export function loadTuningPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRESETS_KEY));
+        if (!saved || typeof saved !== 'object') return {};
+        return Object.fromEntries(Object.entries(saved).map(([name, overrides]) => [name, validateTuning(overrides).tuning]));
+    } catch (err) {
+        return {};
+    }
+}
+
+// → the presets afterwards
+export function saveTuningPreset(name, overrides) {
+    const presets = { ...loadTuningPresets(), [name]: overrides };
+    storePresets(presets);
+    return presets;
+}
+
+export function deleteTuningPreset(name) {
+    const presets = loadTuningPresets();
+    delete presets[name];
+    storePresets(presets);
+    return presets;
+}
+
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (err) {
+        // Storage unavailable (private mode) — export the settings instead
+    }
+}
@@ -0,0 +1,62 @@
+// ============================================================
+// Two-hand tracking — stretch, spin and merge from a hand pair
+// Works on world-space hand positions (see handToWorld in js/tracking.js)
+// ============================================================
+
+const MERGE_DISTANCE = 1.5; // world units between the two hand centers
+const STRETCH_RATIO = 1.4; // distance vs. when both hands appeared
+const SPIN_ANGLE = Math.PI / 6; // rotation of the hand-to-hand line
+const MIN_BASELINE = 1; // avoid huge scales if hands appear already together
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2.5;
+
+// Stable order so each hand keeps "its" half of the particles
+const HANDEDNESS_ORDER = ['Left', 'Right'];
+
+export function sortByHandedness(hands) {
+    return [...hands].sort((a, b) => HANDEDNESS_ORDER.indexOf(a.handedness) - HANDEDNESS_ORDER.indexOf(b.handedness));
+}
+
+// Tracks the pair relative to where it was when both hands first showed up
+export function createTwoHandTracker() {
+    let baseline = null;
+
+    return {
+        // a, b: { x, y } world positions → { scale, rotation, merged, center, gesture }
+        update(a, b) {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.hypot(dx, dy);
+            const angle = Math.atan2(dy, dx);
+            if (!baseline) baseline = { distance: Math.max(distance, MIN_BASELINE), angle };
+
+            const pose = {
+                scale: Math.min(Math.max(distance / baseline.distance, MIN_SCALE), MAX_SCALE),
+                rotation: wrapAngle(angle - baseline.angle),
+                merged: distance < MERGE_DISTANCE,
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z || 0) + (b.z || 0)) / 2 }
+            };
+            pose.gesture = classifyTwoHandGesture(pose);
+            return pose;
+        },
+
+        // Call when either hand is lost so the next pair starts fresh
+        reset() {
+            baseline = null;
+        }
+    };
+}
+
+// 'merge' | 'spin' | 'stretch' | null
+export function classifyTwoHandGesture({ scale, rotation, merged }) {
+    if (merged) return 'merge';
+    if (Math.abs(rotation) > SPIN_ANGLE) return 'spin';
+    if (scale > STRETCH_RATIO) return 'stretch';
+    return null;
+}
+
+function wrapAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle < -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
@@ -0,0 +1,136 @@
+// ============================================================
+// Service worker — offline support, registered by js/assets.js
+// ============================================================
+//
+// Install precaches the app shell and, when tools/vendor.mjs has filled
+// vendor/, every file vendor/manifest.json lists. Afterwards:
+//   app files   network first, so edits show up; the cache when offline
+//   vendor/     cache first (pinned package versions never change)
+//   CDNs        cache first, stored on first use, for CDN-mode visits
+// Bump VERSION when APP_SHELL changes.
+
+const VERSION = 'v5';
+const PREFIX = 'hand-universe-';
+const APP_CACHE = `${PREFIX}app-${VERSION}`;
+const VENDOR_CACHE = `${PREFIX}vendor`;
+const CDN_CACHE = `${PREFIX}cdn`;
+const VENDOR_MANIFEST = 'vendor/manifest.json';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'main.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/assets.js',
+    'js/audio.js',
+    'js/calibration.js',
+    'js/capture.js',
+    'js/config.js',
+    'js/constants.js',
+    'js/filters.js',
+    'js/gestures.js',
+    'js/gif.js',
+    'js/gpu-particles.js',
+    'js/hand-pose.js',
+    'js/hand-universe.js',
+    'js/hand-worker.js',
+    'js/input.js',
+    'js/lifecycle.js',
+    'js/markup.js',
+    'js/math.js',
+    'js/physics.js',
+    'js/post-processing.js',
+    'js/quality.js',
+    'js/replay.js',
+    'js/shapes.js',
+    'js/startup.js',
+    'js/state-machine.js',
+    'js/states.js',
+    'js/story.js',
+    'js/synthetic-hand.js',
+    'js/themes.js',
+    'js/tracking.js',
+    'js/tuning.js',
+    'js/two-hands.js',
+    'stories/birthday.json',
+    'stories/product-reveal.json',
+    'stories/proposal.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const app = await caches.open(APP_CACHE);
+        await app.addAll(APP_SHELL);
+        await precacheVendor();
+        await self.skipWaiting();
+    })());
+});
+
+// Without vendor/ (CDN mode) there is nothing to do
+async function precacheVendor() {
+    try {
+        const response = await fetch(VENDOR_MANIFEST, { cache: 'no-cache' });
+        if (!response.ok) return;
+        const manifest = await response.clone().json();
+        const vendor = await caches.open(VENDOR_CACHE);
+        await vendor.addAll(manifest.files.map((file) => `vendor/${file}`));
+        await vendor.put(VENDOR_MANIFEST, response);
+    } catch (err) {
+        console.warn('Offline bundle not cached:', err);
+    }
+}
+
+self.addEventListener('activate', (event) => {
+    const current = [APP_CACHE, VENDOR_CACHE, CDN_CACHE];
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => name.startsWith(PREFIX) && !current.includes(name))
+            .map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const scope = new URL(self.registration.scope);
+    if (url.origin !== scope.origin) {
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    } else if (url.pathname.startsWith(`${scope.pathname}vendor/`)) {
+        event.respondWith(cacheFirst(request, VENDOR_CACHE));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Scripts loaded without CORS come back opaque; they still replay fine
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        // Pages with a query (?theme=galaxy) fall back to the cached shell
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw err;
+    }
+}
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { ASSETS, resolveAssets, pickAssetMode } from '../js/assets.js';
+
+const root = new URL('../', import.meta.url);
+
+test('self-hosted assets resolve under vendor/ next to the page', () => {
+    const local = resolveAssets('local', 'https://example.com/hand-universe/index.html?theme=galaxy');
+    assert.equal(local.three, 'https://example.com/hand-universe/vendor/three/three.min.js');
+    assert.equal(local.handsFiles, 'https://example.com/hand-universe/vendor/mediapipe/hands/');
+    Object.values(local).forEach((url) => assert.ok(url.startsWith('https://example.com/hand-universe/vendor/')));
+
+    const cdn = resolveAssets('cdn');
+    Object.keys(ASSETS).forEach((name) => assert.equal(cdn[name], ASSETS[name].cdn));
+});
+
+test('vendor/ is used when present unless a mode is asked for', () => {
+    assert.equal(pickAssetMode('auto', true), 'local');
+    assert.equal(pickAssetMode(null, false), 'cdn');
+    assert.equal(pickAssetMode('cdn', true), 'cdn');
+    assert.equal(pickAssetMode('local', false), 'local');
+});
+
+test('directory assets keep their trailing slash and name their package', () => {
+    Object.values(ASSETS).filter((asset) => asset.local.endsWith('/')).forEach((asset) => {
+        assert.ok(asset.cdn.endsWith('/'));
+        assert.ok(asset.package && asset.cdn.includes(asset.package));
+    });
+});
+
+test('the service worker precaches every app module and story', () => {
+    const sw = readFileSync(new URL('sw.js', root), 'utf8');
+    const shell = sw.slice(sw.indexOf('APP_SHELL = ['), sw.indexOf('];', sw.indexOf('APP_SHELL = [')));
+    const listed = new Set([...shell.matchAll(/'([^']+)'/g)].map((match) => match[1]));
+
+    const expected = [
+        ...readdirSync(new URL('js/', root)).filter((name) => name.endsWith('.js')).map((name) => `js/${name}`),
+        ...readdirSync(new URL('stories/', root)).map((name) => `stories/${name}`),
+        'index.html', 'style.css', 'main.js', 'manifest.webmanifest'
+    ];
+    expected.forEach((file) => assert.ok(listed.has(file), `${file} missing from APP_SHELL in sw.js`));
+
+    const manifest = JSON.parse(readFileSync(new URL('manifest.webmanifest', root), 'utf8'));
+    manifest.icons.forEach((icon) => assert.ok(listed.has(icon.src), `${icon.src} missing from APP_SHELL in sw.js`));
+});
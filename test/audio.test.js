@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { spectrumBands, audioBreathe, SILENCE } from '../js/audio.js';
+import { STATES } from '../js/states.js';
+
+// 1024-point FFT at 48 kHz: 512 bins of 46.875 Hz
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 1024;
+const bin = (hz) => Math.floor(hz / (SAMPLE_RATE / FFT_SIZE));
+
+test('spectrum bands average their own bins', () => {
+    const data = new Uint8Array(FFT_SIZE / 2);
+    data.fill(255, bin(20), bin(250));
+    const bassOnly = spectrumBands(data, SAMPLE_RATE, FFT_SIZE);
+    assert.ok(bassOnly.bass > 0.9);
+    assert.equal(bassOnly.mid, 0);
+    assert.equal(bassOnly.treble, 0);
+    assert.ok(bassOnly.level > 0 && bassOnly.level < bassOnly.bass);
+
+    data.fill(0).fill(255, bin(3000), bin(6000));
+    const treble = spectrumBands(data, SAMPLE_RATE, FFT_SIZE);
+    assert.equal(treble.bass, 0);
+    assert.ok(treble.treble > 0.4 && treble.treble < 1);
+
+    assert.deepEqual(spectrumBands(new Uint8Array(FFT_SIZE / 2), SAMPLE_RATE), { ...SILENCE });
+});
+
+test('bass widens the breathing; silence leaves it alone', () => {
+    assert.equal(audioBreathe(SILENCE), 1);
+    assert.equal(audioBreathe(undefined), 1);
+    assert.ok(audioBreathe({ ...SILENCE, bass: 1 }) > audioBreathe({ ...SILENCE, bass: 0.5 }));
+});
+
+test('transitions into explode, implode and the formation have sounds', () => {
+    assert.equal(STATES.EXPLODE.sound, 'whoosh');
+    assert.equal(STATES.IMPLODE.sound, 'swell');
+    assert.equal(STATES.TEXT_FORM.sound, 'chime');
+    assert.equal(STATES.FOLLOW.sound, undefined);
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CALIBRATION_POSES, createCalibrationSession, deriveCalibration,
+    loadCalibration, saveCalibration, clearCalibration
+} from '../js/calibration.js';
+import { DEFAULT_THRESHOLDS, FINGERS, fingerExtension, thumbExtension } from '../js/gestures.js';
+import { hand, jitter } from './fixtures/hands.js';
+
+// 12 jittered frames of each calibration pose
+function samplesOf(poses = Object.keys(CALIBRATION_POSES), amount = 0.004) {
+    return Object.fromEntries(poses.map((pose) => [
+        pose,
+        Array.from({ length: 12 }, (_, i) => jitter(hand(pose), amount, i + 1))
+    ]));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+test('thresholds sit between the curled and extended medians of every digit', () => {
+    const samples = samplesOf();
+    const { thresholds } = deriveCalibration(samples);
+
+    Object.entries(FINGERS).forEach(([name, [, pip, , tip]]) => {
+        const measure = (landmarks) => fingerExtension(landmarks, pip, tip);
+        const curled = Object.keys(CALIBRATION_POSES).filter((g) => !CALIBRATION_POSES[g][name]);
+        const extended = Object.keys(CALIBRATION_POSES).filter((g) => CALIBRATION_POSES[g][name]);
+        const low = median(curled.flatMap((g) => samples[g].map(measure)));
+        const high = median(extended.flatMap((g) => samples[g].map(measure)));
+        assert.ok(Math.abs(thresholds.finger[name] - (low + high) / 2) < 1e-9, name);
+    });
+});
+
+test('the thumb threshold is calibrated from the fist', () => {
+    const samples = samplesOf();
+    const { thresholds } = deriveCalibration(samples);
+    const low = median(samples.fist.map(thumbExtension));
+    const high = median([...samples.palm, ...samples.ilu].map(thumbExtension));
+
+    assert.notEqual(thresholds.thumb, DEFAULT_THRESHOLDS.thumb);
+    assert.ok(Math.abs(thresholds.thumb - (low + high) / 2) < 1e-9);
+});
+
+test('digits that don\'t separate keep their defaults', () => {
+    // Palm frames filed as the fist: nothing curled to split from
+    const samples = { ...samplesOf(['palm', 'ilu']), fist: samplesOf(['palm']).palm };
+    const { thresholds } = deriveCalibration(samples);
+    assert.equal(thresholds.finger.index, DEFAULT_THRESHOLDS.finger.index);
+    assert.equal(thresholds.thumb, DEFAULT_THRESHOLDS.thumb);
+});
+
+test('confidence is the share of each gesture\'s frames classified correctly', () => {
+    const { confidence } = deriveCalibration(samplesOf());
+    assert.deepEqual(confidence, { fist: 1, palm: 1, ilu: 1 });
+
+    const samples = samplesOf();
+    samples.ilu = [...samples.ilu.slice(0, 6), ...samplesOf(['palm']).palm.slice(0, 6)];
+    assert.equal(deriveCalibration(samples).confidence.ilu, 0.5);
+    assert.equal(deriveCalibration({ fist: samples.fist, palm: samples.palm }).confidence.ilu, 0);
+});
+
+test('hold time grows as confidence drops, within 200–600 ms', () => {
+    assert.equal(deriveCalibration(samplesOf()).thresholds.holdTime, DEFAULT_THRESHOLDS.holdTime);
+
+    // Every ilu frame is a palm: mean confidence 2/3 → 450 ms
+    const samples = samplesOf();
+    samples.ilu = samples.palm;
+    assert.equal(deriveCalibration(samples).thresholds.holdTime, 450);
+
+    // Nothing recognized at all → the ceiling
+    const wrong = { fist: samples.palm, palm: samplesOf(['fist']).fist, ilu: samplesOf(['fist']).fist };
+    assert.equal(deriveCalibration(wrong).thresholds.holdTime, 600);
+});
+
+test('a session needs enough frames of every pose', () => {
+    const samples = samplesOf();
+    const session = createCalibrationSession();
+    ['fist', 'palm'].forEach((gesture) => samples[gesture].forEach((landmarks) => session.addSample(gesture, landmarks)));
+    samples.ilu.slice(0, 3).forEach((landmarks) => session.addSample('ilu', landmarks));
+    assert.equal(session.sampleCount('ilu'), 3);
+    assert.throws(() => session.finish(), /Not enough frames for: ilu/);
+
+    samples.ilu.slice(3).forEach((landmarks) => session.addSample('ilu', landmarks));
+    assert.deepEqual(session.finish(), deriveCalibration(samples));
+});
+
+test('calibrations persist until cleared', (t) => {
+    const store = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key)
+    };
+    t.after(() => delete globalThis.localStorage);
+
+    assert.equal(loadCalibration(), null);
+    const calibration = deriveCalibration(samplesOf());
+    const saved = saveCalibration(calibration);
+    assert.deepEqual(loadCalibration(), saved);
+    assert.deepEqual(loadCalibration().thresholds, calibration.thresholds);
+    assert.equal(typeof saved.createdAt, 'number');
+
+    // Saved by an older version: ignored rather than misread
+    store.set('hand-universe:calibration', JSON.stringify({ ...saved, version: 0 }));
+    assert.equal(loadCalibration(), null);
+
+    clearCalibration();
+    assert.equal(loadCalibration(), null);
+});
+
+test('without storage there is no calibration and clearing is harmless', () => {
+    assert.equal(loadCalibration(), null);
+    assert.doesNotThrow(() => clearCalibration());
+});
@@ -0,0 +1,10 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pickVideoType } from '../js/capture.js';
+
+test('video capture prefers VP9, then VP8, then any WebM', () => {
+    assert.equal(pickVideoType(() => true), 'video/webm;codecs=vp9');
+    assert.equal(pickVideoType((type) => !type.includes('vp9')), 'video/webm;codecs=vp8');
+    assert.equal(pickVideoType(() => false), '');
+});
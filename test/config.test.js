@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_CONFIG, mergeConfig, normalizeMessage, parseQueryConfig, configToUrl, clearQueryConfig, withLineScales } from '../js/config.js';
+
+const BASE_URL = 'https://example.com/hand-universe/';
+
+test('messages normalize from text, string arrays and line objects', () => {
+    const lines = [{ text: 'HAPPY', scale: 1 }, { text: 'BIRTHDAY', scale: 1 }];
+    assert.deepEqual(normalizeMessage('HAPPY|BIRTHDAY'), lines);
+    assert.deepEqual(normalizeMessage(' HAPPY \n\nBIRTHDAY'), lines);
+    assert.deepEqual(normalizeMessage(['HAPPY', 'BIRTHDAY']), lines);
+    assert.deepEqual(normalizeMessage([{ text: 'big', scale: 9 }, { text: 'small', scale: '0.6' }]), [
+        { text: 'big', scale: 2 },
+        { text: 'small', scale: 0.6 }
+    ]);
+});
+
+test('edited messages keep the scale of unchanged lines', () => {
+    const previous = [{ text: 'HAPPY BIRTHDAY', scale: 1.4 }, { text: 'love, Sam', scale: 0.6 }];
+    assert.deepEqual(withLineScales('HAPPY BIRTHDAY\nlove, Alex', previous), [
+        { text: 'HAPPY BIRTHDAY', scale: 1.4 },
+        { text: 'love, Alex', scale: 1 }
+    ]);
+    // Reordered lines take their scale along; a repeated line only once
+    assert.deepEqual(withLineScales('love, Sam\nHAPPY BIRTHDAY\nlove, Sam', previous), [
+        { text: 'love, Sam', scale: 0.6 },
+        { text: 'HAPPY BIRTHDAY', scale: 1.4 },
+        { text: 'love, Sam', scale: 1 }
+    ]);
+});
+
+test('shared links round-trip the config, line scales included', () => {
+    const config = mergeConfig(DEFAULT_CONFIG, {
+        title: 'Happy Birthday',
+        message: [{ text: 'HAPPY BIRTHDAY', scale: 1.4 }, { text: 'love, Sam', scale: 0.6 }],
+        shape: { type: 'image', src: 'logo.png' },
+        story: 'stories/birthday.json',
+        theme: 'galaxy'
+    });
+    const url = configToUrl(config, BASE_URL);
+    assert.equal(new URL(url).searchParams.get('messageScale'), '1.4,0.6');
+    assert.deepEqual(mergeConfig(DEFAULT_CONFIG, parseQueryConfig(new URL(url).search)), config);
+});
+
+test('links to evenly sized messages leave the scales out', () => {
+    const url = configToUrl(DEFAULT_CONFIG, `${BASE_URL}?messageScale=2,2`);
+    assert.equal(new URL(url).searchParams.has('messageScale'), false);
+    assert.deepEqual(parseQueryConfig('?message=a|b').message, 'a|b');
+});
+
+test('clearing the config from a link keeps its other params', () => {
+    const url = configToUrl(DEFAULT_CONFIG, `${BASE_URL}?followRadius=3&theme=galaxy&messageScale=1,2#top`);
+    assert.equal(clearQueryConfig(url), `${BASE_URL}?followRadius=3#top`);
+    assert.equal(clearQueryConfig(`${BASE_URL}?title=Hi`), BASE_URL);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createOneEuroFilter, createGestureVote, createHandFilter, createPositionInterpolator } from '../js/filters.js';
+import { hand } from './fixtures/hands.js';
+
+test('One-Euro filter damps jitter around a resting value', () => {
+    const filter = createOneEuroFilter();
+    let maxError = 0;
+    for (let i = 0; i < 60; i++) {
+        const value = filter.filter(0.5 + (i % 2 ? 0.01 : -0.01), i * 33);
+        if (i > 10) maxError = Math.max(maxError, Math.abs(value - 0.5));
+    }
+    assert.ok(maxError < 0.005, `max error ${maxError}`);
+});
+
+test('One-Euro filter catches up with fast moves', () => {
+    const filter = createOneEuroFilter();
+    filter.filter(0, 0);
+    let value = 0;
+    for (let i = 1; i <= 10; i++) value = filter.filter(i * 0.05, i * 33);
+    assert.ok(value > 0.4, `lagging at ${value}`);
+});
+
+test('gesture vote needs a majority to switch labels', () => {
+    const vote = createGestureVote({ window: 5, share: 0.6 });
+    const labels = ['fist', 'other', 'fist', 'palm', 'palm', 'palm'].map((label) => vote.update(label));
+    assert.deepEqual(labels, ['fist', 'fist', 'fist', 'fist', 'fist', 'palm']);
+});
+
+test('hand filter holds the last pose through a short dropout', () => {
+    const filter = createHandFilter({ grace: 200 });
+    const landmarks = filter.update(hand('fist'), 0);
+    assert.equal(filter.miss(100), landmarks);
+    assert.equal(filter.miss(250), null);
+});
+
+test('position interpolator glides between results without jumping', () => {
+    const interpolator = createPositionInterpolator();
+    assert.equal(interpolator.sample(0), null);
+
+    interpolator.push({ x: 0, y: 0, z: 0 }, 0);
+    interpolator.push({ x: 1, y: 0, z: 0 }, 50);
+    assert.equal(interpolator.sample(50).x, 0);
+    const mid = interpolator.sample(65).x;
+    assert.ok(mid > 0 && mid < 1, `mid-glide at ${mid}`);
+
+    // A new result mid-glide starts from where the position is now
+    interpolator.push({ x: 2, y: 0, z: 0 }, 65);
+    assert.equal(interpolator.sample(65).x, mid);
+    assert.equal(interpolator.sample(500).x, 2);
+});
+
+test('position interpolator snaps to the first result after a reset', () => {
+    const interpolator = createPositionInterpolator();
+    interpolator.push({ x: 0, y: 0, z: 0 }, 0);
+    interpolator.reset();
+    interpolator.push({ x: 3, y: 1, z: -1 }, 100);
+    assert.deepEqual(interpolator.sample(100), { x: 3, y: 1, z: -1 });
+});
@@ -0,0 +1,57 @@
+// Synthetic landmark fixtures: every pose from js/synthetic-hand.js plus
+// the ways real frames go wrong — noise, occlusion, rotation, handedness
+
+import { createHandLandmarks, POSES } from '../../js/synthetic-hand.js';
+
+export { POSES };
+
+// A right hand, palm to the camera, fingers up
+export function hand(pose, options = {}) {
+    return createHandLandmarks({ pose, x: 0.5, y: 0.5, ...options });
+}
+
+// The same pose as a left hand: mirrored around the wrist
+export function leftHand(pose, options = {}) {
+    const landmarks = hand(pose, options);
+    const wristX = landmarks[0].x;
+    return landmarks.map((p) => ({ ...p, x: 2 * wristX - p.x }));
+}
+
+// Deterministic jitter of up to ±amount per coordinate
+export function jitter(landmarks, amount, seed = 1) {
+    const random = mulberry32(seed);
+    return landmarks.map((p) => ({
+        x: p.x + (random() - 0.5) * 2 * amount,
+        y: p.y + (random() - 0.5) * 2 * amount,
+        z: p.z
+    }));
+}
+
+// Hidden landmarks as MediaPipe tends to guess them: collapsed onto a
+// visible joint (e.g. fingertips tucked behind the palm onto their PIP)
+export function occlude(landmarks, hidden, ontoIdx) {
+    return landmarks.map((p, i) => (hidden.includes(i) ? { ...landmarks[ontoIdx(i)] } : p));
+}
+
+// Frames for replayHeadless(): [pose | null, ms] steps at ~30 fps
+export function recording(steps, { fps = 30, handedness = 'Right' } = {}) {
+    const frames = [];
+    const dt = Math.round(1000 / fps);
+    let t = 0;
+    steps.forEach(([pose, duration]) => {
+        for (let elapsed = 0; elapsed < duration; elapsed += dt, t += dt) {
+            frames.push({ t, hands: pose ? [{ handedness, landmarks: hand(pose) }] : [] });
+        }
+    });
+    return { frames, duration: t };
+}
+
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    detectGesture, isFingerExtended, isThumbExtended, pinchStrength,
+    createSwipeDetector, createGestureRecognizer, DEFAULT_THRESHOLDS, FINGERS
+} from '../js/gestures.js';
+import { hand, leftHand, jitter, occlude, POSES } from './fixtures/hands.js';
+
+const STATIC_POSES = Object.keys(POSES);
+
+test('detectGesture recognizes every pose', () => {
+    STATIC_POSES.forEach((pose) => assert.equal(detectGesture(hand(pose)), pose, pose));
+});
+
+test('detectGesture is the same for left and right hands', () => {
+    STATIC_POSES.forEach((pose) => assert.equal(detectGesture(leftHand(pose)), pose, pose));
+});
+
+test('detectGesture tolerates rolled hands', () => {
+    [-0.6, -0.3, 0.3, 0.6].forEach((roll) => {
+        ['fist', 'palm', 'ilu', 'point', 'peace'].forEach((pose) => {
+            assert.equal(detectGesture(hand(pose, { roll })), pose, `${pose} rolled ${roll}`);
+        });
+    });
+});
+
+test('a thumbs up turned sideways is a fist', () => {
+    assert.equal(detectGesture(hand('thumbs_up', { roll: Math.PI / 2 })), 'fist');
+    assert.equal(detectGesture(hand('thumbs_up', { roll: Math.PI })), 'thumbs_down');
+});
+
+test('detectGesture does not depend on hand size or position', () => {
+    [0.5, 2].forEach((scale) => {
+        STATIC_POSES.forEach((pose) => {
+            assert.equal(detectGesture(hand(pose, { scale, x: 0.2, y: 0.7 })), pose, `${pose} at scale ${scale}`);
+        });
+    });
+});
+
+test('detectGesture survives landmark noise', () => {
+    [1, 2, 3].forEach((seed) => {
+        ['fist', 'palm', 'ilu'].forEach((pose) => {
+            assert.equal(detectGesture(jitter(hand(pose), 0.005, seed)), pose, `${pose} seed ${seed}`);
+        });
+    });
+});
+
+test('a fist with its fingertips hidden behind the palm is still a fist', () => {
+    // Tips and DIPs collapsed onto their PIP joints
+    const hidden = [7, 8, 11, 12, 15, 16, 19, 20];
+    const landmarks = occlude(hand('fist'), hidden, (i) => (i % 4 === 0 ? i - 2 : i - 1));
+    assert.equal(detectGesture(landmarks), 'fist');
+});
+
+test('🤟 with the thumb hidden is no longer 🤟', () => {
+    const landmarks = occlude(hand('ilu'), [4], () => 3);
+    assert.notEqual(detectGesture(landmarks), 'ilu');
+});
+
+test('an open palm with ring and pinky occluded is not a palm', () => {
+    const hidden = [14, 15, 16, 18, 19, 20];
+    const landmarks = occlude(hand('palm'), hidden, (i) => (i < 17 ? 13 : 17));
+    assert.notEqual(detectGesture(landmarks), 'palm');
+});
+
+test('isFingerExtended follows the ratio threshold', () => {
+    const palm = hand('palm');
+    const fist = hand('fist');
+    Object.values(FINGERS).forEach((finger) => {
+        assert.equal(isFingerExtended(palm, ...finger), true);
+        assert.equal(isFingerExtended(fist, ...finger), false);
+        // A strict enough threshold rejects even a straight finger
+        assert.equal(isFingerExtended(palm, ...finger, 5), false);
+    });
+});
+
+test('isThumbExtended tells an out-stretched thumb from a tucked one', () => {
+    assert.equal(isThumbExtended(hand('palm')), true);
+    assert.equal(isThumbExtended(hand('fist')), false);
+    assert.equal(isThumbExtended(leftHand('ilu')), true);
+    assert.equal(isThumbExtended(hand('palm'), 10), false);
+});
+
+test('custom thresholds change classification', () => {
+    const strict = { ...DEFAULT_THRESHOLDS, finger: { ...DEFAULT_THRESHOLDS.finger, pinky: 5 } };
+    assert.equal(detectGesture(hand('ilu'), strict), 'point');
+});
+
+test('pinchStrength runs from 0 (apart) to 1 (touching)', () => {
+    const open = hand('palm');
+    assert.equal(pinchStrength(open), 0);
+
+    // "OK" sign: thumb and index tips meet, the other fingers stay open
+    const pinched = hand('palm');
+    const meet = { x: (pinched[3].x + pinched[6].x) / 2, y: (pinched[3].y + pinched[6].y) / 2, z: 0 };
+    pinched[4] = { ...meet };
+    pinched[8] = { ...meet };
+    assert.equal(pinchStrength(pinched), 1);
+    assert.equal(detectGesture(pinched), 'pinch');
+});
+
+test('swipe detector reports mirrored directions once per swipe', () => {
+    const swipes = createSwipeDetector();
+    const results = [];
+    // Wrist moves toward image x = 0, which is the user's right in the mirror
+    for (let t = 0; t <= 200; t += 33) results.push(swipes.update({ x: 0.7 - t * 0.002, y: 0.5 }, t));
+    assert.deepEqual(results.filter(Boolean), ['swipe_right']);
+});
+
+test('recognizer ignores a single misclassified frame', () => {
+    const recognizer = createGestureRecognizer();
+    const changes = [];
+    recognizer.on('gesture', (gesture) => changes.push(gesture));
+
+    const frames = ['fist', 'fist', 'fist', 'other', 'fist', 'fist'];
+    frames.forEach((pose, i) => recognizer.update(hand(pose), i * 33));
+    assert.deepEqual(changes, ['fist']);
+    assert.equal(recognizer.gesture, 'fist');
+
+    recognizer.lost();
+    assert.equal(recognizer.gesture, 'none');
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildPalette, encodeGif, lzwEncode } from '../js/gif.js';
+
+// Reference GIF LZW decoder
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize;
+    let dictionary;
+    let previous;
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        dictionary = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+        previous = null;
+    };
+    reset();
+
+    const out = [];
+    let bit = 0;
+    while (bit + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        const entry = code < dictionary.length ? dictionary[code] : [...previous, previous[0]];
+        out.push(...entry);
+        if (previous) dictionary.push([...previous, entry[0]]);
+        previous = entry;
+        if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    return out;
+}
+
+test('LZW output decodes back to the input, across dictionary resets', () => {
+    // Noise fills the 4096-entry dictionary several times over
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) % 256;
+    const noise = Uint8Array.from({ length: 40000 }, random);
+    assert.deepEqual(lzwDecode(lzwEncode(noise, 8), 8), [...noise]);
+
+    const runs = Uint8Array.from({ length: 5000 }, (_, i) => (i >> 6) % 3);
+    assert.deepEqual(lzwDecode(lzwEncode(runs, 8), 8), [...runs]);
+});
+
+test('the palette keeps the most common colors and maps others to the nearest', () => {
+    const pixels = new Uint8Array([
+        5, 6, 15, 255, 5, 6, 15, 255, 5, 6, 15, 255,
+        255, 107, 157, 255
+    ]);
+    const palette = buildPalette([pixels]);
+    assert.deepEqual([...palette.colors.slice(0, 6)], [5, 6, 15, 255, 107, 157]);
+    assert.equal(palette.indexOf(0, 0, 10), 0);
+    assert.equal(palette.indexOf(250, 100, 150), 1);
+});
+
+test('encodeGif writes a looping GIF89a with one image per frame', () => {
+    const frame = (r) => Uint8Array.from({ length: 4 * 4 * 4 }, (_, i) => (i % 4 === 0 ? r : 255));
+    const gif = encodeGif([frame(0), frame(255)], { width: 4, height: 4, delay: 80 });
+    const ascii = (start, length) => String.fromCharCode(...gif.slice(start, start + length));
+
+    assert.equal(ascii(0, 6), 'GIF89a');
+    assert.equal(gif[6] | (gif[7] << 8), 4);
+    assert.equal(ascii(13 + 768 + 3, 11), 'NETSCAPE2.0');
+    assert.equal(gif.filter((v, i) => v === 0x21 && gif[i + 1] === 0xf9).length, 2);
+    assert.equal(gif[gif.length - 1], 0x3b);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { palmSpan, estimateDepth, handOrientation } from '../js/hand-pose.js';
+import { hand } from './fixtures/hands.js';
+
+const FRAME_ASPECT = 4 / 3;
+
+// The hand turned about the wrist's horizontal axis: fingers toward the
+// camera for angle > 0. MediaPipe z is in frame widths, smaller is closer.
+function tipped(landmarks, angle) {
+    const wrist = landmarks[0];
+    return landmarks.map((p) => {
+        const dy = p.y - wrist.y;
+        return { x: p.x, y: wrist.y + dy * Math.cos(angle), z: (dy * Math.sin(angle)) / FRAME_ASPECT };
+    });
+}
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+test('depth grows monotonically with the palm\'s apparent size', () => {
+    const scales = [0.3, 0.5, 0.7, 1, 1.4, 2, 3];
+    const depths = scales.map((scale) => estimateDepth(hand('palm', { scale })));
+    depths.slice(1).forEach((depth, i) => assert.ok(depth >= depths[i], `scale ${scales[i + 1]}`));
+    assert.ok(depths[0] < 0 && depths[depths.length - 1] > 0);
+
+    // Each halving of the palm moves it 4 units away, up to 5 either side
+    near(estimateDepth(hand('palm', { scale: 0.5 })) - estimateDepth(hand('palm')), -4, 'halved');
+    assert.equal(estimateDepth(hand('palm', { scale: 0.01 })), -5);
+    assert.equal(estimateDepth(hand('palm', { scale: 20 })), 5);
+});
+
+test('palm span ignores the pose of the fingers', () => {
+    const span = palmSpan(hand('palm'));
+    ['fist', 'ilu', 'point'].forEach((pose) => near(palmSpan(hand(pose)), span, pose));
+    near(palmSpan(hand('palm', { scale: 2 })), span * 2, 'twice the size');
+});
+
+test('a palm tipped toward the camera keeps its depth', () => {
+    near(estimateDepth(tipped(hand('palm'), 0.7)), estimateDepth(hand('palm')), 'tipped');
+});
+
+test('roll is positive when the fingers lean counter-clockwise on screen', () => {
+    assert.equal(handOrientation(hand('palm')).roll, 0);
+    // The preview is mirrored: a clockwise roll in camera image coords
+    // (y down) shows counter-clockwise on screen
+    assert.ok(handOrientation(hand('palm', { roll: 0.4 })).roll > 0);
+    assert.ok(handOrientation(hand('palm', { roll: -0.4 })).roll < 0);
+    near(handOrientation(hand('palm', { roll: Math.PI / 2 })).roll, Math.PI / 2, 'quarter turn');
+});
+
+test('pitch is positive when the fingers tip toward the viewer', () => {
+    near(handOrientation(hand('palm')).pitch, 0, 'upright');
+    near(handOrientation(tipped(hand('palm'), 0.5)).pitch, 0.5, 'toward');
+    near(handOrientation(tipped(hand('palm'), -0.5)).pitch, -0.5, 'away');
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScriptedInput, createPointerInput, keyTarget } from '../js/input.js';
+import { detectGesture } from '../js/gestures.js';
+
+// Every frame a provider emits
+function collect(provider) {
+    const frames = [];
+    provider.onFrame((frame) => frames.push(frame));
+    return frames;
+}
+
+// Run the mocked clock for ms; small steps so Date.now() moves with the intervals
+function advance(t, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 10) t.mock.timers.tick(10);
+}
+
+const gestureOf = (frame) => (frame.hands.length ? detectGesture(frame.hands[0].landmarks) : 'none');
+
+test('scripted input plays its steps in order, then stops without a hand', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+    const input = createScriptedInput([
+        { pose: 'palm', duration: 300 },
+        { pose: null, duration: 200 },
+        { pose: 'fist', x: 0.3, duration: 300 }
+    ]);
+    const frames = collect(input);
+    await input.start();
+    advance(t, 1000);
+
+    // Runs of the same label, in order
+    const labels = frames.map(gestureOf).filter((label, i, all) => label !== all[i - 1]);
+    assert.deepEqual(labels, ['palm', 'none', 'fist', 'none']); // no hand once the script ends
+
+    // Positions glide toward the step's x at the start of the step
+    const fists = frames.filter((frame) => gestureOf(frame) === 'fist');
+    assert.ok(fists[0].hands[0].landmarks[0].x > fists[fists.length - 1].hands[0].landmarks[0].x);
+    input.stop();
+});
+
+test('a looping script starts over', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+    const input = createScriptedInput([{ pose: 'palm', duration: 200 }, { pose: 'ilu', duration: 200 }], { loop: true });
+    const frames = collect(input);
+    await input.start();
+    advance(t, 500);
+    const labels = frames.map(gestureOf).filter((label, i, all) => label !== all[i - 1]);
+    assert.deepEqual(labels, ['palm', 'ilu', 'palm']);
+
+    input.stop();
+    const count = frames.length;
+    advance(t, 500);
+    assert.equal(frames.length, count);
+});
+
+// A stand-in for the canvas container and window
+function pointerSetup(t) {
+    const target = new EventTarget();
+    target.getBoundingClientRect = () => ({ left: 100, top: 50, width: 400, height: 200 });
+    globalThis.window = new EventTarget();
+    t.after(() => delete globalThis.window);
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+    return target;
+}
+
+const mouse = (type, props = {}) => Object.assign(new Event(type), props);
+const key = (k, tagName = 'CANVAS') => Object.assign(new Event('keydown'), { key: k, composedPath: () => [{ tagName }] });
+
+test('the pointer is a hand at the cursor, mirrored like the camera', async (t) => {
+    const target = pointerSetup(t);
+    const input = createPointerInput(target);
+    const frames = collect(input);
+    await input.start();
+
+    advance(t, 100);
+    assert.deepEqual(frames[frames.length - 1].hands, []); // not over the canvas yet
+
+    target.dispatchEvent(mouse('mousemove', { clientX: 200, clientY: 100 }));
+    advance(t, 100);
+    const [{ landmarks }] = frames[frames.length - 1].hands;
+    const center = { x: (landmarks[0].x + landmarks[9].x) / 2, y: (landmarks[0].y + landmarks[9].y) / 2 };
+    assert.ok(Math.abs(center.x - 0.75) < 1e-9 && Math.abs(center.y - 0.25) < 1e-9);
+
+    target.dispatchEvent(mouse('mousedown', { button: 0 }));
+    advance(t, 100);
+    assert.equal(gestureOf(frames[frames.length - 1]), 'fist');
+    target.dispatchEvent(mouse('mouseup'));
+
+    target.dispatchEvent(mouse('mouseleave'));
+    advance(t, 100);
+    assert.deepEqual(frames[frames.length - 1].hands, []);
+    input.stop();
+});
+
+test('pose keys toggle, but not while typing or with the keyboard off', async (t) => {
+    const target = pointerSetup(t);
+    const input = createPointerInput(target);
+    const frames = collect(input);
+    await input.start();
+    target.dispatchEvent(mouse('mousemove', { clientX: 300, clientY: 150 }));
+    const pose = () => {
+        advance(t, 100);
+        return gestureOf(frames[frames.length - 1]);
+    };
+
+    window.dispatchEvent(key('l'));
+    assert.equal(pose(), 'ilu');
+    window.dispatchEvent(key('2', 'INPUT'));
+    assert.equal(pose(), 'ilu');
+    window.dispatchEvent(key('L'));
+    assert.equal(pose(), 'other');
+    input.stop();
+
+    const quiet = createPointerInput(target, { keyboard: false });
+    const quietFrames = collect(quiet);
+    await quiet.start();
+    target.dispatchEvent(mouse('mousemove', { clientX: 300, clientY: 150 }));
+    window.dispatchEvent(key('f'));
+    advance(t, 100);
+    assert.equal(gestureOf(quietFrames[quietFrames.length - 1]), 'other');
+    quiet.stop();
+});
+
+test('keyTarget sees through shadow roots', () => {
+    const inner = { tagName: 'TEXTAREA' };
+    assert.equal(keyTarget({ composedPath: () => [inner], target: { tagName: 'HAND-UNIVERSE' } }), inner);
+    assert.deepEqual(keyTarget({ target: inner }), inner);
+    assert.deepEqual(keyTarget({}), {});
+});
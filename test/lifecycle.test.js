@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLifecycle, createIdleTimer, PHASE } from '../js/lifecycle.js';
+
+function recordingLifecycle(overrides = {}) {
+    const calls = [];
+    const hook = (name) => async (...args) => { calls.push([name, ...args]); };
+    const lifecycle = createLifecycle({
+        start: hook('start'),
+        pause: hook('pause'),
+        resume: hook('resume'),
+        stop: hook('stop'),
+        release: hook('release'),
+        reset: hook('reset'),
+        destroy: hook('destroy'),
+        ...overrides
+    });
+    return { lifecycle, calls };
+}
+
+test('start, pause, resume and stop walk the phases', async () => {
+    const { lifecycle, calls } = recordingLifecycle();
+    const phases = [];
+    lifecycle.onChange((phase, from) => phases.push(`${from}→${phase}`));
+
+    await lifecycle.start('camera');
+    assert.equal(lifecycle.kind, 'camera');
+    await lifecycle.pause();
+    await lifecycle.resume();
+    await lifecycle.stop();
+
+    assert.deepEqual(calls.map(([name]) => name), ['start', 'pause', 'resume', 'stop']);
+    assert.deepEqual(phases, ['stopped→running', 'running→paused', 'paused→running', 'running→stopped']);
+});
+
+test('calls that make no sense in the current phase are skipped', async () => {
+    const { lifecycle, calls } = recordingLifecycle();
+    assert.equal(await lifecycle.pause(), false);
+    assert.equal(await lifecycle.resume(), false);
+    assert.equal(await lifecycle.stop(), false);
+    assert.deepEqual(calls, []);
+});
+
+test('a hidden tab only resumes its own pause', async () => {
+    const { lifecycle } = recordingLifecycle();
+    await lifecycle.start('pointer');
+
+    await lifecycle.pause('hidden');
+    assert.equal(lifecycle.pausedBy, 'hidden');
+    assert.equal(await lifecycle.resume('hidden'), true);
+
+    await lifecycle.pause('user');
+    await lifecycle.pause('hidden');
+    assert.equal(await lifecycle.resume('hidden'), false);
+    assert.equal(lifecycle.phase, PHASE.PAUSED);
+
+    // Pausing by hand while hidden keeps it paused once visible
+    await lifecycle.resume('user');
+    await lifecycle.pause('hidden');
+    await lifecycle.pause('user');
+    assert.equal(await lifecycle.resume('hidden'), false);
+});
+
+test('a hidden tab on the start screen releases the input', async () => {
+    // e.g. calibration tracking the camera before the experience started
+    const { lifecycle, calls } = recordingLifecycle();
+    assert.equal(await lifecycle.pause('hidden'), false);
+    assert.deepEqual(calls, [['release']]);
+    assert.equal(lifecycle.phase, PHASE.STOPPED);
+
+    // A user pause on the start screen leaves the input alone
+    await lifecycle.pause('user');
+    assert.deepEqual(calls, [['release']]);
+});
+
+test('calls run one at a time, in order', async () => {
+    let release;
+    const order = [];
+    const { lifecycle } = recordingLifecycle({
+        start: () => new Promise((resolve) => { release = resolve; }),
+        pause: () => { order.push('pause'); }
+    });
+
+    const started = lifecycle.start('camera');
+    const paused = lifecycle.pause('hidden');
+    await Promise.resolve();
+    assert.deepEqual(order, []); // the pause waits for the start
+
+    release();
+    await Promise.all([started, paused]);
+    assert.deepEqual(order, ['pause']);
+    assert.equal(lifecycle.phase, PHASE.PAUSED);
+});
+
+test('a failing hook keeps the phase and later calls still run', async () => {
+    let fail = true;
+    const { lifecycle } = recordingLifecycle({
+        resume: async () => {
+            if (fail) throw new Error('camera busy');
+        }
+    });
+    await lifecycle.start('camera');
+    await lifecycle.pause();
+
+    await assert.rejects(lifecycle.resume(), /camera busy/);
+    assert.equal(lifecycle.phase, PHASE.PAUSED);
+
+    fail = false;
+    assert.equal(await lifecycle.resume(), true);
+    assert.equal(lifecycle.phase, PHASE.RUNNING);
+});
+
+test('destroy stops first and ignores everything afterwards', async () => {
+    const { lifecycle, calls } = recordingLifecycle();
+    await lifecycle.start('camera');
+    await lifecycle.destroy();
+    assert.deepEqual(calls.map(([name]) => name), ['start', 'stop', 'destroy']);
+    assert.equal(lifecycle.phase, PHASE.DESTROYED);
+
+    assert.equal(await lifecycle.start('camera'), false);
+    assert.equal(await lifecycle.reset(), false);
+    assert.equal(calls.length, 3);
+});
+
+test('the idle timer fires once per stretch without a hand', () => {
+    const timer = createIdleTimer(1000);
+    assert.equal(timer.update(false, 0), null);
+    assert.equal(timer.update(false, 999), null);
+    assert.equal(timer.update(false, 1000), 'idle');
+    assert.equal(timer.update(false, 5000), null);
+    assert.equal(timer.update(true, 5100), 'active');
+    assert.equal(timer.update(false, 5500), null);
+
+    timer.reset(6000);
+    assert.equal(timer.update(false, 6999), null);
+    assert.equal(timer.update(false, 7000), 'idle');
+});
+
+test('an idle timeout of 0 never fires', () => {
+    const timer = createIdleTimer(0);
+    timer.update(false, 0);
+    assert.equal(timer.update(false, 1e9), null);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { MARKUP } from '../js/markup.js';
+import { elementOptions } from '../js/hand-universe.js';
+
+const root = new URL('../', import.meta.url);
+
+test('every element js/hand-universe.js looks up is in the markup', () => {
+    const source = readFileSync(new URL('js/hand-universe.js', root), 'utf8');
+    const ids = new Set([...MARKUP.matchAll(/\sid="([^"]+)"/g)].map((match) => match[1]));
+    const used = [...source.matchAll(/byId\('([^']+)'\)/g)].map((match) => match[1]);
+
+    assert.ok(used.length > 0);
+    used.forEach((id) => assert.ok(ids.has(id), `#${id} missing from js/markup.js`));
+});
+
+test('ids are unique within an instance', () => {
+    const ids = [...MARKUP.matchAll(/\sid="([^"]+)"/g)].map((match) => match[1]);
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('style.css is scoped to the shadow host, not the page', () => {
+    const css = readFileSync(new URL('style.css', root), 'utf8');
+    assert.doesNotMatch(css, /(^|[\s,}])(:root|html|body)\b/m);
+    assert.doesNotMatch(css, /position:\s*fixed/);
+});
+
+test('<hand-universe> attributes map to options', () => {
+    const attributes = (values) => (key) => (key in values ? values[key] : null);
+    assert.deepEqual(elementOptions(attributes({
+        heading: 'Happy Birthday',
+        message: 'HAPPY|BIRTHDAY',
+        shape: 'image',
+        'shape-src': 'logo.png',
+        theme: 'birthday',
+        'particle-count': '5000',
+        idle: '60',
+        keyboard: 'off'
+    })), {
+        title: 'Happy Birthday',
+        message: 'HAPPY|BIRTHDAY',
+        theme: 'birthday',
+        shape: { type: 'image', src: 'logo.png' },
+        particleCount: 5000,
+        idleTimeout: 60000,
+        keyboard: false
+    });
+    assert.deepEqual(elementOptions(attributes({ shape: 'heart', idle: '0', keyboard: 'on' })), {
+        shape: { type: 'heart' },
+        idleTimeout: 0
+    });
+    assert.deepEqual(elementOptions(attributes({})), {});
+    // The global title attribute stays a tooltip
+    assert.deepEqual(elementOptions(attributes({ title: 'Tooltip' })), {});
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hslToRgb, hexToRgba, easeOutCubic } from '../js/math.js';
+
+const close = (actual, expected) => Object.keys(expected).forEach((k) => {
+    assert.ok(Math.abs(actual[k] - expected[k]) < 1e-9, `${k}: ${actual[k]} vs ${expected[k]}`);
+});
+
+test('hslToRgb converts primary and grey colors', () => {
+    close(hslToRgb(0, 1, 0.5), { r: 1, g: 0, b: 0 });
+    close(hslToRgb(1 / 3, 1, 0.5), { r: 0, g: 1, b: 0 });
+    close(hslToRgb(2 / 3, 1, 0.5), { r: 0, g: 0, b: 1 });
+    close(hslToRgb(0.42, 0, 0.3), { r: 0.3, g: 0.3, b: 0.3 });
+    close(hslToRgb(0, 0, 1), { r: 1, g: 1, b: 1 });
+});
+
+test('hslToRgb wraps hue', () => {
+    close(hslToRgb(1, 1, 0.5), hslToRgb(0, 1, 0.5));
+});
+
+test('hexToRgba formats CSS colors', () => {
+    assert.equal(hexToRgba('#6c63ff', 0.4), 'rgba(108, 99, 255, 0.4)');
+    assert.equal(hexToRgba('#000000', 1), 'rgba(0, 0, 0, 1)');
+});
+
+test('easeOutCubic starts at 0, ends at 1 and never slows down backwards', () => {
+    assert.equal(easeOutCubic(0), 0);
+    assert.equal(easeOutCubic(1), 1);
+    assert.equal(easeOutCubic(0.5), 0.875);
+
+    let previous = 0;
+    for (let t = 0.05; t <= 1; t += 0.05) {
+        const value = easeOutCubic(t);
+        assert.ok(value > previous);
+        previous = value;
+    }
+});
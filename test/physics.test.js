@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FORCE_PRESETS, curlNoise, integrate } from '../js/physics.js';
+
+const still = { curl: { strength: 0, scale: 1, speed: 0 }, field: { strength: 0, radius: 1 }, swat: 0, gravity: 0, maxSpeed: 100 };
+
+// One particle at `position` with a target; → particles buffers
+function single(position, target = position) {
+    return {
+        count: 1,
+        positions: new Float32Array(position),
+        velocities: new Float32Array(3),
+        targets: new Float32Array(target)
+    };
+}
+
+function run(particles, frame, steps) {
+    for (let i = 0; i < steps; i++) integrate(particles, { delta: 1 / 60, elapsed: i / 60, ...frame });
+}
+
+test('curl noise is divergence-free', () => {
+    const h = 1e-4;
+    [[0.3, -1.2, 2], [4, 0.5, -3], [-2, 2, 0.1]].forEach(([x, y, z]) => {
+        const div = (curlNoise(x + h, y, z, 1.5).x - curlNoise(x - h, y, z, 1.5).x
+            + curlNoise(x, y + h, z, 1.5).y - curlNoise(x, y - h, z, 1.5).y
+            + curlNoise(x, y, z + h, 1.5).z - curlNoise(x, y, z - h, 1.5).z) / (2 * h);
+        assert.ok(Math.abs(div) < 1e-6, `divergence ${div}`);
+    });
+});
+
+test('springs settle particles on their targets', () => {
+    const particles = single([3, -2, 1], [0, 0, 0]);
+    run(particles, { forces: { ...still, spring: 20, damping: 8 } }, 180);
+    particles.positions.forEach((v) => assert.ok(Math.abs(v) < 0.01, `left at ${v}`));
+});
+
+test('a repelling hand pushes particles away, an attracting one pulls them in', () => {
+    const handPoints = [{ x: 0, y: 0, z: 0 }];
+    const pushed = single([0.3, 0, 0]);
+    run(pushed, { forces: { ...still, spring: 0, damping: 4, field: { strength: -20, radius: 1 } }, handPoints }, 10);
+    assert.ok(pushed.positions[0] > 0.3);
+
+    const pulled = single([0.5, 0, 0]);
+    run(pulled, { forces: { ...still, spring: 0, damping: 4, field: { strength: 20, radius: 1 } }, handPoints }, 10);
+    assert.ok(pulled.positions[0] < 0.5);
+});
+
+test('a moving palm swats particles along with it', () => {
+    const particles = single([0, 0.2, 0]);
+    const frame = {
+        forces: { ...still, spring: 0, damping: 1, swat: 8 },
+        handPoints: [{ x: 0, y: 0, z: 0 }],
+        handVelocity: { x: 10, y: 0, z: 0 }
+    };
+    run(particles, frame, 5);
+    assert.ok(particles.velocities[0] > 1, `velocity ${particles.velocities[0]}`);
+    assert.ok(Math.abs(particles.velocities[1]) < 1e-6);
+});
+
+test('gravity, the speed cap and the step limit', () => {
+    const falling = single([0, 0, 0]);
+    run(falling, { forces: { ...still, spring: 0, damping: 0, gravity: 9.8, maxSpeed: 2 } }, 120);
+    assert.ok(Math.abs(falling.velocities[1] + 2) < 1e-6, 'capped at maxSpeed');
+
+    // A 5 s frame (hidden tab) integrates as one short step
+    const stalled = single([1, 0, 0], [0, 0, 0]);
+    integrate(stalled, { delta: 5, forces: FORCE_PRESETS.follow });
+    assert.ok(stalled.positions[0] > 0.5);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EFFECTS, DEFAULT_EFFECTS, normalizeEffects, resolveEffects, blendEffects } from '../js/post-processing.js';
+import { QUALITY_LEVELS, QUALITY_PRESETS } from '../js/quality.js';
+import { STATES } from '../js/states.js';
+import { THEMES, normalizeTheme } from '../js/themes.js';
+
+test('normalizeEffects clamps values and drops unknown fields', () => {
+    assert.deepEqual(normalizeEffects({ bloom: { strength: 9, glow: 1 }, trails: -1, dof: { range: 'far' }, fog: 1 }), {
+        bloom: { strength: 3 },
+        trails: 0,
+        dof: {}
+    });
+    assert.deepEqual(normalizeEffects(null), {});
+});
+
+test('later layers win field by field', () => {
+    const effects = resolveEffects({ bloom: { strength: 1.3, radius: 0.8 } }, { trails: 0.8, bloom: { strength: 0.5 } }, undefined);
+    assert.deepEqual(effects, {
+        bloom: { strength: 0.5, radius: 0.8, threshold: DEFAULT_EFFECTS.bloom.threshold },
+        trails: 0.8,
+        dof: DEFAULT_EFFECTS.dof
+    });
+    // The defaults are copied, not shared
+    effects.bloom.strength = 2;
+    assert.equal(DEFAULT_EFFECTS.bloom.strength, 0.8);
+});
+
+test('blendEffects eases every field toward the target', () => {
+    const from = resolveEffects();
+    const to = resolveEffects({ trails: 0.8, dof: { blur: 1 } });
+    const half = blendEffects(from, to, 0.5);
+    assert.equal(half.trails, 0.4);
+    assert.equal(half.dof.blur, 0.5);
+    assert.deepEqual(blendEffects(from, to, 1), to);
+});
+
+test('states, themes and quality presets only use known effects', () => {
+    Object.entries(STATES).forEach(([name, state]) => {
+        if (state.effects) assert.deepEqual(normalizeEffects(state.effects), state.effects, name);
+    });
+    assert.equal(normalizeTheme(THEMES.birthday).states.EXPLODE.effects.trails, 0.92);
+    QUALITY_LEVELS.forEach((level) => {
+        QUALITY_PRESETS[level].effects.forEach((effect) => assert.ok(EFFECTS.includes(effect), `${level}: ${effect}`));
+    });
+    assert.deepEqual(QUALITY_PRESETS.low.effects, []);
+});
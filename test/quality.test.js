@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPerformanceMonitor, createQualityGovernor } from '../js/quality.js';
+
+// Feed `seconds` of frames at `fps` (and optional inference latency) through
+// a monitor and governor; → level changes as [time, level]
+function run(governor, monitor, { fps, seconds, latency = 0, start = 0 }) {
+    const changes = [];
+    const frameTime = 1000 / fps;
+    for (let t = start; t < start + seconds * 1000; t += frameTime) {
+        monitor.frame(frameTime);
+        if (latency) monitor.inference(latency, t);
+        const before = governor.level;
+        if (governor.update(monitor.stats, t) !== before) changes.push([Math.round(t), governor.level]);
+    }
+    return changes;
+}
+
+test('monitor averages frame times and ignores stalls', () => {
+    const monitor = createPerformanceMonitor({ size: 10 });
+    for (let i = 0; i < 10; i++) monitor.frame(20);
+    monitor.frame(5000); // hidden tab
+    assert.equal(Math.round(monitor.stats.fps), 50);
+    assert.equal(monitor.stats.samples, 10);
+});
+
+test('governor drops a level after sustained slow frames, not a brief dip', () => {
+    const monitor = createPerformanceMonitor();
+    const governor = createQualityGovernor({ targetFps: 50 });
+    assert.deepEqual(run(governor, monitor, { fps: 30, seconds: 1.5 }), []);
+
+    const changes = run(governor, monitor, { fps: 30, seconds: 3, start: 1500 });
+    assert.deepEqual(changes.map(([, level]) => level), ['high']);
+});
+
+test('governor climbs back after headroom but waits to retry a level that failed', () => {
+    const monitor = createPerformanceMonitor();
+    const governor = createQualityGovernor({ targetFps: 50, initial: 'medium' });
+    run(governor, monitor, { fps: 30, seconds: 3 });
+    assert.equal(governor.level, 'low');
+
+    // Medium was just too slow: 8 s of headroom isn't enough to retry it
+    assert.deepEqual(run(governor, monitor, { fps: 60, seconds: 12, start: 3000 }), []);
+    const changes = run(governor, monitor, { fps: 60, seconds: 30, start: 15000 });
+    assert.equal(changes[0][1], 'medium');
+    assert.ok(changes[0][0] >= 30000, `retried at ${changes[0][0]}`);
+});
+
+test('slow hand inference lowers quality even at full frame rate', () => {
+    const monitor = createPerformanceMonitor();
+    const governor = createQualityGovernor({ targetFps: 50, inferenceBudget: 60 });
+    run(governor, monitor, { fps: 60, seconds: 3, latency: 90 });
+    assert.equal(governor.level, 'high');
+});
+
+test('a fixed level ignores the measurements', () => {
+    const monitor = createPerformanceMonitor();
+    const changed = [];
+    const governor = createQualityGovernor({ onChange: (level) => changed.push(level) });
+    governor.setMode('medium');
+    run(governor, monitor, { fps: 10, seconds: 5 });
+
+    assert.equal(governor.level, 'medium');
+    assert.equal(governor.mode, 'medium');
+    assert.deepEqual(changed, ['medium']);
+    assert.throws(() => governor.setMode('extreme'), /Unknown quality level/);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRecorder, normalizeRecording, replayHeadless, RECORDING_FORMAT } from '../js/replay.js';
+import { hand, recording } from './fixtures/hands.js';
+
+test('recordings survive a JSON round trip and replay the same way', () => {
+    const session = recording([['fist', 500], ['palm', 500]]);
+    const recorder = createRecorder();
+    recorder.start();
+    session.frames.forEach((frame) => recorder.add({ timestamp: 5000 + frame.t, hands: frame.hands }));
+    const saved = JSON.parse(JSON.stringify(recorder.stop()));
+
+    assert.equal(saved.format, RECORDING_FORMAT);
+    assert.equal(saved.frames[0].t, 0);
+    assert.equal(saved.frames.length, session.frames.length);
+    assert.deepEqual(replayHeadless(saved).timeline, replayHeadless(session).timeline);
+});
+
+test('the recorder ignores frames until started', () => {
+    const recorder = createRecorder();
+    recorder.add({ timestamp: 0, hands: [{ handedness: 'Right', landmarks: hand('fist') }] });
+    recorder.start();
+    assert.equal(recorder.frameCount, 0);
+});
+
+test('normalizeRecording rejects malformed files', () => {
+    assert.throws(() => normalizeRecording({ frames: [] }), /Not a hand-universe/);
+    assert.throws(() => normalizeRecording({ format: RECORDING_FORMAT, version: 99, frames: [] }), /version/);
+    assert.throws(() => normalizeRecording({
+        format: RECORDING_FORMAT,
+        version: 1,
+        frames: [{ t: 10, hands: [] }, { t: 5, hands: [] }]
+    }), /out of order/);
+    assert.throws(() => normalizeRecording({
+        format: RECORDING_FORMAT,
+        version: 1,
+        frames: [{ t: 0, hands: [{ handedness: 'Left', landmarks: [[0, 0, 0]] }] }]
+    }), /21 landmarks/);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { layoutMessage, collectPixels, pixelsToTargets } from '../js/shapes.js';
+
+// Canvas 2D stand-in: every glyph is 0.6em wide
+function fakeContext() {
+    return {
+        font: '',
+        measureText(text) {
+            const size = parseFloat(/(\d+(\.\d+)?)px/.exec(this.font)[1]);
+            return { width: text.length * size * 0.6 };
+        }
+    };
+}
+
+test('layoutMessage fits the widest line and stacks lines around the center', () => {
+    const lines = [{ text: 'I LOVE YOU', scale: 1 }, { text: 'a much much longer second line', scale: 0.5 }];
+    const layout = layoutMessage(fakeContext(), lines, 1024, 280);
+
+    assert.equal(layout.length, 2);
+    assert.ok(layout[0].y < layout[1].y);
+    assert.ok(layout[0].y > 0 && layout[1].y < 280);
+
+    const ctx = fakeContext();
+    layout.forEach((line) => {
+        ctx.font = line.font;
+        assert.ok(ctx.measureText(line.text).width <= 1024 * 0.92 + 1e-6, line.text);
+    });
+});
+
+test('layoutMessage caps the font size for short messages', () => {
+    const [line] = layoutMessage(fakeContext(), [{ text: 'HI', scale: 1 }], 1024, 280);
+    assert.match(line.font, /bold 80px/);
+    assert.equal(line.y, 140);
+});
+
+test('text sampling puts targets on the foreground pixels', () => {
+    // A filled rectangle in the left half of a 100×50 image
+    const width = 100;
+    const height = 50;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 10; y < 40; y++) {
+        for (let x = 10; x < 40; x++) data[(y * width + x) * 4] = 255;
+    }
+
+    const pixels = collectPixels(width, height, (idx) => data[idx] > 100);
+    assert.equal(pixels.length, 30 * 30);
+
+    const count = 2000;
+    const targets = pixelsToTargets(pixels, count, { width, height, scaleX: 0.1, scaleY: 0.1 });
+    assert.equal(targets.length, count * 3);
+    for (let i = 0; i < count; i++) {
+        const x = targets[i * 3];
+        const y = targets[i * 3 + 1];
+        const z = targets[i * 3 + 2];
+        // pixels 10..39 → world -4..-1.1 (x) and 1.5..-1.4 (y, flipped), ± jitter
+        assert.ok(x >= -4.04 && x <= -1.06, `x ${x}`);
+        assert.ok(y <= 1.54 && y >= -1.44, `y ${y}`);
+        assert.ok(Math.abs(z) <= 0.15);
+    }
+});
+
+test('text sampling without foreground still yields a full set of targets', () => {
+    const targets = pixelsToTargets([], 10, { width: 10, height: 10, scaleX: 1, scaleY: 1 });
+    assert.equal(targets.length, 30);
+    assert.ok(targets.every(Number.isFinite));
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STARTUP_ERRORS, STARTUP_ACTIONS, classifyStartupError, describeStartupError, cameraOptions } from '../js/startup.js';
+
+function named(name, message = 'failed') {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+test('getUserMedia and loading failures map to their own startup errors', () => {
+    assert.equal(classifyStartupError(named('NotAllowedError')), 'permission-denied');
+    assert.equal(classifyStartupError(named('NotFoundError')), 'no-camera');
+    assert.equal(classifyStartupError(named('NotReadableError')), 'camera-in-use');
+    assert.equal(classifyStartupError(named('ScriptLoadError')), 'script-load');
+    assert.equal(classifyStartupError(named('ModelLoadError')), 'model-load');
+    assert.equal(classifyStartupError(named('WebGLUnavailableError')), 'webgl');
+    assert.equal(classifyStartupError(new TypeError('x')), 'unknown');
+    assert.equal(classifyStartupError(undefined), 'unknown');
+});
+
+test('every startup error offers known actions', () => {
+    Object.values(STARTUP_ERRORS).forEach(({ title, actions }) => {
+        assert.ok(title);
+        assert.ok(actions.length > 0);
+        actions.forEach((action) => assert.ok(STARTUP_ACTIONS[action], action));
+    });
+});
+
+test('choosing another camera is only offered when there is one', () => {
+    const busy = named('NotReadableError');
+    assert.deepEqual(describeStartupError(busy, { cameras: 1 }).actions, ['retry', 'pointer']);
+    assert.deepEqual(describeStartupError(busy, { cameras: 2 }).actions, ['retry', 'camera', 'pointer']);
+});
+
+test('fatal errors only offer a reload; unknown ones keep their message', () => {
+    assert.deepEqual(describeStartupError(named('ScriptLoadError'), { fatal: true }).actions, ['reload']);
+    assert.equal(describeStartupError(new Error('boom')).message, 'boom');
+    assert.equal(describeStartupError(named('NotAllowedError', 'boom')).message, STARTUP_ERRORS['permission-denied'].message);
+});
+
+test('camera options keep video inputs and number unlabeled ones', () => {
+    const devices = [
+        { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+        { kind: 'videoinput', deviceId: 'a', label: 'FaceTime HD' },
+        { kind: 'videoinput', deviceId: 'b', label: '' }
+    ];
+    assert.deepEqual(cameraOptions(devices), [
+        { deviceId: 'a', label: 'FaceTime HD' },
+        { deviceId: 'b', label: 'Camera 2' }
+    ]);
+});
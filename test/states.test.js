@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGestureHold, DEFAULT_THRESHOLDS } from '../js/gestures.js';
+import { createStateMachine } from '../js/state-machine.js';
+import { STATES, STATE, seedExplosion } from '../js/states.js';
+import { EXPLODE_SPEED } from '../js/constants.js';
+import { replayHeadless } from '../js/replay.js';
+import { recording } from './fixtures/hands.js';
+
+const states = (timeline) => timeline.filter((event) => event.type === 'state').map((event) => event.name);
+
+test('gesture hold triggers only after holdTime', () => {
+    const hold = createGestureHold(300);
+    assert.deepEqual(hold.update('fist', 1000), { changed: true, held: false });
+    assert.deepEqual(hold.update('fist', 1299), { changed: false, held: false });
+    assert.deepEqual(hold.update('fist', 1300), { changed: false, held: true });
+
+    // A different gesture restarts the clock
+    assert.deepEqual(hold.update('palm', 1310), { changed: true, held: false });
+    assert.deepEqual(hold.update('palm', 1610), { changed: false, held: true });
+});
+
+test('gesture hold uses the calibrated hold time', () => {
+    const hold = createGestureHold(DEFAULT_THRESHOLDS.holdTime);
+    hold.setHoldTime(500);
+    hold.update('ilu', 0);
+    assert.equal(hold.update('ilu', 400).held, false);
+    assert.equal(hold.update('ilu', 500).held, true);
+});
+
+test('state machine follows the gesture table', () => {
+    const machine = createStateMachine({ states: STATES, initial: STATE.IDLE });
+    const ctx = { progress: 0 };
+
+    assert.equal(machine.handle('palm', ctx), false); // no palm transition from IDLE
+    machine.handle('fist', ctx);
+    assert.equal(machine.current, STATE.FOLLOW);
+    machine.handle('ilu', ctx);
+    assert.equal(machine.current, STATE.TEXT_FORM);
+});
+
+test('IMPLODE only hands back to FOLLOW once mostly re-formed', () => {
+    const machine = createStateMachine({ states: STATES, initial: STATE.IMPLODE });
+    machine.handle('fist', { progress: 0.5 });
+    assert.equal(machine.current, STATE.IMPLODE);
+    machine.handle('fist', { progress: 0.95 });
+    assert.equal(machine.current, STATE.FOLLOW);
+});
+
+test('a replayed session walks fist → palm → fist → 🤟 into TEXT_FORM', () => {
+    const session = recording([['fist', 600], ['palm', 600], ['fist', 1600], ['ilu', 600]]);
+    const { state, timeline } = replayHeadless(session);
+    assert.deepEqual(states(timeline), ['FOLLOW', 'EXPLODE', 'IMPLODE', 'FOLLOW', 'TEXT_FORM']);
+    assert.equal(state, STATE.TEXT_FORM);
+});
+
+test('gestures shorter than the hold time do nothing', () => {
+    const { state, timeline } = replayHeadless(recording([['fist', 200], ['other', 500], ['fist', 200]]));
+    assert.deepEqual(states(timeline), []);
+    assert.equal(state, STATE.IDLE);
+});
+
+test('state changes happen holdTime after the gesture starts', () => {
+    const { timeline } = replayHeadless(recording([['other', 300], ['fist', 800]]));
+    const gesture = timeline.find((event) => event.type === 'gesture' && event.name === 'fist');
+    const state = timeline.find((event) => event.type === 'state');
+    const delay = state.t - gesture.t;
+    assert.ok(delay >= DEFAULT_THRESHOLDS.holdTime && delay < DEFAULT_THRESHOLDS.holdTime + 50, `delay ${delay}`);
+});
+
+test('a hand lost for a single frame keeps its hold', () => {
+    const session = recording([['fist', 200], [null, 33], ['fist', 200]]);
+    assert.equal(replayHeadless(session).state, STATE.FOLLOW);
+});
+
+test('replays are deterministic', () => {
+    const session = recording([['fist', 500], ['palm', 500], ['fist', 1500]]);
+    assert.deepEqual(replayHeadless(session), replayHeadless(session));
+});
+
+test('seedExplosion pushes every particle away from the 3D hand point', () => {
+    const count = 200;
+    const positions = new Float32Array(count * 3).map(() => Math.random() * 10 - 5);
+    const velocities = new Float32Array(count * 3);
+    const hand = { x: 1, y: -1, z: 2 };
+
+    seedExplosion({ particles: { count, positions, velocities }, hand });
+
+    for (let i = 0; i < count; i++) {
+        const offset = [0, 1, 2].map((k) => positions[i * 3 + k] - [hand.x, hand.y, hand.z][k]);
+        const velocity = [0, 1, 2].map((k) => velocities[i * 3 + k]);
+        const dot = offset.reduce((sum, v, k) => sum + v * velocity[k], 0);
+        assert.ok(dot >= 0, `particle ${i} moves toward the hand`);
+
+        // x / y speed is 0.5..1.5 × EXPLODE_SPEED along the unit direction
+        const dist = Math.hypot(...offset) + 0.1;
+        [0, 1].forEach((k) => {
+            assert.ok(Math.abs(velocity[k]) <= (Math.abs(offset[k]) / dist) * EXPLODE_SPEED * 1.5 + 1e-6);
+        });
+    }
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { normalizeStory, createStoryPlayer, parseColor } from '../js/story.js';
+
+const stories = new URL('../stories/', import.meta.url);
+const readStory = (name) => JSON.parse(readFileSync(new URL(name, stories), 'utf8'));
+
+test('every bundled story is valid', () => {
+    readdirSync(stories).filter((file) => file.endsWith('.json')).forEach((file) => {
+        assert.doesNotThrow(() => normalizeStory(readStory(file)), file);
+    });
+});
+
+test('scenes inherit the story defaults and resolve palette colors', () => {
+    const story = normalizeStory(readStory('product-reveal.json'));
+    assert.equal(story.loop, false);
+    assert.equal(story.scenes.length, 3);
+
+    const [first, second, last] = story.scenes;
+    assert.deepEqual(first.message, [{ text: 'INTRODUCING', scale: 1 }]);
+    assert.deepEqual(first.shape, { type: 'text' });
+    assert.deepEqual(first.color, parseColor('#e0e4f0'));
+    assert.equal(first.next, 'ilu');
+    assert.equal(first.previous, 'swipe_left');
+    assert.equal(first.autoAdvance, 0);
+    assert.deepEqual(second.message[1], { text: 'NEW', scale: 1.6 });
+    assert.deepEqual(second.color, parseColor('#6c63ff'));
+    assert.equal(last.next, null); // the last scene can't be left by gesture
+});
+
+test('malformed stories are rejected with the reason', () => {
+    assert.throws(() => normalizeStory(null), /at least one scene/);
+    assert.throws(() => normalizeStory({ scenes: [] }), /at least one scene/);
+    assert.throws(() => normalizeStory({ scenes: [{ color: 0 }] }), /Scene 1 needs a message or a shape/);
+    assert.throws(() => normalizeStory({ scenes: [{ message: 'HI' }, { shape: 'cube' }] }), /Scene 2 has an unknown shape/);
+    assert.throws(() => normalizeStory({ scenes: [{ message: 'HI', color: 'pink' }] }), /Invalid color: pink/);
+    assert.throws(() => normalizeStory({ palette: ['#12345'], scenes: [{ message: 'HI' }] }), /Invalid color/);
+});
+
+test('colors parse from hex, short hex and HSL objects', () => {
+    assert.deepEqual(parseColor('#ff0000'), { h: 0, s: 1, l: 0.5 });
+    assert.deepEqual(parseColor('0f0'), { h: 120, s: 1, l: 0.5 });
+    assert.deepEqual(parseColor('#0000FF'), { h: 240, s: 1, l: 0.5 });
+    assert.deepEqual(parseColor('#808080'), { h: 0, s: 0, l: 128 / 255 });
+    assert.deepEqual(parseColor({ h: 330, s: 0.8, l: 0.6, a: 1 }), { h: 330, s: 0.8, l: 0.6 });
+    // An index beyond the palette leaves the scene uncolored
+    assert.equal(normalizeStory({ scenes: [{ message: 'HI', color: 3 }] }).scenes[0].color, null);
+});
+
+test('gestures step through a story and stop at its ends', () => {
+    const player = createStoryPlayer(normalizeStory(readStory('product-reveal.json')));
+    assert.equal(player.directionFor('ilu'), 1);
+    assert.equal(player.directionFor('swipe_left'), -1);
+    assert.equal(player.directionFor('palm'), 0);
+
+    assert.equal(player.step(-1, 0), false);
+    assert.equal(player.step(1, 0), true);
+    assert.equal(player.step(1, 0), true);
+    assert.equal(player.index, 2);
+    assert.deepEqual(player.scene.message, [{ text: 'COMING SOON', scale: 1 }]);
+
+    // The final scene has no next gesture and no further scene
+    assert.equal(player.directionFor('ilu'), 0);
+    assert.equal(player.step(1, 0), false);
+    assert.equal(player.index, 2);
+    assert.equal(player.directionFor('swipe_left'), -1);
+});
+
+test('looping stories wrap around both ends', () => {
+    const player = createStoryPlayer(normalizeStory(readStory('birthday.json')));
+    assert.equal(player.length, 3);
+    assert.equal(player.step(-1, 0), true);
+    assert.equal(player.index, 2);
+    assert.equal(player.step(1, 0), true);
+    assert.equal(player.index, 0);
+});
+
+test('auto-advance waits for the scene\'s seconds from its start', () => {
+    const player = createStoryPlayer(normalizeStory(readStory('proposal.json')));
+    player.restartTimer(1000);
+    assert.equal(player.shouldAutoAdvance(1e9), false); // no autoAdvance on this scene
+
+    player.step(1, 0);
+    player.step(1, 2000); // the heart: 5 s
+    assert.equal(player.scene.autoAdvance, 5);
+    assert.equal(player.shouldAutoAdvance(6999), false);
+    assert.equal(player.shouldAutoAdvance(7000), true);
+
+    player.restartTimer(10000);
+    assert.equal(player.shouldAutoAdvance(14999), false);
+    assert.equal(player.shouldAutoAdvance(15000), true);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { THEMES, normalizeTheme, statePalette, gradientPosition, samplePalette, GRADIENT_EXTENT } from '../js/themes.js';
+
+test('built-in themes normalize and cover every state', () => {
+    Object.entries(THEMES).forEach(([key, raw]) => {
+        const theme = normalizeTheme(raw);
+        assert.deepEqual(Object.keys(theme.states).sort(), ['EXPLODE', 'FOLLOW', 'IDLE', 'IMPLODE', 'TEXT_FORM'], key);
+        assert.match(theme.hud.warning, /^#[0-9a-f]{6}$/, key);
+    });
+});
+
+test('partial themes fill in from Valentine and expand short hex colors', () => {
+    const theme = normalizeTheme({ background: '#123', states: { IDLE: { palette: ['#fff', '#000'], gradient: 'depth' } } });
+    assert.equal(theme.name, 'Custom');
+    assert.equal(theme.background, '#112233');
+    assert.equal(theme.fog.color, '#112233');
+    assert.equal(theme.hud.accent, THEMES.valentine.hud.accent);
+    assert.deepEqual(theme.states.IDLE, { palette: ['#fff', '#000'], gradient: 'depth' });
+    assert.deepEqual(theme.states.FOLLOW, THEMES.valentine.states.FOLLOW);
+});
+
+test('invalid themes are rejected', () => {
+    assert.throws(() => normalizeTheme(null), /must be an object/);
+    assert.throws(() => normalizeTheme({ stars: 'blue' }), /Invalid color/);
+    assert.throws(() => normalizeTheme({ states: { IDLE: { palette: [] } } }), /needs a palette/);
+    assert.throws(() => normalizeTheme({ states: { IDLE: { palette: ['#fff'], gradient: 'spiral' } } }), /Unknown gradient/);
+});
+
+test('statePalette falls back to the state color for states the theme leaves out', () => {
+    const theme = normalizeTheme(THEMES.galaxy);
+    const palette = statePalette(theme, 'SPARKLE', { color: { h: 0, s: 1, l: 0.5 }, accent: '#ff0000' });
+    assert.deepEqual(palette, { colors: [{ r: 1, g: 0, b: 0 }], gradient: 'scatter', accent: '#ff0000' });
+
+    const idle = statePalette(theme, 'IDLE');
+    assert.equal(idle.colors.length, 4);
+    assert.equal(idle.accent, '#7b5cff');
+});
+
+test('gradientPosition spans the view and clamps outside it', () => {
+    assert.equal(gradientPosition('vertical', 0, -GRADIENT_EXTENT.y, 0, 0, 3), 0);
+    assert.equal(gradientPosition('vertical', 0, 0, 0, 0, 3), 0.5);
+    assert.equal(gradientPosition('horizontal', 100, 0, 0, 0, 3), 1);
+    assert.equal(gradientPosition('radial', 1, 0, 0, 0, 3, { x: 1, y: 0, z: 0 }), 0);
+    // scatter cycles through the palette by particle index
+    assert.deepEqual([0, 1, 2, 3].map((i) => gradientPosition('scatter', 0, 0, 0, i, 3)), [0, 0.5, 1, 0]);
+});
+
+test('samplePalette blends neighbouring colors', () => {
+    const colors = [{ r: 0, g: 0, b: 0 }, { r: 1, g: 0, b: 0 }, { r: 1, g: 1, b: 1 }];
+    assert.deepEqual(samplePalette(colors, 0.25), { r: 0.5, g: 0, b: 0 });
+    assert.deepEqual(samplePalette(colors, 1), { r: 1, g: 1, b: 1 });
+    assert.deepEqual(samplePalette(colors.slice(0, 1), 0.7), { r: 0, g: 0, b: 0 });
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHandTracking, handToWorld } from '../js/tracking.js';
+import { hand, leftHand, jitter } from './fixtures/hands.js';
+
+const FRAME = 33; // ms, ~30 fps
+
+// Feed [landmarks | null, ...] per frame (Right hand) → the results
+function run(tracking, poses, { start = 0, handedness = 'Right' } = {}) {
+    return poses.map((landmarks, i) => tracking.update({
+        timestamp: start + i * FRAME,
+        hands: landmarks ? [{ landmarks, handedness }] : []
+    }));
+}
+
+const repeat = (landmarks, n) => Array.from({ length: n }, () => landmarks);
+
+test('a steady pose settles on its gesture and position', () => {
+    const results = run(createHandTracking(), repeat(hand('fist', { x: 0.3, y: 0.4 }), 6));
+    const last = results[results.length - 1];
+    assert.equal(last.gesture, 'fist');
+    assert.equal(last.hands.length, 1);
+    assert.equal(last.hands[0].handedness, 'Right');
+    assert.equal(last.hands[0].points.length, 21);
+    const expected = handToWorld(hand('fist', { x: 0.3, y: 0.4 }));
+    assert.ok(Math.abs(last.hand.x - expected.x) < 1e-6 && Math.abs(last.hand.y - expected.y) < 1e-6);
+    assert.equal(last.twoHand, null);
+});
+
+test('a dropped frame keeps the hand and its gesture', () => {
+    const tracking = createHandTracking();
+    const palm = hand('palm');
+    const results = run(tracking, [...repeat(palm, 5), null, null, ...repeat(palm, 3)]);
+
+    results.slice(4).forEach((result, i) => {
+        assert.equal(result.gesture, 'palm', `frame ${i + 4}`);
+        assert.equal(result.hands.length, 1, `frame ${i + 4}`);
+    });
+});
+
+test('a hand gone longer than the grace period is lost', () => {
+    const results = run(createHandTracking(), [...repeat(hand('palm'), 5), ...repeat(null, 10)]);
+    const last = results[results.length - 1];
+    assert.equal(last.gesture, 'none');
+    assert.equal(last.hand, null);
+    assert.deepEqual(last.hands, []);
+});
+
+test('one misclassified frame doesn\'t flip the label', () => {
+    const palm = hand('palm');
+    const results = run(createHandTracking(), [...repeat(palm, 5), hand('fist'), ...repeat(palm, 3)]);
+    results.slice(4).forEach((result) => assert.equal(result.gesture, 'palm'));
+});
+
+test('a new gesture takes over once it holds the majority', () => {
+    const results = run(createHandTracking(), [...repeat(hand('palm'), 5), ...repeat(hand('fist'), 5)]);
+    const labels = results.map((result) => result.gesture);
+    assert.equal(labels[5], 'palm');
+    assert.equal(labels[labels.length - 1], 'fist');
+    // Once it switches it stays switched
+    const switchedAt = labels.indexOf('fist');
+    assert.ok(labels.slice(switchedAt).every((label) => label === 'fist'));
+});
+
+test('noisy frames of one pose keep a single label', () => {
+    const frames = Array.from({ length: 20 }, (_, i) => jitter(hand('ilu'), 0.004, i + 1));
+    const results = run(createHandTracking(), frames);
+    results.slice(3).forEach((result) => assert.equal(result.gesture, 'ilu'));
+});
+
+test('two hands report the pair, Left first', () => {
+    const tracking = createHandTracking();
+    let result;
+    for (let i = 0; i < 4; i++) {
+        result = tracking.update({
+            timestamp: i * FRAME,
+            hands: [
+                { landmarks: hand('palm', { x: 0.35 }), handedness: 'Right' },
+                { landmarks: leftHand('palm', { x: 0.65 }), handedness: 'Left' }
+            ]
+        });
+    }
+    assert.deepEqual(result.hands.map((h) => h.handedness), ['Left', 'Right']);
+    assert.ok(result.twoHand);
+    assert.equal(result.twoHand.scale, 1);
+    assert.ok(Math.abs(result.hand.x - result.twoHand.center.x) < 1e-9);
+    assert.equal(result.tilt, null);
+});
+
+test('the two-hand baseline restarts after a hand is lost', () => {
+    const tracking = createHandTracking();
+    const pair = (spread, timestamp) => tracking.update({
+        timestamp,
+        hands: [
+            { landmarks: leftHand('palm', { x: 0.5 + spread }), handedness: 'Left' },
+            { landmarks: hand('palm', { x: 0.5 - spread }), handedness: 'Right' }
+        ]
+    });
+
+    let t = 0;
+    for (; t < 5 * FRAME; t += FRAME) pair(0.1, t);
+    for (; t < 15 * FRAME; t += FRAME) pair(0.2, t);
+    assert.equal(pair(0.2, t).twoHand.gesture, 'stretch');
+
+    // The left hand leaves for longer than the dropout grace
+    for (let i = 0; i < 10; i++, t += FRAME) {
+        tracking.update({ timestamp: t, hands: [{ landmarks: hand('palm', { x: 0.3 }), handedness: 'Right' }] });
+    }
+    let result;
+    for (let i = 0; i < 10; i++, t += FRAME) result = pair(0.2, t);
+    assert.equal(result.twoHand.gesture, null);
+    assert.ok(Math.abs(result.twoHand.scale - 1) < 0.05);
+});
+
+test('a pointing finger casts a ray', () => {
+    const results = run(createHandTracking(), repeat(hand('point'), 6));
+    const { pointer, gesture } = results[results.length - 1];
+    assert.equal(gesture, 'point');
+    assert.ok(pointer && pointer.origin && pointer.direction);
+    assert.equal(run(createHandTracking(), repeat(hand('palm'), 6))[5].pointer, null);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    TUNING_PARAMS, DEFAULT_TUNING, validateTuning, resolveTuning, tunedForces, needsRebuild,
+    parseQueryTuning, tuningToUrl, tuningToJson, parseTuningJson
+} from '../js/tuning.js';
+import { FORCE_PRESETS } from '../js/physics.js';
+import { seedExplosion } from '../js/states.js';
+import { EXPLODE_SPEED } from '../js/constants.js';
+
+test('every default lies inside its own range', () => {
+    Object.entries(TUNING_PARAMS).forEach(([key, param]) => {
+        assert.ok(param.min <= param.default && param.default <= param.max, key);
+    });
+});
+
+test('validation keeps overrides and rejects the rest with a reason', () => {
+    const { tuning, errors } = validateTuning({
+        followRadius: 3,
+        explodeSpeed: '12', // from a URL
+        idleRadius: DEFAULT_TUNING.idleRadius, // a default isn't an override
+        particleCount: 100,
+        holdTime: 250.5,
+        detectionConfidence: 'high',
+        warp: 9
+    });
+    assert.deepEqual(tuning, { followRadius: 3, explodeSpeed: 12 });
+    assert.deepEqual(errors, [
+        'Particles: must be between 500 and 50000',
+        'Gesture hold: must be a whole number',
+        'Detection confidence: must be a number',
+        'Unknown setting "warp"'
+    ]);
+    assert.deepEqual(validateTuning([1, 2]).errors, ['Settings must be an object']);
+    assert.deepEqual(validateTuning(undefined), { tuning: {}, errors: [] });
+});
+
+test('resolved tunings fill in the defaults', () => {
+    const tuning = resolveTuning({ followRadius: 3 });
+    assert.equal(tuning.followRadius, 3);
+    assert.equal(tuning.explodeSpeed, DEFAULT_TUNING.explodeSpeed);
+});
+
+test('springs are tuned per force preset; other forces pass through', () => {
+    const tuning = resolveTuning({ implodeSpring: 40 });
+    assert.equal(tunedForces(FORCE_PRESETS.implode, tuning).spring, 40);
+    assert.equal(tunedForces(FORCE_PRESETS.implode, tuning).damping, FORCE_PRESETS.implode.damping);
+    assert.equal(tunedForces(FORCE_PRESETS.follow, tuning), FORCE_PRESETS.follow);
+
+    const custom = { ...FORCE_PRESETS.implode };
+    assert.equal(tunedForces(custom, tuning), custom);
+});
+
+test('only counts and the idle radius rebuild the particles', () => {
+    assert.equal(needsRebuild(DEFAULT_TUNING, resolveTuning({ followRadius: 3 })), false);
+    assert.equal(needsRebuild(DEFAULT_TUNING, resolveTuning({ idleRadius: 6 })), true);
+    assert.equal(needsRebuild(DEFAULT_TUNING, resolveTuning({ particleCount: 8000 })), true);
+});
+
+test('links and JSON files round-trip the overrides', () => {
+    const overrides = { followRadius: 3.5, holdTime: 200, trackingConfidence: 0.6 };
+
+    const url = tuningToUrl(overrides, 'https://example.com/?message=HI&explodeSpeed=4');
+    assert.match(url, /message=HI/);
+    assert.doesNotMatch(url, /explodeSpeed/); // back to the default
+    assert.deepEqual(validateTuning(parseQueryTuning(new URL(url).search)).tuning, overrides);
+
+    assert.deepEqual(parseTuningJson(tuningToJson(overrides)).tuning, overrides);
+    assert.throws(() => parseTuningJson('{ nope'), { name: 'TuningError' });
+});
+
+test('the explosion follows the tuned speed', () => {
+    const burst = (tuning) => {
+        const particles = { count: 1, positions: new Float32Array([1, 0, 0]), velocities: new Float32Array(3) };
+        seedExplosion({ particles, hand: { x: 0, y: 0, z: 0 }, tuning });
+        return particles.velocities[0];
+    };
+    const original = Math.random;
+    Math.random = () => 0.5;
+    try {
+        assert.ok(Math.abs(burst(undefined) - EXPLODE_SPEED * (1 / 1.1)) < 1e-5);
+        assert.ok(Math.abs(burst({ explodeSpeed: 20 }) - 20 * (1 / 1.1)) < 1e-5);
+    } finally {
+        Math.random = original;
+    }
+});
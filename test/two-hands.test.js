@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTwoHandTracker, classifyTwoHandGesture, sortByHandedness } from '../js/two-hands.js';
+import { handToWorld } from '../js/tracking.js';
+import { hand, leftHand } from './fixtures/hands.js';
+
+// World positions of a left and a right open palm at image coords x, y
+const left = (x, y = 0.5) => handToWorld(leftHand('palm', { x, y }));
+const right = (x, y = 0.5) => handToWorld(hand('palm', { x, y }));
+
+test('hands sort Left before Right whatever order they arrive in', () => {
+    const hands = [{ handedness: 'Right', id: 1 }, { handedness: 'Left', id: 2 }];
+    assert.deepEqual(sortByHandedness(hands).map((h) => h.id), [2, 1]);
+    assert.deepEqual(hands.map((h) => h.id), [1, 2]); // not in place
+});
+
+test('moving the hands apart stretches past 1.4× the starting distance', () => {
+    const tracker = createTwoHandTracker();
+    const start = tracker.update(left(0.6), right(0.4));
+    assert.equal(start.scale, 1);
+    assert.equal(start.rotation, 0);
+    assert.equal(start.gesture, null);
+
+    assert.equal(tracker.update(left(0.635), right(0.365)).gesture, null); // 1.35×
+    const stretched = tracker.update(left(0.65), right(0.35)); // 1.5×
+    assert.ok(Math.abs(stretched.scale - 1.5) < 1e-9);
+    assert.equal(stretched.gesture, 'stretch');
+
+    // Scale stays within 0.5–2.5
+    assert.equal(tracker.update(left(0.99), right(0.01)).scale, 2.5);
+});
+
+test('turning the hand-to-hand line past 30° spins, either way', () => {
+    const tracker = createTwoHandTracker();
+    tracker.update(left(0.6), right(0.4));
+
+    // Right hand raised: the line turns counter-clockwise in world space
+    const slight = tracker.update(left(0.6), right(0.4, 0.4));
+    assert.ok(slight.rotation > 0);
+    assert.equal(slight.gesture, null);
+
+    const spun = tracker.update(left(0.6), right(0.4, 0.3));
+    assert.ok(spun.rotation > Math.PI / 6);
+    assert.equal(spun.gesture, 'spin');
+
+    const back = tracker.update(left(0.6, 0.3), right(0.4));
+    assert.ok(back.rotation < -Math.PI / 6);
+    assert.equal(back.gesture, 'spin');
+});
+
+test('hands closer than 1.5 world units merge', () => {
+    const tracker = createTwoHandTracker();
+    tracker.update(left(0.7), right(0.3));
+    const merged = tracker.update(left(0.54), right(0.46)); // 1.28 units apart
+    assert.equal(merged.merged, true);
+    assert.equal(merged.gesture, 'merge');
+    assert.ok(Math.abs(merged.center.x) < 1e-9);
+});
+
+test('merge wins over spin, spin over stretch', () => {
+    assert.equal(classifyTwoHandGesture({ scale: 2, rotation: 1, merged: true }), 'merge');
+    assert.equal(classifyTwoHandGesture({ scale: 2, rotation: -1, merged: false }), 'spin');
+    assert.equal(classifyTwoHandGesture({ scale: 2, rotation: 0.5, merged: false }), 'stretch');
+    assert.equal(classifyTwoHandGesture({ scale: 1.4, rotation: Math.PI / 6, merged: false }), null);
+});
+
+test('after a reset the next pair is the new baseline', () => {
+    const tracker = createTwoHandTracker();
+    tracker.update(left(0.6), right(0.4));
+    assert.equal(tracker.update(left(0.7), right(0.3)).gesture, 'stretch');
+
+    tracker.reset(); // a hand dropped out
+    const again = tracker.update(left(0.7), right(0.3));
+    assert.equal(again.scale, 1);
+    assert.equal(again.gesture, null);
+});
+
+test('hands that appear already together don\'t blow up the scale', () => {
+    const tracker = createTwoHandTracker();
+    tracker.update(left(0.52), right(0.48)); // 0.64 units: baseline held at 1
+    assert.ok(Math.abs(tracker.update(left(0.55), right(0.45)).scale - 1.6) < 1e-9);
+});
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// Replay a landmark recording headlessly and print the gesture / state timeline
+//   node tools/replay.mjs recording.json [--expect STATE]
+// Exits 1 if --expect is given and the final state differs.
+
+import { readFileSync } from 'node:fs';
+import { replayHeadless } from '../js/replay.js';
+
+const [file, ...args] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node tools/replay.mjs recording.json [--expect STATE]');
+    process.exit(2);
+}
+
+const expectIdx = args.indexOf('--expect');
+const expected = expectIdx >= 0 ? args[expectIdx + 1] : null;
+
+const { state, timeline } = replayHeadless(JSON.parse(readFileSync(file, 'utf8')));
+timeline.forEach(({ t, type, name }) => {
+    console.log(`${String(t).padStart(7)} ms  ${type.padEnd(7)} ${name}`);
+});
+console.log(`final state: ${state}`);
+
+if (expected && expected !== state) {
+    console.error(`expected ${expected}`);
+    process.exit(1);
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Download the third-party scripts, WASM, models and fonts into vendor/
+// so the app can be self-hosted and run offline (js/assets.js, sw.js)
+//   node tools/vendor.mjs [--out vendor]
+// Writes vendor/manifest.json listing every file; the app uses vendor/
+// once that manifest exists. Needs Node 18+ (fetch) and network access.
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join, posix } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ASSETS, VENDOR_ROOT } from '../js/assets.js';
+
+const args = process.argv.slice(2);
+const outIdx = args.indexOf('--out');
+const root = outIdx >= 0
+    ? args[outIdx + 1]
+    : join(dirname(fileURLToPath(import.meta.url)), '..', VENDOR_ROOT);
+
+// Google Fonts serves woff2 only to browsers that say they support it
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const files = [];
+
+async function download(url, local, headers = {}) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    const bytes = Buffer.from(await response.arrayBuffer());
+    save(local, bytes);
+    return bytes;
+}
+
+function save(local, bytes) {
+    const path = join(root, local);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, bytes);
+    files.push(local);
+    console.log(`${String(bytes.length).padStart(10)}  ${local}`);
+}
+
+// Every file of an npm package directory, listed by the jsDelivr API
+async function downloadDirectory({ cdn, local, package: pkg }) {
+    const prefix = cdn.slice(cdn.indexOf(pkg) + pkg.length); // '/', '/wasm/'
+    const response = await fetch(`https://data.jsdelivr.com/v1/packages/npm/${pkg}?structure=flat`);
+    if (!response.ok) throw new Error(`${pkg}: HTTP ${response.status} listing files`);
+    const { files: listing } = await response.json();
+    const names = listing
+        .map((file) => file.name)
+        .filter((name) => name.startsWith(prefix) && !/\.(md|d\.ts)$|\/package\.json$/.test(name));
+    for (const name of names) {
+        const relative = name.slice(prefix.length);
+        if (!files.includes(local + relative)) await download(cdn + relative, local + relative);
+    }
+}
+
+// The stylesheet plus its font files, with the CSS pointed at the copies
+async function downloadFonts({ cdn, local }) {
+    const response = await fetch(cdn, { headers: { 'User-Agent': BROWSER_UA } });
+    if (!response.ok) throw new Error(`${cdn}: HTTP ${response.status}`);
+    let css = await response.text();
+    const urls = [...new Set([...css.matchAll(/url\((https:[^)]+)\)/g)].map((match) => match[1]))];
+    for (const [i, url] of urls.entries()) {
+        const name = `${posix.basename(local, '.css')}-${i}${posix.extname(new URL(url).pathname)}`;
+        await download(url, posix.join(posix.dirname(local), name));
+        css = css.split(url).join(name);
+    }
+    save(local, Buffer.from(css));
+}
+
+for (const [name, asset] of Object.entries(ASSETS)) {
+    if (asset.package) await downloadDirectory(asset);
+    else if (name === 'fonts') await downloadFonts(asset);
+    else if (!files.includes(asset.local)) await download(asset.cdn, asset.local);
+}
+
+writeFileSync(join(root, 'manifest.json'), `${JSON.stringify({
+    format: 'hand-universe-vendor',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    files
+}, null, 2)}\n`);
+console.log(`${files.length} files in ${root}`);